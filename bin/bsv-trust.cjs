@@ -0,0 +1,740 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * bsv-trust — one CLI for bonds, panel bonds, escrows, assertions,
+ * disputes and wallets.
+ *
+ * Usage: bsv-trust <group> <command> [options]
+ *   bsv-trust bond deploy --slasher-pub <hex> --slash-dest <addr>
+ *   bsv-trust bond status --txid <txid> --json
+ *   bsv-trust escrow approve --txid <txid>
+ *   bsv-trust --help | bsv-trust bond --help | bsv-trust bond deploy --help
+ *
+ * Every command takes --network, --json and --help. Encrypted wallets are
+ * unlocked with WALLET_PASSPHRASE or a terminal prompt.
+ */
+
+const fs = require('fs');
+const { parseArgs, formatOptions, UsageError } = require('../lib/args.cjs');
+const network = require('../lib/network.cjs');
+const wallets = require('../lib/wallet.cjs');
+const { ROLES } = require('../lib/hd.cjs');
+
+// Operation modules load scrypt-ts contracts, so require them on demand
+const bond = () => require('../lib/bond.cjs');
+const escrow = () => require('../lib/escrow.cjs');
+const assertion = () => require('../lib/assertion.cjs');
+const recover = () => require('../lib/recover.cjs');
+const panel = () => require('../lib/panel.cjs');
+const dispute = () => require('../lib/dispute.cjs');
+
+const BANNER = '═══════════════════════════════════════════════';
+
+const RECOVERED_LABELS = { bond: '🔐 Bond', panel: '⚖️  Panel bond', escrow: '🤝 Escrow', dispute: '⚖️  Dispute' };
+
+const COMMON_OPTIONS = {
+  network: { type: 'string', choices: ['mainnet', 'testnet', 'regtest'], default: network.name, placeholder: 'name', description: 'Network (or set BSV_NETWORK)' },
+  json: { type: 'boolean', description: 'Print the result as JSON' },
+  help: { type: 'boolean', description: 'Show help for this command' },
+};
+
+const WALLET = { type: 'string', default: wallets.DEFAULT_WALLET_PATH, placeholder: 'path', description: 'Wallet file' };
+const WIF = { type: 'string', placeholder: 'wif', description: 'Sign with this WIF instead of --wallet' };
+const TXID = { type: 'string', required: true, placeholder: 'txid', description: 'Transaction id' };
+
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new UsageError(`Cannot read ${file}: ${err.message}`);
+  }
+}
+
+// A claim as printed lines: JSON pretty-printed, text quoted
+function claimLines({ claim, data }) {
+  if (data !== null && data !== undefined) return JSON.stringify(data, null, 2).split('\n').map(l => `   ${l}`);
+  return [`   "${claim}"`];
+}
+
+// Why a verification failed, with a generic line when no specific check did
+function invalidLines(r) {
+  const lines = [
+    ...(r.proven === false ? ['❌ NOT PROVEN — assertion or bond is not in a block of the given headers'] : []),
+    ...(r.signatureValid === false ? ['❌ SIGNATURE INVALID — not signed by the bondholder of the cited bond'] : []),
+  ];
+  return lines.length ? lines : [r.reason ? `❌ INVALID — ${r.reason}` : '❌ INVALID'];
+}
+
+function txLine(txid) {
+  const url = network.txUrl(txid);
+  return url ? [`   ${url}`] : [];
+}
+
+const GROUPS = {
+  bond: {
+    description: 'Lock sats behind your claims',
+    commands: {
+      deploy: {
+        description: 'Lock sats in a new bond',
+        options: {
+          amount: { type: 'number', default: 10000, placeholder: 'sats', description: 'Bond amount' },
+          'lock-blocks': { type: 'number', default: 10, placeholder: 'n', description: 'Blocks from now until release' },
+          'slasher-pub': { type: 'string', required: true, placeholder: 'hex', description: 'Public key of the slashing authority' },
+          'slasher-address': { type: 'string', placeholder: 'addr', description: 'Slasher address, checked against --slasher-pub' },
+          'slash-dest': { type: 'string', required: true, placeholder: 'addr', description: 'Where slashed sats go' },
+          wallet: { ...WALLET, description: 'Bondholder wallet' },
+        },
+        run: opts => bond().deployBond(opts),
+        print: r => [
+          BANNER,
+          '   🔐 Bond deployed!',
+          `   TXID:       ${r.txid}`,
+          `   Amount:     ${r.amount} sats`,
+          `   Lock until: block ${r.lockUntil} (current: ${r.currentHeight})`,
+          `   Slasher:    ${r.slasherAddress}`,
+          `   Slash dest: ${r.slashDest}`,
+          ...txLine(r.txid),
+          BANNER,
+          `   State: ${r.statePath}`,
+        ],
+      },
+      release: {
+        description: 'Return a bond to its holder after the lock',
+        options: { txid: TXID, wallet: { ...WALLET, description: 'Bondholder wallet' }, wif: WIF },
+        run: opts => bond().releaseBond(opts),
+        print: r => [
+          BANNER,
+          '   🔓 Bond released!',
+          `   TXID:   ${r.txid}`,
+          `   ${r.amount} sats → ${r.to}`,
+          ...txLine(r.txid),
+          BANNER,
+        ],
+      },
+      slash: {
+        description: 'Send a bond to its slash destination',
+        options: { txid: TXID, wallet: { ...WALLET, description: 'Slasher wallet' } },
+        run: opts => bond().slashBond(opts),
+        print: r => [
+          BANNER,
+          '   ⚡ Bond slashed!',
+          `   TXID:   ${r.txid}`,
+          `   ${r.amount} sats → ${r.to}`,
+          ...txLine(r.txid),
+          BANNER,
+        ],
+      },
+      status: {
+        description: 'Show whether a bond is active, released or slashed',
+        options: { txid: TXID },
+        run: opts => bond().getBondStatus(opts),
+        print: r => [
+          `Bond:       ${r.txid}`,
+          `Status:     ${r.status}`,
+          `Amount:     ${r.amount} sats`,
+          `Bondholder: ${r.bondholderAddress}`,
+          `Slash dest: ${r.slashDest}`,
+          `Lock until: block ${r.lockUntil} (current: ${r.currentHeight}${r.isLocked ? `, ${r.blocksLeft} blocks left` : ''})`,
+          ...(r.spentTxid ? [`Spent by:   ${r.spentTxid}${r.spentMethod ? ` (${r.spentMethod})` : ''}`] : []),
+        ],
+      },
+    },
+  },
+
+  panel: {
+    description: 'Bonds slashed only by a quorum of judges',
+    commands: {
+      deploy: {
+        description: 'Lock sats in a new panel bond',
+        options: {
+          amount: { type: 'number', default: 10000, placeholder: 'sats', description: 'Bond amount' },
+          'lock-blocks': { type: 'number', default: 10, placeholder: 'n', description: 'Blocks from now until release' },
+          judges: { type: 'string', required: true, placeholder: 'hex,...', description: 'Judge public keys, comma-separated' },
+          quorum: { type: 'number', placeholder: 'm', description: 'Judge signatures needed to slash (default: a majority)' },
+          'slash-dest': { type: 'string', required: true, placeholder: 'addr', description: 'Where slashed sats go' },
+          wallet: { ...WALLET, description: 'Bondholder wallet' },
+        },
+        run: opts => panel().deployPanelBond(opts),
+        print: r => [
+          BANNER,
+          '   🔐 Panel bond deployed!',
+          `   TXID:       ${r.txid}`,
+          `   Amount:     ${r.amount} sats`,
+          `   Lock until: block ${r.lockUntil} (current: ${r.currentHeight})`,
+          `   Judges:     ${r.quorum}-of-${r.judgeAddresses.length}`,
+          ...r.judgeAddresses.map(a => `               ${a}`),
+          `   Slash dest: ${r.slashDest}`,
+          ...txLine(r.txid),
+          BANNER,
+          `   State: ${r.statePath}`,
+        ],
+      },
+      prepare: {
+        description: 'Write the unsigned slash of a panel bond to a request file for the judges',
+        options: {
+          txid: { ...TXID, description: 'Panel bond' },
+          request: { type: 'string', placeholder: 'path', description: 'Request file (default: slashes/<txid>.json)' },
+        },
+        run: opts => panel().preparePanelSlash(opts),
+        print: r => [
+          '⚡ Panel slash prepared',
+          `   Bond:      ${r.bondTxid}`,
+          `   Amount:    ${r.bondAmount} sats`,
+          `   Slash to:  ${r.slashDest}`,
+          `   Quorum:    ${r.quorum}-of-${r.judges.length}`,
+          `   Request:   ${r.request}`,
+          '',
+          '   Send the request file to each judge:',
+          `   bsv-trust panel sign --request ${r.request} --wallet <judge-wallet>`,
+        ],
+      },
+      sign: {
+        description: 'Add your judge signature to a slash request',
+        options: {
+          request: { type: 'string', required: true, placeholder: 'path', description: 'Request file from panel prepare' },
+          wallet: { ...WALLET, description: 'Judge wallet' },
+        },
+        run: opts => panel().signPanelSlash(opts),
+        print: r => [
+          '⚡ Panel slash signed',
+          `   Bond:       ${r.bondTxid}`,
+          `   Judge:      ${r.judgeAddress}`,
+          `   Payout:     ${r.amount} sats → ${r.slashDest}`,
+          `   Signatures: ${r.signed} of ${r.quorum} needed`,
+        ],
+      },
+      combine: {
+        description: 'Broadcast a slash request once a quorum has signed',
+        options: { request: { type: 'string', required: true, placeholder: 'path', description: 'Signed request file' } },
+        run: opts => panel().combinePanelSlash(opts),
+        print: r => [
+          BANNER,
+          '   ⚡ Panel bond slashed!',
+          `   TXID:   ${r.txid}`,
+          `   Judges: ${r.signed} signed (quorum ${r.quorum})`,
+          `   ${r.amount} sats → ${r.to}`,
+          ...txLine(r.txid),
+          BANNER,
+        ],
+      },
+    },
+  },
+
+  escrow: {
+    description: 'Pay for work, released on approval',
+    commands: {
+      deploy: {
+        description: 'Lock payment for a worker',
+        options: {
+          amount: { type: 'number', default: 10000, placeholder: 'sats', description: 'Escrow amount' },
+          'timeout-blocks': { type: 'number', default: 100, placeholder: 'n', description: 'Blocks until the requester can reclaim' },
+          'worker-pub': { type: 'string', required: true, placeholder: 'hex', description: 'Worker public key' },
+          'worker-addr': { type: 'string', required: true, placeholder: 'addr', description: 'Worker address' },
+          wallet: { ...WALLET, description: 'Requester wallet' },
+        },
+        run: opts => escrow().deployEscrow(opts),
+        print: r => [
+          BANNER,
+          '   💰 Escrow deployed!',
+          `   TXID:       ${r.txid}`,
+          `   Amount:     ${r.amount} sats`,
+          `   Worker:     ${r.workerAddress}`,
+          `   Timeout:    block ${r.timeoutBlock}`,
+          ...txLine(r.txid),
+          BANNER,
+          `   State: ${r.statePath}`,
+        ],
+      },
+      approve: {
+        description: 'Pay the worker (requester)',
+        options: { txid: TXID, wallet: { ...WALLET, description: 'Requester wallet' }, wif: WIF },
+        run: opts => escrow().approveEscrow(opts),
+        print: r => [BANNER, '   ✅ Escrow approved — worker paid!', `   TXID:   ${r.txid}`, `   ${r.amount} sats → ${r.to}`, ...txLine(r.txid), BANNER],
+      },
+      refund: {
+        description: 'Return the payment to the requester (worker)',
+        options: { txid: TXID, wallet: { ...WALLET, description: 'Worker wallet' }, wif: WIF },
+        run: opts => escrow().refundEscrow(opts),
+        print: r => [BANNER, '   ↩️  Escrow refunded!', `   TXID:   ${r.txid}`, `   ${r.amount} sats → ${r.to}`, ...txLine(r.txid), BANNER],
+      },
+      timeout: {
+        description: 'Reclaim the payment after the timeout (requester)',
+        options: { txid: TXID, wallet: { ...WALLET, description: 'Requester wallet' }, wif: WIF },
+        run: opts => escrow().timeoutEscrow(opts),
+        print: r => [BANNER, '   ⏰ Escrow timed out — funds reclaimed!', `   TXID:   ${r.txid}`, `   ${r.amount} sats → ${r.to}`, ...txLine(r.txid), BANNER],
+      },
+      status: {
+        description: 'Show whether an escrow is active, approved, refunded or timed out',
+        options: { txid: TXID },
+        run: opts => escrow().getEscrowStatus(opts),
+        print: r => [
+          `Escrow:     ${r.txid}`,
+          `Status:     ${r.status}`,
+          `Amount:     ${r.amount} sats`,
+          `Requester:  ${r.requesterAddress}`,
+          `Worker:     ${r.workerAddress}`,
+          `Timeout:    block ${r.timeoutBlock} (current: ${r.currentHeight}${r.isTimedOut ? '' : `, ${r.blocksLeft} blocks left`})`,
+          ...(r.spentTxid ? [`Spent by:   ${r.spentTxid}${r.spentMethod ? ` (${r.spentMethod})` : ''}`] : []),
+        ],
+      },
+    },
+  },
+
+  assert: {
+    description: 'Publish, amend and verify bond-backed claims (ASSERT1)',
+    commands: {
+      publish: {
+        description: 'Publish a signed claim backed by a bond',
+        options: {
+          'bond-txid': { ...TXID, description: 'Bond backing the claim' },
+          'output-index': { type: 'number', default: 0, placeholder: 'n', description: 'Bond output in that transaction' },
+          topic: { type: 'string', required: true, placeholder: 'topic', description: 'Claim topic' },
+          claim: { type: 'string', required: true, placeholder: 'text', description: 'Claim text' },
+          'content-type': { type: 'string', default: 'text/plain', placeholder: 'type', description: 'text/plain, application/json or application/<name>+json' },
+          commit: { type: 'boolean', description: 'Publish only a salted hash of the claim; open it later with assert reveal' },
+          'valid-until-block': { type: 'number', placeholder: 'height', description: 'Last block height the claim stands for' },
+          wallet: { ...WALLET, description: 'Bondholder wallet' },
+        },
+        run: opts => assertion().publishAssertion(opts),
+        print: r => [
+          ...(r.bondActive ? [] : ['⚠️  Bond has been spent — assertion has no active backing', '']),
+          BANNER,
+          '   📢 Assertion published!',
+          `   TXID:   ${r.txid}`,
+          `   Topic:  ${r.topic}`,
+          ...(r.contentType === 'text/plain' ? [] : [`   Type:   ${r.contentType}`]),
+          r.commitment ? `   Claim:  🔒 committed as ${r.commitment}` : `   Claim:  ${r.claim}`,
+          `   Bond:   ${r.bondTxid}:${r.outputIndex}`,
+          ...(r.validUntilBlock ? [`   Valid:  until block ${r.validUntilBlock}`] : []),
+          ...txLine(r.txid),
+          BANNER,
+          ...(r.statePath ? [`   Preimage: ${r.statePath} — the only way to reveal this claim; keep it`] : []),
+        ],
+      },
+      verify: {
+        description: 'Check an assertion signature and its bond, online or from a proof bundle',
+        options: {
+          txid: { ...TXID, required: false, description: 'Assertion to check on-chain' },
+          bundle: { type: 'string', placeholder: 'file', description: 'Check offline from assert export-proof output' },
+          headers: { type: 'string', placeholder: 'file', description: 'Trusted block headers for --bundle, as JSON [{height, header}]' },
+        },
+        run: opts => {
+          if (opts.bundle) {
+            if (!opts.headers) throw new UsageError('--bundle needs --headers');
+            return assertion().verifyBundle({ bundle: readJson(opts.bundle), headers: readJson(opts.headers) });
+          }
+          if (!opts.txid) throw new UsageError('Give --txid, or --bundle with --headers');
+          return assertion().verifyAssertion(opts);
+        },
+        print: r => r.valid
+          ? [
+            BANNER,
+            '   ✅ ASSERTION VERIFIED',
+            ...(r.commitment
+              ? [`   🔒 Commitment ${r.commitment}`, ...(r.reveal
+                ? [`   🔓 Revealed in ${r.reveal.txid} (${r.reveal.contentType}):`, ...claimLines(r.reveal)]
+                : ['   Not revealed yet'])]
+              : claimLines(r)),
+            ...(r.status === 'REVOKED' ? [`   🚫 REVOKED by the bondholder in ${r.revokedBy}`] : []),
+            ...(r.status === 'SUPERSEDED'
+              ? [`   ✏️  SUPERSEDED by ${r.correction.txid}:`, `   "${r.correction.claim}"`]
+              : []),
+            `   Topic:    ${r.topic}`,
+            ...(r.contentType === 'text/plain' ? [] : [`   Type:     ${r.contentType}`]),
+            `   Asserter: ${r.asserter}`,
+            `   Bond:     ${r.bondActive === null
+              ? `${r.bondAmount} sats (spend status not provable offline)`
+              : r.bondActive ? `${r.bondAmount} sats (active)` : 'SPENT (no backing)'}`,
+            ...(r.validUntilBlock
+              ? [`   Valid:    until block ${r.validUntilBlock}${r.expired ? ' — ⌛ EXPIRED' : ''}`]
+              : []),
+            ...(r.inclusion
+              ? [`   Proven:   assertion in block ${r.inclusion.assertion.height}, bond in block ${r.inclusion.bond.height}`,
+                `             offline, against headers up to ${r.currentHeight}`]
+              : []),
+            BANNER,
+          ]
+          : invalidLines(r),
+        exitCode: r => r.valid ? 0 : 1,
+      },
+      'export-proof': {
+        description: 'Print a bundle that proves an assertion offline with assert verify --bundle',
+        options: { txid: { ...TXID, description: 'Mined assertion' } },
+        run: opts => assertion().exportProof(opts),
+        print: r => [JSON.stringify(r, null, 2)],
+      },
+      revoke: {
+        description: 'Withdraw an assertion without releasing its bond',
+        options: { txid: { ...TXID, description: 'Assertion to revoke' }, wallet: { ...WALLET, description: 'Bondholder wallet' } },
+        run: opts => assertion().revokeAssertion(opts),
+        print: r => [
+          BANNER,
+          '   🚫 Assertion revoked!',
+          `   TXID:      ${r.txid}`,
+          `   Assertion: ${r.assertTxid}`,
+          `   Was:       ${r.previousClaim}`,
+          ...txLine(r.txid),
+          BANNER,
+        ],
+      },
+      correct: {
+        description: 'Replace the claim of an assertion',
+        options: {
+          txid: { ...TXID, description: 'Assertion to correct' },
+          claim: { type: 'string', required: true, placeholder: 'text', description: 'Replacement claim text' },
+          wallet: { ...WALLET, description: 'Bondholder wallet' },
+        },
+        run: opts => assertion().correctAssertion(opts),
+        print: r => [
+          BANNER,
+          '   ✏️  Assertion corrected!',
+          `   TXID:      ${r.txid}`,
+          `   Assertion: ${r.assertTxid}`,
+          `   Was:       ${r.previousClaim}`,
+          `   Now:       ${r.claim}`,
+          ...txLine(r.txid),
+          BANNER,
+        ],
+      },
+      reveal: {
+        description: 'Open a committed claim on-chain from its saved preimage',
+        options: { txid: { ...TXID, description: 'Committed assertion' }, wallet: { ...WALLET, description: 'Wallet paying the fee' } },
+        run: opts => assertion().revealAssertion(opts),
+        print: r => [
+          BANNER,
+          '   🔓 Claim revealed!',
+          `   TXID:      ${r.txid}`,
+          `   Assertion: ${r.assertTxid}`,
+          `   Type:      ${r.contentType}`,
+          `   Claim:     ${r.claim}`,
+          ...txLine(r.txid),
+          BANNER,
+        ],
+      },
+      batch: {
+        description: 'Publish many claims under one signed Merkle root',
+        options: {
+          'bond-txid': { ...TXID, description: 'Bond backing the claims' },
+          'output-index': { type: 'number', default: 0, placeholder: 'n', description: 'Bond output in that transaction' },
+          claims: { type: 'string', required: true, placeholder: 'file', description: 'JSON array of {topic, claim} or claim strings' },
+          topic: { type: 'string', placeholder: 'topic', description: 'Topic for claims given as plain strings' },
+          'valid-until-block': { type: 'number', placeholder: 'height', description: 'Last block height the claims stand for' },
+          wallet: { ...WALLET, description: 'Bondholder wallet' },
+        },
+        run: opts => assertion().publishBatch({ ...opts, claims: readJson(opts.claims) }),
+        print: r => [
+          ...(r.bondActive ? [] : ['⚠️  Bond has been spent — batch has no active backing', '']),
+          BANNER,
+          `   📦 Batch of ${r.count} claims published!`,
+          `   TXID:   ${r.txid}`,
+          `   Root:   ${r.root}`,
+          `   Bond:   ${r.bondTxid}:${r.outputIndex}`,
+          ...(r.validUntilBlock ? [`   Valid:  until block ${r.validUntilBlock}`] : []),
+          ...txLine(r.txid),
+          BANNER,
+          `   Claims: ${r.statePath}`,
+        ],
+      },
+      prove: {
+        description: 'Print the inclusion proof for one batched claim',
+        options: {
+          txid: { ...TXID, description: 'Batch transaction' },
+          index: { type: 'number', required: true, placeholder: 'n', description: 'Claim position in the batch' },
+        },
+        run: opts => assertion().proveBatchClaim(opts),
+        print: r => [JSON.stringify(r, null, 2)],
+      },
+      'verify-claim': {
+        description: 'Check a batched claim against its on-chain root and bond',
+        options: { proof: { type: 'string', required: true, placeholder: 'file', description: 'Proof from assert prove' } },
+        run: opts => assertion().verifyBatchClaim({ ...opts, proof: readJson(opts.proof) }),
+        print: r => r.valid
+          ? [
+            BANNER,
+            '   ✅ BATCHED CLAIM VERIFIED',
+            `   "${r.claim}"`,
+            `   Topic:    ${r.topic}`,
+            `   Batch:    ${r.batchTxid} (index ${r.index} of ${r.count} claims)`,
+            `   Asserter: ${r.asserter}`,
+            `   Bond:     ${r.bondTxid}:${r.outputIndex}`,
+            `             ${r.bondActive ? `${r.bondAmount} sats (active)` : 'SPENT (no backing)'}`,
+            ...(r.validUntilBlock
+              ? [`   Valid:    until block ${r.validUntilBlock}${r.expired ? ' — ⌛ EXPIRED' : ''}`]
+              : []),
+            BANNER,
+          ]
+          : [r.included
+            ? '❌ SIGNATURE INVALID — batch root not signed by the bondholder of the cited bond'
+            : '❌ NOT INCLUDED — proof does not lead to the batch root'],
+        exitCode: r => r.valid ? 0 : 1,
+      },
+    },
+  },
+
+  dispute: {
+    description: 'Stake sats against an assertion and let a resolver rule',
+    commands: {
+      open: {
+        description: 'Challenge an assertion with a stake',
+        options: {
+          'assert-txid': { ...TXID, description: 'Assertion to challenge' },
+          'resolver-pub': { type: 'string', required: true, placeholder: 'hex', description: 'Public key of the resolver who rules' },
+          amount: { type: 'number', default: 10000, placeholder: 'sats', description: 'Stake amount' },
+          'refund-blocks': { type: 'number', default: 1000, placeholder: 'n', description: 'Blocks without a ruling before each side can take its stake back' },
+          wallet: { ...WALLET, description: 'Challenger wallet' },
+        },
+        run: opts => dispute().openDispute(opts),
+        print: r => [
+          BANNER,
+          '   ⚖️  Dispute opened!',
+          `   TXID:       ${r.txid}`,
+          `   Assertion:  ${r.assertTxid}`,
+          `   Challenger: ${r.challengerAddress}`,
+          `   Asserter:   ${r.asserterAddress}`,
+          `   Resolver:   ${r.resolverAddress}`,
+          `   Stake:      ${r.amount} sats`,
+          `   Refunds:    from block ${r.refundAfter} if nobody rules`,
+          ...txLine(r.txid),
+          BANNER,
+          `   State: ${r.statePath}`,
+        ],
+      },
+      answer: {
+        description: 'Match the challenger\'s stake (asserter)',
+        options: {
+          txid: { ...TXID, description: 'Dispute' },
+          amount: { type: 'number', default: 10000, placeholder: 'sats', description: 'Stake amount' },
+          wallet: { ...WALLET, description: 'Asserter wallet' },
+        },
+        run: opts => dispute().answerDispute(opts),
+        print: r => [
+          BANNER,
+          '   ⚖️  Dispute answered!',
+          `   TXID:   ${r.txid}`,
+          `   Stake:  ${r.amount} sats`,
+          `   Pot:    ${r.pot} sats`,
+          ...txLine(r.txid),
+          BANNER,
+        ],
+      },
+      resolve: {
+        description: 'Rule on a dispute — the whole pot goes to the winner (resolver)',
+        options: {
+          txid: { ...TXID, description: 'Dispute' },
+          ruling: { type: 'string', required: true, choices: ['challenger', 'asserter'], placeholder: 'side', description: 'challenger upholds the challenge, asserter dismisses it' },
+          wallet: { ...WALLET, description: 'Resolver wallet' },
+        },
+        run: opts => dispute().resolveDispute(opts),
+        print: r => [
+          BANNER,
+          '   ⚖️  Dispute resolved!',
+          `   TXID:   ${r.txid}`,
+          `   Ruling: ${r.ruling} wins (${r.method})`,
+          `   ${r.amount} sats → ${r.to}`,
+          ...txLine(r.txid),
+          BANNER,
+        ],
+      },
+      refund: {
+        description: 'Take your stake back after the refund height if nobody has ruled',
+        options: {
+          txid: { ...TXID, description: 'Dispute' },
+          wallet: { ...WALLET, description: 'Challenger or asserter wallet' },
+        },
+        run: opts => dispute().refundDispute(opts),
+        print: r => [
+          BANNER,
+          '   ↩️  Stake refunded!',
+          `   TXID:   ${r.txid}`,
+          `   Party:  ${r.party}`,
+          `   ${r.amount} sats → ${r.to}`,
+          ...txLine(r.txid),
+          BANNER,
+        ],
+      },
+    },
+  },
+
+  wallet: {
+    description: 'Create, back up, encrypt and check HD wallets',
+    commands: {
+      create: {
+        description: 'Create a new HD wallet, encrypted with a passphrase',
+        options: {
+          wallet: WALLET,
+          plaintext: { type: 'boolean', description: 'Store the mnemonic unencrypted (throwaway wallets only)' },
+        },
+        run: opts => wallets.createWallet(opts.wallet, opts),
+        print: r => [
+          `✅ Wallet created: ${r.path}${r.encrypted ? ' (encrypted)' : ''}`,
+          `   Address: ${r.address} (${r.network})`,
+          '',
+          '   Write down these words — they restore every key in this wallet:',
+          `   ${r.mnemonic}`,
+        ],
+      },
+      restore: {
+        description: 'Rebuild an HD wallet from its mnemonic (WALLET_MNEMONIC or prompt)',
+        options: {
+          wallet: WALLET,
+          plaintext: { type: 'boolean', description: 'Store the mnemonic unencrypted (throwaway wallets only)' },
+        },
+        run: opts => wallets.restoreWallet(opts.wallet, opts),
+        print: r => [`✅ Wallet restored: ${r.path}`, `   Address: ${r.address} (${r.network})`],
+      },
+      mnemonic: {
+        description: 'Print the backup words of an HD wallet',
+        options: { wallet: WALLET },
+        run: async opts => ({ mnemonic: await wallets.walletMnemonic(opts.wallet) }),
+        print: r => [r.mnemonic],
+      },
+      address: {
+        description: 'Print the wallet address',
+        options: { wallet: WALLET },
+        run: opts => ({ address: wallets.walletAddress(opts.wallet), network: network.name }),
+        print: r => [r.address],
+      },
+      pubkey: {
+        description: 'Print a public key to hand out (--slasher-pub, --worker-pub, --resolver-pub, --judges)',
+        options: {
+          wallet: WALLET,
+          role: { type: 'string', choices: Object.keys(ROLES), placeholder: 'role', description: 'Reserve a fresh key for this role' },
+        },
+        run: async opts => opts.role
+          ? wallets.reserveKey(opts.wallet, opts.role)
+          : { publicKey: await wallets.walletPublicKey(opts.wallet), path: null },
+        print: r => [r.publicKey, ...(r.path ? [`   (${r.path})`] : [])],
+      },
+      balance: {
+        description: 'Show the wallet balance',
+        options: { wallet: WALLET },
+        run: opts => wallets.getWalletBalance(opts),
+        print: r => [
+          `Address:     ${r.address} (${r.network})`,
+          `Confirmed:   ${r.confirmed} sats`,
+          `Unconfirmed: ${r.unconfirmed} sats`,
+          `Total:       ${r.total} sats`,
+        ],
+      },
+      recover: {
+        description: 'Rebuild bonds/, escrows/ and disputes/ state files from the wallet\'s chain history',
+        options: {
+          wallet: WALLET,
+          force: { type: 'boolean', description: 'Overwrite state files that already exist' },
+        },
+        run: opts => recover().recoverState(opts),
+        print: r => [
+          BANNER,
+          `   🔎 Scanned ${r.scanned} transactions of ${r.address}`,
+          ...(r.recovered.length === 0 ? ['   No contracts deployed or disputes opened from this wallet'] : []),
+          ...r.recovered.flatMap(c => [
+            `   ${RECOVERED_LABELS[c.type]} ${c.txid}:${c.outputIndex}`,
+            `      ${c.amount} sats${c.spentBy ? `, spent by ${c.spentBy}` : ', unspent'}`,
+            `      ${c.kept ? 'Kept existing' : 'Wrote'} ${c.statePath}`,
+          ]),
+          BANNER,
+        ],
+      },
+      encrypt: {
+        description: 'Encrypt a plaintext wallet with a passphrase',
+        options: { wallet: WALLET },
+        run: opts => wallets.encryptWallet(opts.wallet),
+        print: r => [`🔒 Wallet encrypted: ${r.path}`],
+      },
+      decrypt: {
+        description: 'Store the wallet key unencrypted again',
+        options: { wallet: WALLET },
+        run: opts => wallets.decryptWallet(opts.wallet),
+        print: r => [`⚠️  Wallet decrypted: ${r.path} — the key is now stored in plaintext`],
+      },
+      'change-passphrase': {
+        description: 'Re-encrypt the wallet under a new passphrase',
+        options: { wallet: WALLET },
+        run: opts => wallets.changePassphrase(opts.wallet),
+        print: r => [`🔒 Passphrase changed: ${r.path}`],
+      },
+    },
+  },
+};
+
+function mainHelp() {
+  const lines = ['Usage: bsv-trust <group> <command> [options]', ''];
+  for (const [name, group] of Object.entries(GROUPS)) {
+    lines.push(`  ${name.padEnd(8)}${group.description}`);
+    lines.push(`          ${Object.keys(group.commands).join(' | ')}`);
+  }
+  lines.push('', 'Run `bsv-trust <group> --help` or `bsv-trust <group> <command> --help` for details.');
+  return lines.join('\n');
+}
+
+function groupHelp(name) {
+  const group = GROUPS[name];
+  const width = Math.max(...Object.keys(group.commands).map(c => c.length)) + 2;
+  return [
+    `Usage: bsv-trust ${name} <command> [options]`,
+    '',
+    ...Object.entries(group.commands).map(([c, cmd]) => `  ${c.padEnd(width)}${cmd.description}`),
+  ].join('\n');
+}
+
+function commandHelp(groupName, name, cmd) {
+  return [
+    `Usage: bsv-trust ${groupName} ${name} [options]`,
+    '',
+    cmd.description,
+    '',
+    'Options:',
+    formatOptions({ ...cmd.options, ...COMMON_OPTIONS }),
+  ].join('\n');
+}
+
+async function main(argv) {
+  const [groupName, name, ...rest] = argv;
+  const wantsJson = argv.includes('--json');
+
+  if (!groupName || groupName === '--help') return console.log(mainHelp());
+  const group = GROUPS[groupName];
+  if (!group) throw new UsageError(`Unknown command: ${groupName}\n\n${mainHelp()}`);
+  if (!name || name === '--help') return console.log(groupHelp(groupName));
+  const cmd = group.commands[name];
+  if (!cmd) throw new UsageError(`Unknown command: ${groupName} ${name}\n\n${groupHelp(groupName)}`);
+
+  if (rest.includes('--help')) return console.log(commandHelp(groupName, name, cmd));
+
+  let opts;
+  try {
+    opts = parseArgs(rest, { ...cmd.options, ...COMMON_OPTIONS });
+  } catch (err) {
+    if (err instanceof UsageError && !wantsJson) err.message += `\n\n${commandHelp(groupName, name, cmd)}`;
+    throw err;
+  }
+  // Before anything creates a provider, which reads the network's API URL
+  network.useNetwork(opts.network);
+
+  const result = await cmd.run(opts);
+  if (opts.json) console.log(JSON.stringify(result, null, 2));
+  else console.log(cmd.print(result).join('\n'));
+  if (cmd.exitCode) process.exitCode = cmd.exitCode(result);
+}
+
+/**
+ * Run `main` as a process: print the error and exit non-zero on failure.
+ * `aliases` maps old flag names onto current ones, for the root scripts
+ * (e.g. `{ '--worker-wif': '--wif' }`).
+ */
+function run(argv, aliases = {}) {
+  argv = argv.map(arg => {
+    const [flag, ...value] = arg.split('=');
+    return aliases[flag] ? [aliases[flag], ...value].join('=') : arg;
+  });
+  return main(argv).catch(err => {
+    if (argv.includes('--json')) console.log(JSON.stringify({ error: err.message, code: err.code }, null, 2));
+    else console.error('❌', err.message);
+    process.exit(err instanceof UsageError ? 2 : 1);
+  });
+}
+
+module.exports = { main, run, GROUPS };
+
+if (require.main === module) run(process.argv.slice(2));
@@ -0,0 +1,17 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Deploy a PanelBond covenant to BSV — slashing needs M-of-N judges.
+ * Same as `bsv-trust panel deploy`.
+ *
+ * Usage: node deploy-panel-bond.cjs [options]
+ *   --amount <sats>       Bond amount (default: 10000)
+ *   --lock-blocks <n>     Blocks until release is allowed (default: 10)
+ *   --judges <hex,...>    Comma-separated judge public keys (exactly N_JUDGES)
+ *   --quorum <m>          Judge signatures needed to slash (default: majority)
+ *   --slash-dest <addr>   Address where slashed sats go
+ *   --wallet <path>       Bondholder wallet (default: ./wallet.json)
+ */
+
+require('./bin/bsv-trust.cjs').run(['panel', 'deploy', ...process.argv.slice(2)]);
@@ -0,0 +1,28 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Open a Dispute against an ASSERT1 assertion, answer one with a matching
+ * stake, or take your stake back once nobody has ruled by the refund height.
+ * Same as `bsv-trust dispute open`, `answer` and `refund`.
+ *
+ * Every stake is its own UTXO locked to the same dispute terms plus the key
+ * of whoever staked it. Answer and refund read the dispute from chain, so
+ * neither needs the challenger's disputes/ state file.
+ *
+ * Usage: node dispute.cjs --assert-txid <txid> --resolver-pub <hex> [options]
+ *        node dispute.cjs --answer <dispute-txid> [options]
+ *        node dispute.cjs --refund <dispute-txid> [options]
+ *   --assert-txid <txid>    Assertion being challenged
+ *   --resolver-pub <hex>    Public key of the resolver who rules on the dispute
+ *   --answer <txid>         Add the asserter's matching stake to an open dispute
+ *   --refund <txid>         Take back your stake after the refund height
+ *   --amount <sats>         Stake amount (default: 10000)
+ *   --refund-blocks <n>     Blocks without a ruling before refunds (default: 1000)
+ *   --wallet <path>         Challenger/asserter wallet (default: ./wallet.json)
+ */
+
+const argv = process.argv.slice(2);
+const mode = ['answer', 'refund'].find(m => argv.some(arg => arg === `--${m}` || arg.startsWith(`--${m}=`)));
+
+require('./bin/bsv-trust.cjs').run(['dispute', mode || 'open', ...argv], { '--answer': '--txid', '--refund': '--txid' });
@@ -0,0 +1,88 @@
+'use strict';
+
+/**
+ * bsv-trust SDK.
+ *
+ *   const { deployBond, releaseBond, LockedError } = require('bsv-trust');
+ *
+ *   const bond = await deployBond({ amount: 10000, lockBlocks: 10, slasherPub, slashDest, wallet: './wallet.json' });
+ *   try {
+ *     await releaseBond({ txid: bond.txid, wallet: './wallet.json' });
+ *   } catch (err) {
+ *     if (err instanceof LockedError) console.log(`locked until ${err.unlockHeight}`);
+ *   }
+ *
+ * Every operation resolves to a plain result object and throws one of the
+ * errors in lib/errors.cjs. Signing keys come from `key` (a bsv.PrivateKey),
+ * `wif`, or a `wallet` file path, in that order; encrypted wallets take
+ * `passphrase` (else WALLET_PASSPHRASE, else a prompt). Pass `provider` to use a
+ * specific chain backend; the default follows --network / BSV_NETWORK and
+ * MOCKCHAIN_PATH.
+ */
+
+const bond = require('./lib/bond.cjs');
+const panel = require('./lib/panel.cjs');
+const escrow = require('./lib/escrow.cjs');
+const assertion = require('./lib/assertion.cjs');
+const dispute = require('./lib/dispute.cjs');
+const wallet = require('./lib/wallet.cjs');
+const { recoverState } = require('./lib/recover.cjs');
+const events = require('./lib/events.cjs');
+const { createProvider } = require('./lib/provider.cjs');
+const network = require('./lib/network.cjs');
+const errors = require('./lib/errors.cjs');
+
+module.exports = {
+  deployBond: bond.deployBond,
+  releaseBond: bond.releaseBond,
+  slashBond: bond.slashBond,
+  getBondStatus: bond.getBondStatus,
+
+  deployPanelBond: panel.deployPanelBond,
+  preparePanelSlash: panel.preparePanelSlash,
+  signPanelSlash: panel.signPanelSlash,
+  combinePanelSlash: panel.combinePanelSlash,
+
+  deployEscrow: escrow.deployEscrow,
+  approveEscrow: escrow.approveEscrow,
+  refundEscrow: escrow.refundEscrow,
+  timeoutEscrow: escrow.timeoutEscrow,
+  getEscrowStatus: escrow.getEscrowStatus,
+
+  publishAssertion: assertion.publishAssertion,
+  revokeAssertion: assertion.revokeAssertion,
+  correctAssertion: assertion.correctAssertion,
+  revealAssertion: assertion.revealAssertion,
+  verifyAssertion: assertion.verifyAssertion,
+  exportProof: assertion.exportProof,
+  verifyBundle: assertion.verifyBundle,
+  publishBatch: assertion.publishBatch,
+  proveBatchClaim: assertion.proveBatchClaim,
+  verifyBatchClaim: assertion.verifyBatchClaim,
+
+  openDispute: dispute.openDispute,
+  answerDispute: dispute.answerDispute,
+  resolveDispute: dispute.resolveDispute,
+  refundDispute: dispute.refundDispute,
+
+  createWallet: wallet.createWallet,
+  restoreWallet: wallet.restoreWallet,
+  openKeyring: wallet.openKeyring,
+  reserveKey: wallet.reserveKey,
+  encryptWallet: wallet.encryptWallet,
+  decryptWallet: wallet.decryptWallet,
+  changePassphrase: wallet.changePassphrase,
+  walletPublicKey: wallet.walletPublicKey,
+  getWalletBalance: wallet.getWalletBalance,
+  recoverState,
+
+  EVENT_TYPES: events.EVENT_TYPES,
+  loadHooks: events.loadHooks,
+  deliverEvent: events.deliverEvent,
+  signPayload: events.signPayload,
+
+  createProvider,
+  network,
+
+  ...errors,
+};
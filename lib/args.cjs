@@ -0,0 +1,97 @@
+'use strict';
+
+/**
+ * Flag parser for the bsv-trust CLI.
+ *
+ * Options are declared up front, so boolean flags never swallow the next
+ * argument and typos fail loudly instead of being ignored.
+ *
+ * Usage:
+ *   const { parseArgs } = require('./lib/args.cjs');
+ *   const opts = parseArgs(argv, {
+ *     txid:   { type: 'string', required: true, description: 'Bond txid' },
+ *     amount: { type: 'number', default: 10000, description: 'Sats' },
+ *     json:   { type: 'boolean', description: 'Print JSON' },
+ *   });
+ *   // opts.txid, opts.amount, opts.json — kebab-case flags become camelCase keys
+ */
+
+const { ValidationError } = require('./errors.cjs');
+
+/** Bad command-line usage; the CLI exits with status 2. */
+class UsageError extends ValidationError {}
+UsageError.prototype.code = 'USAGE';
+
+function camelCase(flag) {
+  return flag.replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+}
+
+function coerce(flag, spec, raw) {
+  if (spec.type === 'number') {
+    const n = Number(raw);
+    if (raw === '' || !Number.isFinite(n)) throw new UsageError(`--${flag} expects a number, got "${raw}"`);
+    return n;
+  }
+  if (spec.choices && !spec.choices.includes(raw)) {
+    throw new UsageError(`--${flag} must be one of ${spec.choices.join(', ')}, got "${raw}"`);
+  }
+  return raw;
+}
+
+/**
+ * Parse `argv` (flags only, no positionals) against `specs`.
+ * Accepts `--flag value` and `--flag=value`; booleans take no value.
+ * Throws UsageError on unknown flags, missing values or missing required flags.
+ */
+function parseArgs(argv, specs) {
+  const opts = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) throw new UsageError(`Unexpected argument: ${arg}`);
+
+    let [flag, inline] = arg.slice(2).split(/=(.*)/s);
+    const spec = specs[flag];
+    if (!spec) throw new UsageError(`Unknown option: --${flag}`);
+
+    if (spec.type === 'boolean') {
+      if (inline !== undefined) throw new UsageError(`--${flag} does not take a value`);
+      opts[camelCase(flag)] = true;
+      continue;
+    }
+
+    if (inline === undefined) {
+      inline = argv[i + 1];
+      if (inline === undefined || inline.startsWith('--')) throw new UsageError(`--${flag} needs a value`);
+      i++;
+    }
+    opts[camelCase(flag)] = coerce(flag, spec, inline);
+  }
+
+  for (const [flag, spec] of Object.entries(specs)) {
+    const key = camelCase(flag);
+    if (opts[key] !== undefined) continue;
+    if (spec.required) throw new UsageError(`Missing required option: --${flag}`);
+    if (spec.default !== undefined) opts[key] = spec.default;
+    else if (spec.type === 'boolean') opts[key] = false;
+  }
+  return opts;
+}
+
+/** Render the option table for --help. */
+function formatOptions(specs) {
+  const rows = Object.entries(specs).map(([flag, spec]) => {
+    const left = spec.type === 'boolean' ? `--${flag}` : `--${flag} <${spec.placeholder || spec.type}>`;
+    let right = spec.description || '';
+    if (spec.required) right += ' (required)';
+    else if (spec.default !== undefined) right += ` (default: ${spec.default})`;
+    return [left, right];
+  });
+  const width = Math.max(...rows.map(([l]) => l.length)) + 2;
+  return rows.map(([l, r]) => `  ${l.padEnd(width)}${r}`).join('\n');
+}
+
+module.exports = {
+  UsageError,
+  parseArgs,
+  formatOptions,
+};
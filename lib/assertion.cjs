@@ -0,0 +1,920 @@
+'use strict';
+
+/**
+ * ASSERT1 operations — publish a bond-backed claim (plain text, typed JSON
+ * or a hash commitment), revoke, correct or reveal it, publish many at once
+ * under a Merkle root, and verify either kind. See ASSERT1.md for the wire
+ * format.
+ */
+
+const crypto = require('crypto');
+const { bsv } = require('scrypt-ts');
+const network = require('./network.cjs');
+const { createProvider } = require('./provider.cjs');
+const { getBond, getPanelBond } = require('./contracts.cjs');
+const { BONDS_DIR, ASSERTIONS_DIR, findState, saveState } = require('./state.cjs');
+const { merkleRoot, merkleProof, proofSides, rootFromProof } = require('./merkle.cjs');
+const { indexHeaders, checkInclusion } = require('./spv.cjs');
+const { openKeyring } = require('./wallet.cjs');
+const { NotFoundError, InsufficientFundsError, UnauthorizedError, ValidationError } = require('./errors.cjs');
+
+const PREFIX = 'ASSERT1';
+const VERSION = 0x02;
+const SIGNING_TAG = 'ASSERT1/v2';
+// v3 is v2 plus a content type, for claims that aren't plain text
+const TYPED_VERSION = 0x03;
+const TYPED_SIGNING_TAG = 'ASSERT1/v3';
+const TEXT_TYPE = 'text/plain';
+const COMMITMENT_TYPE = 'application/vnd.assert1.commitment';
+const AMENDMENTS = ['REVOKE', 'CORRECT'];
+const FEE = 500;
+const BUNDLE_FORMAT = 'assert1-bundle/1';
+
+function uint32LE(n) {
+  const buf = Buffer.alloc(4);
+  buf.writeUInt32LE(n);
+  return buf;
+}
+
+// SHA256 of the tag and every field, each prefixed with its varint length
+function taggedHash(tag, fields) {
+  const writer = new bsv.encoding.BufferWriter();
+  for (const field of [Buffer.from(tag, 'utf8'), ...fields]) {
+    writer.writeVarintNum(field.length);
+    writer.write(field);
+  }
+  return crypto.createHash('sha256').update(writer.toBuffer()).digest();
+}
+
+function isJsonType(contentType) {
+  return contentType === 'application/json' || /^application\/[\w.-]+\+json$/.test(contentType);
+}
+
+// Parsed JSON of a JSON claim, else null
+function claimData(contentType, claim) {
+  if (claim === null || !isJsonType(contentType)) return null;
+  try {
+    return JSON.parse(claim);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * The digest the bondholder signs.
+ *   v1: SHA256(bondTxid + topic + claim)
+ *   v2: taggedHash('ASSERT1/v2', bondTxid, outputIndex, topic, claim, validUntilBlock)
+ *   v3: taggedHash('ASSERT1/v3', bondTxid, outputIndex, topic, contentType, claim, validUntilBlock),
+ *       with the 32 commitment bytes as the claim of a commitment
+ */
+function signingHash({ version, bondTxid, outputIndex, topic, contentType, claim, commitment, validUntilBlock }) {
+  const txidBuf = Buffer.from(bondTxid, 'hex');
+  const topicBuf = Buffer.from(topic, 'utf8');
+  const claimBuf = commitment ? Buffer.from(commitment, 'hex') : Buffer.from(claim, 'utf8');
+  if (version === 0x01) {
+    return crypto.createHash('sha256').update(Buffer.concat([txidBuf, topicBuf, claimBuf])).digest();
+  }
+  if (version === TYPED_VERSION) {
+    return taggedHash(TYPED_SIGNING_TAG, [
+      txidBuf, uint32LE(outputIndex), topicBuf, Buffer.from(contentType, 'utf8'), claimBuf, uint32LE(validUntilBlock || 0),
+    ]);
+  }
+  return taggedHash(SIGNING_TAG, [txidBuf, uint32LE(outputIndex), topicBuf, claimBuf, uint32LE(validUntilBlock || 0)]);
+}
+
+// taggedHash('ASSERT1/v3/COMMIT', salt, contentType, claim)
+function commitmentHash({ salt, contentType, claim }) {
+  return taggedHash(`${TYPED_SIGNING_TAG}/COMMIT`, [
+    Buffer.from(salt, 'hex'), Buffer.from(contentType, 'utf8'), Buffer.from(claim, 'utf8'),
+  ]);
+}
+
+// taggedHash('ASSERT1/v2/REVOKE', assertTxid) or taggedHash('ASSERT1/v2/CORRECT', assertTxid, claim)
+function amendmentHash({ type, assertTxid, claim }) {
+  const fields = [Buffer.from(assertTxid, 'hex')];
+  if (type === 'CORRECT') fields.push(Buffer.from(claim, 'utf8'));
+  return taggedHash(`${SIGNING_TAG}/${type}`, fields);
+}
+
+// Batch leaves and inner nodes hash under their own tags, so a leaf can never pass as a node
+function leafHash({ topic, claim }) {
+  return taggedHash(`${SIGNING_TAG}/LEAF`, [Buffer.from(topic, 'utf8'), Buffer.from(claim, 'utf8')]);
+}
+
+function nodeHash(left, right) {
+  return taggedHash(`${SIGNING_TAG}/NODE`, [left, right]);
+}
+
+// taggedHash('ASSERT1/v2/BATCH', bondTxid, outputIndex, root, count, validUntilBlock)
+function batchHash({ bondTxid, outputIndex, root, count, validUntilBlock }) {
+  return taggedHash(`${SIGNING_TAG}/BATCH`, [
+    Buffer.from(bondTxid, 'hex'), uint32LE(outputIndex), root, uint32LE(count), uint32LE(validUntilBlock || 0),
+  ]);
+}
+
+function verifySig(hash, sigDER, publicKey) {
+  try {
+    const ecdsa = new bsv.crypto.ECDSA();
+    ecdsa.hashbuf = hash;
+    ecdsa.sig = bsv.crypto.Signature.fromDER(sigDER);
+    ecdsa.pubkey = bsv.PublicKey.fromString(publicKey);
+    ecdsa.verify();
+    return ecdsa.verified;
+  } catch {
+    return false;
+  }
+}
+
+/** Whether a parsed ASSERT1 claim or batch is signed by `bondholderPub`. */
+function signedBy(parsed, bondholderPub) {
+  return verifySig(parsed.root ? batchHash(parsed) : signingHash(parsed), parsed.sig, bondholderPub);
+}
+
+// Panel bonds compile to a different script, so try both contracts
+function parseBond(tx, outputIndex) {
+  for (const getContract of [getBond, getPanelBond]) {
+    try {
+      return getContract().fromTx(tx, outputIndex);
+    } catch {}
+  }
+  return null;
+}
+
+/**
+ * Decode a v1, v2 or v3 ASSERT1 OP_RETURN script. v1 always cites output 0
+ * and never expires; a `validUntilBlock` of 0 means no expiry. v1 and v2
+ * claims are plain text. A commitment has `claim` null and the hash in
+ * `commitment`.
+ * @returns {{version, bondTxid, outputIndex, topic, contentType, claim: string|null, commitment: string|null,
+ *   validUntilBlock: number|null, sig: Buffer}|null} null if not ASSERT1 or an unknown version
+ */
+function parseAssertScript(script) {
+  const pushes = script.chunks.filter(c => c.buf).map(c => c.buf);
+  if (pushes.length < 2 || pushes[0].toString('utf8') !== PREFIX) return null;
+  const version = pushes[1][0];
+  if (!pushes[2] || pushes[2].length !== 32) return null;
+  const bondTxid = Buffer.from(pushes[2]).reverse().toString('hex');
+
+  if (version === 0x01 && pushes.length >= 5) {
+    return {
+      version,
+      bondTxid,
+      outputIndex: 0,
+      topic: pushes[3].toString('utf8'),
+      contentType: TEXT_TYPE,
+      claim: pushes[4].toString('utf8'),
+      commitment: null,
+      validUntilBlock: null,
+      sig: pushes[5],
+    };
+  }
+  if (version === 0x02 && pushes.length >= 7 && pushes[3].length === 4 && pushes[6].length === 4) {
+    const validUntilBlock = pushes[6].readUInt32LE();
+    return {
+      version,
+      bondTxid,
+      outputIndex: pushes[3].readUInt32LE(),
+      topic: pushes[4].toString('utf8'),
+      contentType: TEXT_TYPE,
+      claim: pushes[5].toString('utf8'),
+      commitment: null,
+      validUntilBlock: validUntilBlock || null,
+      sig: pushes[7],
+    };
+  }
+  if (version === TYPED_VERSION && pushes.length >= 8 && pushes[3].length === 4 && pushes[7].length === 4) {
+    const contentType = pushes[5].toString('utf8');
+    const committed = contentType === COMMITMENT_TYPE;
+    if (committed && pushes[6].length !== 32) return null;
+    return {
+      version,
+      bondTxid,
+      outputIndex: pushes[3].readUInt32LE(),
+      topic: pushes[4].toString('utf8'),
+      contentType,
+      claim: committed ? null : pushes[6].toString('utf8'),
+      commitment: committed ? pushes[6].toString('hex') : null,
+      validUntilBlock: pushes[7].readUInt32LE() || null,
+      sig: pushes[8],
+    };
+  }
+  return null;
+}
+
+/**
+ * Decode a REVEAL OP_RETURN script.
+ * @returns {{assertTxid, salt: string, contentType, claim}|null} null if not one
+ */
+function parseRevealScript(script) {
+  const pushes = script.chunks.filter(c => c.buf).map(c => c.buf);
+  if (pushes.length < 7 || pushes[0].toString('utf8') !== PREFIX || pushes[1][0] !== TYPED_VERSION) return null;
+  if (pushes[2].toString('utf8') !== 'REVEAL' || pushes[3].length !== 32 || pushes[4].length !== 32) return null;
+  return {
+    assertTxid: Buffer.from(pushes[3]).reverse().toString('hex'),
+    salt: pushes[4].toString('hex'),
+    contentType: pushes[5].toString('utf8'),
+    claim: pushes[6].toString('utf8'),
+  };
+}
+
+/**
+ * Decode a REVOKE or CORRECT OP_RETURN script.
+ * @returns {{type: 'REVOKE'|'CORRECT', assertTxid, claim?: string, sig: Buffer}|null} null if not one
+ */
+function parseAmendmentScript(script) {
+  const pushes = script.chunks.filter(c => c.buf).map(c => c.buf);
+  if (pushes.length < 4 || pushes[0].toString('utf8') !== PREFIX || pushes[1][0] !== VERSION) return null;
+  const type = pushes[2].toString('utf8');
+  if (!AMENDMENTS.includes(type) || pushes[3].length !== 32) return null;
+  const assertTxid = Buffer.from(pushes[3]).reverse().toString('hex');
+  if (type === 'REVOKE') return { type, assertTxid, sig: pushes[4] };
+  if (pushes.length < 5) return null;
+  return { type, assertTxid, claim: pushes[4].toString('utf8'), sig: pushes[5] };
+}
+
+/**
+ * Decode a BATCH OP_RETURN script.
+ * @returns {{bondTxid, outputIndex, root: Buffer, count, validUntilBlock: number|null, sig: Buffer}|null} null if not one
+ */
+function parseBatchScript(script) {
+  const pushes = script.chunks.filter(c => c.buf).map(c => c.buf);
+  if (pushes.length < 8 || pushes[0].toString('utf8') !== PREFIX || pushes[1][0] !== VERSION) return null;
+  if (pushes[2].toString('utf8') !== 'BATCH') return null;
+  if (pushes[3].length !== 32 || pushes[4].length !== 4 || pushes[5].length !== 32
+    || pushes[6].length !== 4 || pushes[7].length !== 4) return null;
+  return {
+    bondTxid: Buffer.from(pushes[3]).reverse().toString('hex'),
+    outputIndex: pushes[4].readUInt32LE(),
+    root: pushes[5],
+    count: pushes[6].readUInt32LE(),
+    validUntilBlock: pushes[7].readUInt32LE() || null,
+    sig: pushes[8],
+  };
+}
+
+/**
+ * Where an assertion stands after its amendments. Only amendments signed by
+ * `bondholderPub` count; they apply in chain order and a revocation is final.
+ * @param {Array<{txid, blockHeight, type, claim?, sig}>} amendments parsed amendments citing the assertion
+ * @returns {{status: 'ACTIVE'|'REVOKED'|'SUPERSEDED', revokedBy: string|null, correction: {txid, claim}|null}}
+ */
+function amendmentStatus(assertTxid, bondholderPub, amendments) {
+  const result = { status: 'ACTIVE', revokedBy: null, correction: null };
+  const ordered = [...amendments].sort((a, b) => (a.blockHeight > 0 ? a.blockHeight : Infinity)
+    - (b.blockHeight > 0 ? b.blockHeight : Infinity));
+  for (const a of ordered) {
+    if (a.assertTxid !== assertTxid || !verifySig(amendmentHash(a), a.sig, bondholderPub)) continue;
+    if (a.type === 'REVOKE') return { ...result, status: 'REVOKED', revokedBy: a.txid };
+    result.status = 'SUPERSEDED';
+    result.correction = { txid: a.txid, claim: a.claim };
+  }
+  return result;
+}
+
+/**
+ * The first reveal, in chain order, that opens `commitment` of assertion
+ * `assertTxid`. Anyone holding the preimage may reveal; the hash is the check.
+ * @returns {{txid, contentType, claim}|null}
+ */
+function matchReveal(assertTxid, commitment, reveals) {
+  const ordered = [...reveals].sort((a, b) => (a.blockHeight > 0 ? a.blockHeight : Infinity)
+    - (b.blockHeight > 0 ? b.blockHeight : Infinity));
+  const match = ordered.find(r => r.assertTxid === assertTxid && commitmentHash(r).toString('hex') === commitment);
+  return match ? { txid: match.txid, contentType: match.contentType, claim: match.claim } : null;
+}
+
+// Every REVOKE/CORRECT/REVEAL in an address's history — the CLI publishes them from the bondholder wallet
+async function findFollowUps(address, provider) {
+  const amendments = [];
+  const reveals = [];
+  for (const entry of await provider.getHistory(address)) {
+    const tx = await provider.getTransaction(entry.tx_hash);
+    if (!tx) continue;
+    for (const output of tx.outputs) {
+      if (!output.script.isSafeDataOut()) continue;
+      const amendment = parseAmendmentScript(output.script);
+      if (amendment) amendments.push({ txid: entry.tx_hash, blockHeight: entry.height, ...amendment });
+      const reveal = parseRevealScript(output.script);
+      if (reveal) reveals.push({ txid: entry.tx_hash, blockHeight: entry.height, ...reveal });
+    }
+  }
+  return { amendments, reveals };
+}
+
+// Spend the funding key's UTXOs into `opReturn` plus change
+async function broadcastData(opReturn, privKey, provider) {
+  const pubKey = privKey.toPublicKey();
+  const address = privKey.toAddress(network.bsvNetwork);
+
+  const utxos = await provider.listUnspent(address.toString());
+  if (utxos.length === 0) throw new InsufficientFundsError('No UTXOs available to fund assertion tx');
+
+  const tx = new bsv.Transaction();
+  let totalIn = 0;
+  for (const utxo of utxos) {
+    tx.addInput(new bsv.Transaction.Input.PublicKeyHash({
+      output: new bsv.Transaction.Output({
+        script: bsv.Script.buildPublicKeyHashOut(address),
+        satoshis: utxo.value,
+      }),
+      prevTxId: utxo.tx_hash,
+      outputIndex: utxo.tx_pos,
+      script: bsv.Script.empty(),
+    }));
+    totalIn += utxo.value;
+    if (totalIn >= FEE) break;
+  }
+  if (totalIn < FEE) throw new InsufficientFundsError(`Need ${FEE} sats for the fee, only ${totalIn} available`, { needed: FEE, available: totalIn });
+
+  tx.addOutput(new bsv.Transaction.Output({ script: opReturn, satoshis: 0 }));
+  const change = totalIn - FEE;
+  if (change > 0) {
+    tx.addOutput(new bsv.Transaction.Output({
+      script: bsv.Script.buildPublicKeyHashOut(address),
+      satoshis: change,
+    }));
+  }
+
+  const sighashType = bsv.crypto.Signature.SIGHASH_ALL | bsv.crypto.Signature.SIGHASH_FORKID;
+  for (let i = 0; i < tx.inputs.length; i++) {
+    const sig = bsv.Transaction.Sighash.sign(
+      tx, privKey, sighashType,
+      i, tx.inputs[i].output.script, new bsv.crypto.BN(tx.inputs[i].output.satoshis)
+    );
+    const scriptSig = new bsv.Script();
+    scriptSig.add(Buffer.concat([sig.toDER(), Buffer.from([sighashType & 0xff])]));
+    scriptSig.add(pubKey.toBuffer());
+    tx.inputs[i].setScript(scriptSig);
+  }
+
+  return provider.broadcast(tx.uncheckedSerialize());
+}
+
+// The bond at bondTxid:outputIndex and the wallet's key for its bondholder
+async function openBond({ bondTxid, outputIndex, validUntilBlock, key, wif, wallet, passphrase, provider }) {
+  if (!Number.isInteger(outputIndex) || outputIndex < 0) {
+    throw new ValidationError(`Invalid output index: ${outputIndex}`);
+  }
+  if (validUntilBlock !== null && (!Number.isInteger(validUntilBlock) || validUntilBlock < 1 || validUntilBlock > 0xffffffff)) {
+    throw new ValidationError(`Invalid validUntilBlock: ${validUntilBlock}`);
+  }
+
+  const bondTx = await provider.getTransaction(bondTxid);
+  if (!bondTx) throw new NotFoundError(`Bond tx not found: ${bondTxid}`);
+  const bond = parseBond(bondTx, outputIndex);
+  if (!bond) throw new ValidationError(`Not a bond: ${bondTxid}:${outputIndex}`);
+
+  const keys = await openKeyring({ key, wif, wallet, passphrase });
+  const found = findState(BONDS_DIR, bondTxid);
+  const bondholderKey = keys.keyFor('bondholder', bond.bondholderPub, found && found.state.bondholderPath);
+  if (!bondholderKey) throw new UnauthorizedError('Wallet is not the bondholder of this bond');
+  return { bond, keys, bondholderKey };
+}
+
+/**
+ * Publish a claim backed by output `outputIndex` of `bondTxid`, signed with
+ * that bond's bondholder key. The fee comes from the wallet's funding key.
+ * `validUntilBlock` is the last block height the claim stands for.
+ *
+ * Plain text goes out as v2. `contentType` 'application/json' (or any
+ * application/*+json) publishes a JSON claim as v3. `commit` puts only a
+ * salted hash on-chain and saves the claim and salt to assertions/ for
+ * revealAssertion.
+ * @returns {Promise<{txid, bondTxid, outputIndex, topic, contentType, claim, commitment, validUntilBlock,
+ *   signer, bondActive, statePath?}>}
+ */
+async function publishAssertion({
+  bondTxid, outputIndex = 0, topic, claim, contentType = TEXT_TYPE, commit = false, validUntilBlock = null,
+  key, wif, wallet, passphrase, provider = createProvider(),
+}) {
+  if (!bondTxid || !topic || !claim) throw new ValidationError('publishAssertion needs bondTxid, topic and claim');
+  if (contentType !== TEXT_TYPE && !isJsonType(contentType)) {
+    throw new ValidationError(`Unsupported content type: ${contentType} (expected ${TEXT_TYPE} or application/json)`);
+  }
+  if (isJsonType(contentType) && claimData(contentType, claim) === null) {
+    throw new ValidationError(`Claim is not valid JSON for ${contentType}`);
+  }
+  const { bond, keys, bondholderKey } = await openBond({
+    bondTxid, outputIndex, validUntilBlock, key, wif, wallet, passphrase, provider,
+  });
+
+  const bondActive = !(await provider.getSpent(bondTxid, outputIndex));
+
+  const salt = commit ? crypto.randomBytes(32).toString('hex') : null;
+  const commitment = commit ? commitmentHash({ salt, contentType, claim }).toString('hex') : null;
+  const version = contentType === TEXT_TYPE && !commit ? VERSION : TYPED_VERSION;
+  const onChainType = commit ? COMMITMENT_TYPE : contentType;
+  const fields = { version, bondTxid, outputIndex, topic, contentType: onChainType, claim, commitment, validUntilBlock };
+  const sigDER = bsv.crypto.ECDSA.sign(signingHash(fields), bondholderKey).toDER();
+
+  // v2: OP_FALSE OP_RETURN ASSERT1 <version> <bondTxid LE> <outputIndex> <topic> <claim> <validUntilBlock> <sig>
+  // v3: the same with <contentType> before <claim>
+  const opReturn = new bsv.Script();
+  opReturn.add(bsv.Opcode.OP_FALSE);
+  opReturn.add(bsv.Opcode.OP_RETURN);
+  opReturn.add(Buffer.from(PREFIX, 'utf8'));
+  opReturn.add(Buffer.from([version]));
+  opReturn.add(Buffer.from(bondTxid, 'hex').reverse());
+  opReturn.add(uint32LE(outputIndex));
+  opReturn.add(Buffer.from(topic, 'utf8'));
+  if (version === TYPED_VERSION) opReturn.add(Buffer.from(onChainType, 'utf8'));
+  opReturn.add(commit ? Buffer.from(commitment, 'hex') : Buffer.from(claim, 'utf8'));
+  opReturn.add(uint32LE(validUntilBlock || 0));
+  opReturn.add(Buffer.from(sigDER));
+
+  const txid = await broadcastData(opReturn, keys.fundingKey, provider);
+  const signer = bsv.Address.fromPublicKeyHash(Buffer.from(bond.bondholderPkh, 'hex'), network.bsvNetwork).toString();
+  const result = { txid, bondTxid, outputIndex, topic, contentType, claim, commitment, validUntilBlock, signer, bondActive };
+  if (commit) {
+    // The only copy of the preimage — without it the claim can never be revealed
+    result.statePath = saveState(ASSERTIONS_DIR, txid, {
+      type: 'commitment',
+      txid,
+      bondTxid,
+      outputIndex,
+      topic,
+      contentType,
+      claim,
+      salt,
+      commitment,
+      network: network.name,
+      createdAt: new Date().toISOString(),
+    });
+  }
+  return result;
+}
+
+// The ASSERT1 claim in `tx`, naming the other ASSERT1 kinds when it isn't one
+function assertionOf(tx, txid) {
+  const opReturn = tx.outputs.find(o => o.script.isSafeDataOut() || o.script.isDataOut());
+  if (!opReturn) throw new ValidationError('No OP_RETURN found in transaction');
+  const parsed = parseAssertScript(opReturn.script);
+  if (!parsed) {
+    const amendment = parseAmendmentScript(opReturn.script);
+    if (amendment) throw new ValidationError(`${txid} is a ${amendment.type} of assertion ${amendment.assertTxid}`);
+    const batch = parseBatchScript(opReturn.script);
+    if (batch) throw new ValidationError(`${txid} is a batch of ${batch.count} claims — verify one with its inclusion proof`);
+    const reveal = parseRevealScript(opReturn.script);
+    if (reveal) throw new ValidationError(`${txid} is a REVEAL of assertion ${reveal.assertTxid}`);
+    throw new ValidationError('Not an ASSERT1 transaction');
+  }
+  return parsed;
+}
+
+function citedBond(parsed, bondTx) {
+  const bond = parseBond(bondTx, parsed.outputIndex);
+  if (!bond) throw new ValidationError(`Cited output is not a bond: ${parsed.bondTxid}:${parsed.outputIndex}`);
+  return bond;
+}
+
+// The assertion `txid` and the Bond contract it cites
+async function loadAssertion(txid, provider) {
+  const tx = await provider.getTransaction(txid);
+  if (!tx) throw new NotFoundError(`Transaction not found: ${txid}`);
+  const parsed = assertionOf(tx, txid);
+
+  const bondTx = await provider.getTransaction(parsed.bondTxid);
+  if (!bondTx) throw new NotFoundError(`Bond tx not found: ${parsed.bondTxid}`);
+  return { parsed, bond: citedBond(parsed, bondTx), bondTx };
+}
+
+async function publishAmendment(type, { txid, claim, key, wif, wallet, passphrase, provider = createProvider() }) {
+  if (!txid) throw new ValidationError(`${type} needs the assertion txid`);
+  if (type === 'CORRECT' && !claim) throw new ValidationError('CORRECT needs the replacement claim');
+
+  const { parsed, bond } = await loadAssertion(txid, provider);
+  const keys = await openKeyring({ key, wif, wallet, passphrase });
+  const found = findState(BONDS_DIR, parsed.bondTxid);
+  const bondholderKey = keys.keyFor('bondholder', bond.bondholderPub, found && found.state.bondholderPath);
+  if (!bondholderKey) throw new UnauthorizedError('Wallet is not the bondholder of the bond behind this assertion');
+
+  const sigDER = bsv.crypto.ECDSA.sign(amendmentHash({ type, assertTxid: txid, claim }), bondholderKey).toDER();
+
+  // OP_FALSE OP_RETURN ASSERT1 <version> <type> <assertTxid LE> [<claim>] <sig>
+  const opReturn = new bsv.Script();
+  opReturn.add(bsv.Opcode.OP_FALSE);
+  opReturn.add(bsv.Opcode.OP_RETURN);
+  opReturn.add(Buffer.from(PREFIX, 'utf8'));
+  opReturn.add(Buffer.from([VERSION]));
+  opReturn.add(Buffer.from(type, 'utf8'));
+  opReturn.add(Buffer.from(txid, 'hex').reverse());
+  if (type === 'CORRECT') opReturn.add(Buffer.from(claim, 'utf8'));
+  opReturn.add(Buffer.from(sigDER));
+
+  return {
+    txid: await broadcastData(opReturn, keys.fundingKey, provider),
+    type,
+    assertTxid: txid,
+    previousClaim: parsed.claim,
+    ...(type === 'CORRECT' ? { claim } : {}),
+  };
+}
+
+/**
+ * Withdraw assertion `txid` without touching its bond. Signed by the same
+ * bondholder key as the assertion.
+ * @returns {Promise<{txid, type, assertTxid, previousClaim}>}
+ */
+function revokeAssertion(opts) {
+  return publishAmendment('REVOKE', opts);
+}
+
+/**
+ * Replace the claim of assertion `txid` with `claim`. Topic, bond and expiry
+ * carry over from the original.
+ * @returns {Promise<{txid, type, assertTxid, previousClaim, claim}>}
+ */
+function correctAssertion(opts) {
+  return publishAmendment('CORRECT', opts);
+}
+
+/**
+ * Open the commitment of assertion `txid` on-chain, from the claim and salt
+ * publishAssertion saved in assertions/. Needs no bondholder signature —
+ * the commitment hash is the check — but is paid from the wallet so
+ * verifiers find it in the bondholder's history.
+ * @returns {Promise<{txid, assertTxid, contentType, claim}>}
+ */
+async function revealAssertion({ txid, key, wif, wallet, passphrase, provider = createProvider() }) {
+  if (!txid) throw new ValidationError('revealAssertion needs the assertion txid');
+  const found = findState(ASSERTIONS_DIR, txid);
+  if (!found || found.state.type !== 'commitment') {
+    throw new NotFoundError(`No saved commitment for ${txid} in ${ASSERTIONS_DIR}`);
+  }
+  const { salt, contentType, claim } = found.state;
+
+  const { parsed } = await loadAssertion(txid, provider);
+  if (parsed.commitment !== commitmentHash({ salt, contentType, claim }).toString('hex')) {
+    throw new ValidationError(`${found.path} does not open the commitment in ${txid}`);
+  }
+  const keys = await openKeyring({ key, wif, wallet, passphrase });
+
+  // OP_FALSE OP_RETURN ASSERT1 <0x03> REVEAL <assertTxid LE> <salt> <contentType> <claim>
+  const opReturn = new bsv.Script();
+  opReturn.add(bsv.Opcode.OP_FALSE);
+  opReturn.add(bsv.Opcode.OP_RETURN);
+  opReturn.add(Buffer.from(PREFIX, 'utf8'));
+  opReturn.add(Buffer.from([TYPED_VERSION]));
+  opReturn.add(Buffer.from('REVEAL', 'utf8'));
+  opReturn.add(Buffer.from(txid, 'hex').reverse());
+  opReturn.add(Buffer.from(salt, 'hex'));
+  opReturn.add(Buffer.from(contentType, 'utf8'));
+  opReturn.add(Buffer.from(claim, 'utf8'));
+
+  return { txid: await broadcastData(opReturn, keys.fundingKey, provider), assertTxid: txid, contentType, claim };
+}
+
+/**
+ * Check an assertion against the bond it cites (ASSERT1.md, Verification):
+ * the signature must be by the `bondholderPub` inside that Bond contract.
+ * Who funded the assertion tx doesn't matter. `expired` is set once the
+ * chain is past `validUntilBlock`, and `status` once the bondholder revokes
+ * or corrects it; neither affects `valid`. JSON claims come back parsed in
+ * `data`; a commitment comes back with the `reveal` that opens it, if any.
+ * Online, `valid` is `signatureValid`; a missing tx, a cited output that
+ * isn't a bond or a failed lookup throws instead.
+ * @returns {Promise<{txid, valid, signatureValid, version, bondTxid, outputIndex, topic, contentType, claim, data, commitment,
+ *   reveal: {txid, contentType, claim, data}|null, validUntilBlock, expired, status, revokedBy, correction,
+ *   asserter, bondholderPub, bondAmount, bondActive}>}
+ */
+async function verifyAssertion({ txid, provider = createProvider() }) {
+  const { parsed, bond, bondTx } = await loadAssertion(txid, provider);
+  const asserter = bsv.Address.fromPublicKeyHash(Buffer.from(bond.bondholderPkh, 'hex'), network.bsvNetwork).toString();
+  return assertionReport({
+    txid,
+    parsed,
+    bond,
+    bondTx,
+    ...await findFollowUps(asserter, provider),
+    height: await provider.getHeight(),
+    bondActive: !(await provider.getSpent(parsed.bondTxid, parsed.outputIndex)),
+  });
+}
+
+// What verifyAssertion and verifyBundle report, from whatever chain data each trusts
+function assertionReport({ txid, parsed, bond, bondTx, amendments, reveals, height, bondActive }) {
+  const { status, revokedBy, correction } = amendmentStatus(txid, bond.bondholderPub, amendments);
+  const reveal = parsed.commitment && matchReveal(txid, parsed.commitment, reveals);
+  const signatureValid = verifySig(signingHash(parsed), parsed.sig, bond.bondholderPub);
+
+  return {
+    txid,
+    valid: signatureValid,
+    signatureValid,
+    version: parsed.version,
+    bondTxid: parsed.bondTxid,
+    outputIndex: parsed.outputIndex,
+    topic: parsed.topic,
+    contentType: parsed.contentType,
+    claim: parsed.claim,
+    data: claimData(parsed.contentType, parsed.claim),
+    commitment: parsed.commitment,
+    reveal: reveal ? { ...reveal, data: claimData(reveal.contentType, reveal.claim) } : null,
+    validUntilBlock: parsed.validUntilBlock,
+    expired: parsed.validUntilBlock !== null && height > parsed.validUntilBlock,
+    status,
+    revokedBy,
+    correction,
+    asserter: bsv.Address.fromPublicKeyHash(Buffer.from(bond.bondholderPkh, 'hex'), network.bsvNetwork).toString(),
+    bondholderPub: bond.bondholderPub,
+    bondAmount: bondTx.outputs[parsed.outputIndex].satoshis,
+    bondActive,
+  };
+}
+
+// A tx and its Merkle path, for a bundle
+async function provenTx(txid, provider, what) {
+  const rawTx = await provider.getRawTx(txid);
+  if (!rawTx) throw new NotFoundError(`${what} not found: ${txid}`);
+  const proof = await provider.getMerkleProof(txid);
+  return { txid, rawTx, proof };
+}
+
+/**
+ * Package everything needed to verify assertion `txid` offline: the raw
+ * assertion and bond transactions, the bondholder's amendments and reveals
+ * of it, the tx spending the bond if there is one, and a Merkle path for
+ * each. Pass the result to verifyBundle with block headers.
+ *
+ * The assertion and bond must be mined. Unmined follow-ups are left out,
+ * since they could not be proven anyway.
+ * @returns {Promise<{format, network, createdAt, assertion: {txid, rawTx, proof}, bond: {txid, rawTx, proof},
+ *   followUps: Array<{txid, rawTx, proof}>, bondSpend: {txid, rawTx, proof}|null}>}
+ */
+async function exportProof({ txid, provider = createProvider() }) {
+  if (!txid) throw new ValidationError('exportProof needs the assertion txid');
+  const { parsed, bond } = await loadAssertion(txid, provider);
+
+  const assertion = await provenTx(txid, provider, 'Transaction');
+  if (!assertion.proof) throw new ValidationError(`Assertion ${txid} is not mined yet — export once it confirms`);
+  const bondEntry = await provenTx(parsed.bondTxid, provider, 'Bond tx');
+  if (!bondEntry.proof) throw new ValidationError(`Bond ${parsed.bondTxid} is not mined yet — export once it confirms`);
+
+  const asserter = bsv.Address.fromPublicKeyHash(Buffer.from(bond.bondholderPkh, 'hex'), network.bsvNetwork).toString();
+  const { amendments, reveals } = await findFollowUps(asserter, provider);
+  const followUps = [];
+  for (const f of [...amendments, ...reveals]) {
+    if (f.assertTxid !== txid) continue;
+    const entry = await provenTx(f.txid, provider, 'Transaction');
+    if (entry.proof) followUps.push(entry);
+  }
+
+  const spent = await provider.getSpent(parsed.bondTxid, parsed.outputIndex);
+  const bondSpend = spent && await provenTx(spent.txid, provider, 'Bond spend');
+
+  return {
+    format: BUNDLE_FORMAT,
+    network: network.name,
+    createdAt: new Date().toISOString(),
+    assertion,
+    bond: bondEntry,
+    followUps,
+    bondSpend: bondSpend && bondSpend.proof ? bondSpend : null,
+  };
+}
+
+// Parse a bundle entry, checking its txid; `inclusion` is null unless the headers prove it
+function openEntry(entry, headers, what) {
+  if (!entry || typeof entry.rawTx !== 'string') throw new ValidationError(`Bundle is missing the ${what}`);
+  let tx;
+  try {
+    tx = new bsv.Transaction(entry.rawTx);
+  } catch {
+    throw new ValidationError(`Bundle ${what} is not a valid transaction`);
+  }
+  if (tx.id !== entry.txid) throw new ValidationError(`Bundle ${what} does not hash to ${entry.txid}`);
+  return { tx, inclusion: checkInclusion(tx.id, entry.proof, headers) };
+}
+
+/**
+ * Verify an exportProof bundle with no network access. `headers` are the
+ * block headers the caller trusts (see spv.cjs); the assertion and bond
+ * must both be proven in them for `valid`. Follow-ups count only if they
+ * are proven too, and `currentHeight` — the highest header — decides
+ * expiry.
+ *
+ * A bundle can only prove what it contains: `bondActive` is false when it
+ * proves a spend of the bond, and null otherwise, since being unspent
+ * can't be shown offline.
+ * @returns {{txid, valid, proven, inclusion: {assertion, bond}, currentHeight, ...verifyAssertion}}
+ */
+function verifyBundle({ bundle, headers }) {
+  if (!bundle || bundle.format !== BUNDLE_FORMAT) {
+    throw new ValidationError(`Not an ASSERT1 proof bundle (expected format ${BUNDLE_FORMAT})`);
+  }
+  if (bundle.network !== network.name) {
+    throw new ValidationError(`Bundle is for ${bundle.network}, not ${network.name}`);
+  }
+  const index = indexHeaders(headers);
+  if (index.size === 0) throw new ValidationError('No block headers to verify against');
+  const currentHeight = Math.max(...[...index.values()].map(h => h.height));
+
+  const assertion = openEntry(bundle.assertion, index, 'assertion tx');
+  const txid = assertion.tx.id;
+  const parsed = assertionOf(assertion.tx, txid);
+  const bondEntry = openEntry(bundle.bond, index, 'bond tx');
+  if (bondEntry.tx.id !== parsed.bondTxid) {
+    throw new ValidationError(`Bundle bond tx is ${bondEntry.tx.id}, but the assertion cites ${parsed.bondTxid}`);
+  }
+  const bond = citedBond(parsed, bondEntry.tx);
+
+  const amendments = [];
+  const reveals = [];
+  for (const [i, entry] of (bundle.followUps || []).entries()) {
+    const { tx, inclusion } = openEntry(entry, index, `follow-up ${i}`);
+    if (!inclusion) continue;
+    for (const output of tx.outputs) {
+      if (!output.script.isSafeDataOut()) continue;
+      const amendment = parseAmendmentScript(output.script);
+      if (amendment) amendments.push({ txid: tx.id, blockHeight: inclusion.height, ...amendment });
+      const reveal = parseRevealScript(output.script);
+      if (reveal) reveals.push({ txid: tx.id, blockHeight: inclusion.height, ...reveal });
+    }
+  }
+
+  let bondActive = null;
+  if (bundle.bondSpend) {
+    const { tx, inclusion } = openEntry(bundle.bondSpend, index, 'bond spend');
+    const spendsBond = tx.inputs.some(input => input.prevTxId.toString('hex') === parsed.bondTxid
+      && input.outputIndex === parsed.outputIndex);
+    if (inclusion && spendsBond) bondActive = false;
+  }
+
+  const report = assertionReport({
+    txid, parsed, bond, bondTx: bondEntry.tx, amendments, reveals, height: currentHeight, bondActive,
+  });
+  const proven = Boolean(assertion.inclusion && bondEntry.inclusion);
+  return {
+    ...report,
+    valid: report.signatureValid && proven,
+    proven,
+    inclusion: { assertion: assertion.inclusion, bond: bondEntry.inclusion },
+    currentHeight,
+  };
+}
+
+function checkClaims(claims, topic) {
+  if (!Array.isArray(claims) || claims.length === 0) throw new ValidationError('A batch needs at least one claim');
+  if (claims.length > 0xffffffff) throw new ValidationError(`Too many claims: ${claims.length}`);
+  return claims.map((entry, i) => {
+    const c = typeof entry === 'string' ? { topic, claim: entry } : { topic, ...entry };
+    if (typeof c.topic !== 'string' || !c.topic || typeof c.claim !== 'string' || !c.claim) {
+      throw new ValidationError(`Claim ${i} needs a topic and claim text`);
+    }
+    return { topic: c.topic, claim: c.claim };
+  });
+}
+
+/**
+ * Publish many claims in one transaction: the bondholder signs the Merkle
+ * root of the claims, and the claims themselves are saved to assertions/
+ * for building inclusion proofs later. `claims` holds `{topic, claim}`
+ * objects, or plain strings that take `topic`.
+ * @returns {Promise<{txid, bondTxid, outputIndex, root, count, validUntilBlock, signer, bondActive, statePath}>}
+ */
+async function publishBatch({
+  bondTxid, outputIndex = 0, claims, topic, validUntilBlock = null,
+  key, wif, wallet, passphrase, provider = createProvider(),
+}) {
+  if (!bondTxid) throw new ValidationError('publishBatch needs bondTxid');
+  claims = checkClaims(claims, topic);
+  const { bond, keys, bondholderKey } = await openBond({
+    bondTxid, outputIndex, validUntilBlock, key, wif, wallet, passphrase, provider,
+  });
+
+  const bondActive = !(await provider.getSpent(bondTxid, outputIndex));
+  const root = merkleRoot(claims.map(leafHash), nodeHash);
+  const count = claims.length;
+  const sigDER = bsv.crypto.ECDSA.sign(
+    batchHash({ bondTxid, outputIndex, root, count, validUntilBlock }), bondholderKey
+  ).toDER();
+
+  // OP_FALSE OP_RETURN ASSERT1 <version> BATCH <bondTxid LE> <outputIndex> <root> <count> <validUntilBlock> <sig>
+  const opReturn = new bsv.Script();
+  opReturn.add(bsv.Opcode.OP_FALSE);
+  opReturn.add(bsv.Opcode.OP_RETURN);
+  opReturn.add(Buffer.from(PREFIX, 'utf8'));
+  opReturn.add(Buffer.from([VERSION]));
+  opReturn.add(Buffer.from('BATCH', 'utf8'));
+  opReturn.add(Buffer.from(bondTxid, 'hex').reverse());
+  opReturn.add(uint32LE(outputIndex));
+  opReturn.add(root);
+  opReturn.add(uint32LE(count));
+  opReturn.add(uint32LE(validUntilBlock || 0));
+  opReturn.add(Buffer.from(sigDER));
+
+  const txid = await broadcastData(opReturn, keys.fundingKey, provider);
+  const signer = bsv.Address.fromPublicKeyHash(Buffer.from(bond.bondholderPkh, 'hex'), network.bsvNetwork).toString();
+
+  const statePath = saveState(ASSERTIONS_DIR, txid, {
+    type: 'batch',
+    txid,
+    bondTxid,
+    outputIndex,
+    root: root.toString('hex'),
+    count,
+    validUntilBlock,
+    signer,
+    network: network.name,
+    createdAt: new Date().toISOString(),
+    claims,
+  });
+
+  return { txid, bondTxid, outputIndex, root: root.toString('hex'), count, validUntilBlock, signer, bondActive, statePath };
+}
+
+/**
+ * Inclusion proof for claim `index` of batch `txid`, from the batch saved
+ * in assertions/. Hand it to verifyBatchClaim — no other local files needed.
+ * @returns {Promise<{batchTxid, index, topic, claim, path: Array<{side, hash}>}>}
+ */
+async function proveBatchClaim({ txid, index }) {
+  const found = findState(ASSERTIONS_DIR, txid);
+  if (!found) throw new NotFoundError(`Batch not found in ${ASSERTIONS_DIR}: ${txid}`);
+  const { state } = found;
+  if (!Number.isInteger(index) || index < 0 || index >= state.claims.length) {
+    throw new ValidationError(`Claim index out of range: ${index} (batch has ${state.claims.length})`);
+  }
+
+  const leaves = state.claims.map(leafHash);
+  if (merkleRoot(leaves, nodeHash).toString('hex') !== state.root) {
+    throw new ValidationError(`${found.path} does not match its Merkle root — claims were edited`);
+  }
+  const { topic, claim } = state.claims[index];
+  return { batchTxid: state.txid, index, topic, claim, path: merkleProof(leaves, index, nodeHash) };
+}
+
+/**
+ * Check one batched claim: its proof must lead to the root in the batch
+ * transaction, and that root must be signed by the bondholder key of the
+ * bond the batch cites.
+ * @returns {Promise<{valid, signatureValid, included, batchTxid, index, topic, claim, root, count,
+ *   validUntilBlock, expired, asserter, bondholderPub, bondTxid, outputIndex, bondAmount, bondActive}>}
+ */
+async function verifyBatchClaim({ proof, provider = createProvider() }) {
+  const { batchTxid, index, topic, claim, path } = proof || {};
+  if (!batchTxid || !Number.isInteger(index) || typeof topic !== 'string' || typeof claim !== 'string'
+    || !Array.isArray(path) || path.some(p => !['left', 'right'].includes(p.side) || !/^[0-9a-f]{64}$/i.test(p.hash))) {
+    throw new ValidationError('Malformed inclusion proof');
+  }
+
+  const tx = await provider.getTransaction(batchTxid);
+  if (!tx) throw new NotFoundError(`Transaction not found: ${batchTxid}`);
+  const opReturn = tx.outputs.find(o => o.script.isSafeDataOut() || o.script.isDataOut());
+  const batch = opReturn && parseBatchScript(opReturn.script);
+  if (!batch) throw new ValidationError(`Not an ASSERT1 batch: ${batchTxid}`);
+
+  const bondTx = await provider.getTransaction(batch.bondTxid);
+  if (!bondTx) throw new NotFoundError(`Bond tx not found: ${batch.bondTxid}`);
+  const bond = parseBond(bondTx, batch.outputIndex);
+  if (!bond) throw new ValidationError(`Cited output is not a bond: ${batch.bondTxid}:${batch.outputIndex}`);
+
+  const signatureValid = verifySig(batchHash(batch), batch.sig, bond.bondholderPub);
+  // The sides pin the proof to `index`; the hashes pin it to the root
+  const included = index >= 0 && index < batch.count
+    && path.map(p => p.side).join() === proofSides(index, batch.count).join()
+    && rootFromProof(leafHash({ topic, claim }), path, nodeHash).equals(batch.root);
+
+  return {
+    valid: signatureValid && included,
+    signatureValid,
+    included,
+    batchTxid,
+    index,
+    topic,
+    claim,
+    root: batch.root.toString('hex'),
+    count: batch.count,
+    validUntilBlock: batch.validUntilBlock,
+    expired: batch.validUntilBlock !== null && await provider.getHeight() > batch.validUntilBlock,
+    asserter: bsv.Address.fromPublicKeyHash(Buffer.from(bond.bondholderPkh, 'hex'), network.bsvNetwork).toString(),
+    bondholderPub: bond.bondholderPub,
+    bondTxid: batch.bondTxid,
+    outputIndex: batch.outputIndex,
+    bondAmount: bondTx.outputs[batch.outputIndex].satoshis,
+    bondActive: !(await provider.getSpent(batch.bondTxid, batch.outputIndex)),
+  };
+}
+
+module.exports = {
+  signingHash,
+  parseAssertScript,
+  parseAmendmentScript,
+  parseRevealScript,
+  parseBatchScript,
+  signedBy,
+  amendmentStatus,
+  matchReveal,
+  claimData,
+  loadAssertion,
+  publishAssertion,
+  revokeAssertion,
+  correctAssertion,
+  revealAssertion,
+  verifyAssertion,
+  exportProof,
+  verifyBundle,
+  publishBatch,
+  proveBatchClaim,
+  verifyBatchClaim,
+};
@@ -0,0 +1,260 @@
+'use strict';
+
+/**
+ * Bond operations — deploy, release, slash and status.
+ *
+ * Each function does the whole job (chain lookups, signing, broadcast,
+ * state file) and returns a plain result object; printing is left to the
+ * caller. Failures throw.
+ */
+
+const { bsv, toByteString, PubKey, PubKeyHash } = require('scrypt-ts');
+const network = require('./network.cjs');
+const { createProvider } = require('./provider.cjs');
+const { SPEND_FEE, DEPLOY_FEE, DUST_LIMIT, getBond, getPanelBond, buildSpend, calledMethod } = require('./contracts.cjs');
+const { BONDS_DIR, findState, saveState } = require('./state.cjs');
+const { openKeyring } = require('./wallet.cjs');
+const { NotFoundError, AlreadySpentError, LockedError, UnauthorizedError, InsufficientFundsError, ValidationError } = require('./errors.cjs');
+
+function pkhAddress(pkh) {
+  return bsv.Address.fromPublicKeyHash(Buffer.from(pkh, 'hex'), network.bsvNetwork).toString();
+}
+
+// The contract checks the slasher's signature, so it needs the public key; an
+// address can only confirm the key is the one the slasher meant to hand over.
+function parseSlasherPub(slasherPub, slasherAddress) {
+  let pub;
+  try {
+    pub = bsv.PublicKey.fromString(slasherPub);
+  } catch {
+    throw new ValidationError(`Invalid slasher public key: ${slasherPub}`);
+  }
+  const derived = pub.toAddress(network.bsvNetwork).toString();
+  if (slasherAddress && bsv.Address.fromString(slasherAddress).toString() !== derived) {
+    throw new ValidationError(`Slasher public key belongs to ${derived}, not ${slasherAddress}`);
+  }
+  return pub;
+}
+
+// Panel bonds share release() with Bond but compile to a different script,
+// so tell them apart by which one the output parses as
+function bondFromTx(tx, txid) {
+  try {
+    return getBond().fromTx(tx, 0);
+  } catch {}
+  try {
+    return getPanelBond().fromTx(tx, 0);
+  } catch {}
+  throw new ValidationError(`Not a bond: ${txid}`);
+}
+
+async function fetchUnspentBond(provider, txid, Contract = null) {
+  const spent = await provider.getSpent(txid, 0);
+  if (spent) {
+    throw new AlreadySpentError('Bond already spent.', { spentBy: spent.txid });
+  }
+  const tx = await provider.getTransaction(txid);
+  if (!tx) throw new NotFoundError(`Bond tx not found: ${txid}`);
+  return Contract ? Contract.fromTx(tx, 0) : bondFromTx(tx, txid);
+}
+
+/**
+ * Lock `amount` sats in a Bond released after `lockBlocks` blocks.
+ * HD wallets lock it to a fresh bondholder key (recorded as `bondholderPath`)
+ * and release it back to the funding address.
+ * @returns {Promise<{txid, amount, lockUntil, currentHeight, bondholderAddress, slasherAddress, slashDest, statePath}>}
+ */
+async function deployBond({ amount = 10000, lockBlocks = 10, slasherPub, slasherAddress, slashDest, key, wif, wallet, passphrase, provider = createProvider() }) {
+  if (!slasherPub || !slashDest) throw new ValidationError('deployBond needs slasherPub and slashDest');
+  const Bond = getBond();
+
+  const slasherPubKey = parseSlasherPub(slasherPub, slasherAddress);
+  const keys = await openKeyring({ key, wif, wallet, passphrase });
+  const fundingKey = keys.fundingKey;
+  const bondholderAddr = keys.fundingAddress;
+
+  const slashDestAddr = bsv.Address.fromString(slashDest);
+  if (!network.isOwnAddress(slashDestAddr)) {
+    throw new ValidationError(`Slash destination is not a ${network.name} address: ${slashDest}`);
+  }
+
+  const currentHeight = await provider.getHeight();
+  const lockUntil = currentHeight + lockBlocks;
+
+  const utxos = await provider.listUnspent(bondholderAddr.toString());
+  if (utxos.length === 0) throw new InsufficientFundsError(`No UTXOs at ${bondholderAddr.toString()}`);
+
+  const totalAvailable = utxos.reduce((s, u) => s + u.value, 0);
+  const needed = amount + DEPLOY_FEE;
+  if (totalAvailable < needed) {
+    throw new InsufficientFundsError(`Need ${needed} sats, only ${totalAvailable} available`, { needed, available: totalAvailable });
+  }
+
+  const bondholder = await keys.reserve('bondholder');
+  const bond = new Bond(
+    PubKeyHash(toByteString(bondholderAddr.hashBuffer.toString('hex'))),
+    PubKey(toByteString(bondholder.publicKey)),
+    BigInt(lockUntil),
+    PubKey(toByteString(slasherPubKey.toHex())),
+    PubKeyHash(toByteString(slashDestAddr.hashBuffer.toString('hex')))
+  );
+
+  const tx = new bsv.Transaction();
+  for (const u of utxos) {
+    tx.from({
+      txId: u.tx_hash,
+      outputIndex: u.tx_pos,
+      script: bsv.Script.buildPublicKeyHashOut(bondholderAddr).toHex(),
+      satoshis: u.value,
+    });
+  }
+  tx.addOutput(new bsv.Transaction.Output({ script: bond.lockingScript, satoshis: amount }));
+  const change = totalAvailable - amount - DEPLOY_FEE;
+  if (change > DUST_LIMIT) {
+    tx.addOutput(new bsv.Transaction.Output({
+      script: bsv.Script.buildPublicKeyHashOut(bondholderAddr),
+      satoshis: change,
+    }));
+  }
+  tx.sign(fundingKey);
+
+  const txid = await provider.broadcast(tx.serialize());
+
+  const state = {
+    bondTxid: txid,
+    outputIndex: 0,
+    amount,
+    lockUntil,
+    bondholderAddress: bondholderAddr.toString(),
+    bondholderPub: bondholder.publicKey,
+    ...(bondholder.path ? { bondholderPath: bondholder.path } : {}),
+    slasherAddress: slasherPubKey.toAddress(network.bsvNetwork).toString(),
+    slasherPub: slasherPubKey.toHex(),
+    slashDest,
+    network: network.name,
+    deployedAt: new Date().toISOString(),
+    blockHeight: currentHeight,
+  };
+  const statePath = saveState(BONDS_DIR, txid, state);
+
+  return {
+    txid,
+    amount,
+    lockUntil,
+    currentHeight,
+    bondholderAddress: state.bondholderAddress,
+    slasherAddress: state.slasherAddress,
+    slashDest,
+    statePath,
+  };
+}
+
+/**
+ * Return a bond to its holder once the lock has passed.
+ * @returns {Promise<{txid, bondTxid, bondAmount, amount, to, lockUntil, currentHeight}>}
+ */
+async function releaseBond({ txid, key, wif, wallet, passphrase, provider = createProvider() }) {
+  const keys = await openKeyring({ key, wif, wallet, passphrase });
+  const bond = await fetchUnspentBond(provider, txid);
+  const found = findState(BONDS_DIR, txid);
+  const bondholderKey = keys.keyFor('bondholder', bond.bondholderPub, found && found.state.bondholderPath);
+  if (!bondholderKey) {
+    throw new UnauthorizedError('Wallet is not the bondholder of this bond');
+  }
+
+  const bondAmount = Number(bond.balance);
+  const lockUntil = Number(bond.lockUntil);
+  const currentHeight = await provider.getHeight();
+  if (currentHeight < lockUntil) {
+    throw new LockedError(`Bond still locked. ${lockUntil - currentHeight} blocks remaining.`, { unlockHeight: lockUntil, currentHeight });
+  }
+
+  const to = pkhAddress(bond.bondholderPkh);
+  const amount = bondAmount - SPEND_FEE;
+  const tx = await buildSpend({
+    instance: bond, method: 'release', key: bondholderKey,
+    to, amount, lockTime: currentHeight, provider,
+  });
+  const spendTxid = await provider.broadcast(tx.uncheckedSerialize());
+
+  return { txid: spendTxid, bondTxid: txid, bondAmount, amount, to, lockUntil, currentHeight };
+}
+
+/**
+ * Send a bond to its slash destination (slasher key required).
+ * @returns {Promise<{txid, bondTxid, bondAmount, amount, to}>}
+ */
+async function slashBond({ txid, key, wif, wallet, passphrase, provider = createProvider() }) {
+  const keys = await openKeyring({ key, wif, wallet, passphrase });
+  const bond = await fetchUnspentBond(provider, txid, getBond());
+  const slasherKey = keys.keyFor('slasher', bond.slasherPub);
+  if (!slasherKey) {
+    throw new UnauthorizedError('Key is not the slasher of this bond');
+  }
+
+  const bondAmount = Number(bond.balance);
+  const to = pkhAddress(bond.slashDestPkh);
+  const amount = bondAmount - SPEND_FEE;
+  const tx = await buildSpend({
+    instance: bond, method: 'slash', key: slasherKey, to, amount, provider,
+  });
+  const spendTxid = await provider.broadcast(tx.uncheckedSerialize());
+
+  return { txid: spendTxid, bondTxid: txid, bondAmount, amount, to };
+}
+
+const BOND_METHODS = { release: 'RELEASED', slash: 'SLASHED' };
+
+/**
+ * What input `vin` of `spendTx`, which spends a bond or panel bond, did:
+ * the public method it called, decoded from its unlocking script.
+ * @returns {{status: 'RELEASED'|'SLASHED'|'SPENT', method: string|null}} SPENT if the call doesn't decode
+ */
+function bondSpendStatus(spendTx, vin) {
+  const method = calledMethod(spendTx, vin, [getBond, getPanelBond]);
+  return { status: BOND_METHODS[method] || 'SPENT', method };
+}
+
+/**
+ * Where a bond stands: ACTIVE, RELEASED, SLASHED, or SPENT (unrecognised spend),
+ * with the method that spent it in `spentMethod`.
+ * Reads the bond from chain, so it works without a local state file.
+ */
+async function getBondStatus({ txid, provider = createProvider() }) {
+  const tx = await provider.getTransaction(txid);
+  if (!tx) throw new NotFoundError(`Bond tx not found: ${txid}`);
+  const bond = bondFromTx(tx, txid);
+
+  const lockUntil = Number(bond.lockUntil);
+  const currentHeight = await provider.getHeight();
+  const bondholderAddress = pkhAddress(bond.bondholderPkh);
+  const slashDest = pkhAddress(bond.slashDestPkh);
+
+  const spent = await provider.getSpent(txid, 0);
+  const { status, method } = spent
+    ? bondSpendStatus(await provider.getTransaction(spent.txid), spent.vin)
+    : { status: 'ACTIVE', method: null };
+
+  return {
+    txid,
+    status,
+    amount: tx.outputs[0].satoshis,
+    bondholderAddress,
+    slashDest,
+    lockUntil,
+    currentHeight,
+    isLocked: currentHeight < lockUntil,
+    blocksLeft: Math.max(0, lockUntil - currentHeight),
+    spentTxid: spent ? spent.txid : null,
+    spentMethod: method,
+  };
+}
+
+module.exports = {
+  DEPLOY_FEE,
+  deployBond,
+  releaseBond,
+  slashBond,
+  getBondStatus,
+  bondSpendStatus,
+};
@@ -0,0 +1,143 @@
+'use strict';
+
+/**
+ * Compiled contract classes, with their artifacts loaded on first use, the
+ * one way the CLIs fund a new contract output from a P2PKH wallet, the
+ * one way they spend a contract UTXO to a single P2PKH output, and the
+ * way back from a spend to the method it called.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { bsv, findSig, TestWallet } = require('scrypt-ts');
+const network = require('./network.cjs');
+const { ScryptProviderAdapter } = require('./provider.cjs');
+const { ROOT } = require('./state.cjs');
+const { InsufficientFundsError, NotFoundError } = require('./errors.cjs');
+
+const SPEND_FEE = 500;
+const DEPLOY_FEE = 3000;
+const DUST_LIMIT = 546;
+const NON_FINAL_SEQUENCE = 0xfffffffe;
+
+const loaded = new Set();
+
+// Required lazily so commands that never touch a contract don't need dist/
+function loadContract(moduleName, className, artifact) {
+  const Contract = require(path.join(ROOT, 'dist/src/contracts', moduleName))[className];
+  if (!loaded.has(Contract)) {
+    const artifactPath = path.join(ROOT, 'artifacts', artifact);
+    if (!fs.existsSync(artifactPath)) {
+      throw new NotFoundError(`Contract artifact not found: artifacts/${artifact} — build it with npm run compile`);
+    }
+    Contract.loadArtifact(require(artifactPath));
+    loaded.add(Contract);
+  }
+  return Contract;
+}
+
+const getBond = () => loadContract('bond', 'Bond', 'bond.json');
+const getPanelBond = () => loadContract('panelBond', 'PanelBond', 'panelBond.json');
+const getEscrow = () => loadContract('escrow', 'Escrow', 'escrow.json');
+const getDispute = () => loadContract('dispute', 'Dispute', 'dispute.json');
+
+// Contracts are never P2PKH or data outputs, so skip those before trying fromTx
+function mayBeContract(script) {
+  return !script.isPublicKeyHashOut() && !script.isSafeDataOut() && !script.isDataOut();
+}
+
+/**
+ * Lock `amount` sats to `lockingScript` in output 0, paid from every UTXO at
+ * `fundingKey`'s address, with change back to it.
+ * @returns {Promise<string>} txid
+ */
+async function fundContract({ lockingScript, amount, fundingKey, provider }) {
+  const address = fundingKey.toAddress(network.bsvNetwork);
+  const utxos = await provider.listUnspent(address.toString());
+  if (utxos.length === 0) throw new InsufficientFundsError(`No UTXOs at ${address.toString()}`);
+
+  const available = utxos.reduce((s, u) => s + u.value, 0);
+  const needed = amount + DEPLOY_FEE;
+  if (available < needed) {
+    throw new InsufficientFundsError(`Need ${needed} sats, only ${available} available`, { needed, available });
+  }
+
+  const tx = new bsv.Transaction();
+  for (const u of utxos) {
+    tx.from({
+      txId: u.tx_hash,
+      outputIndex: u.tx_pos,
+      script: bsv.Script.buildPublicKeyHashOut(address).toHex(),
+      satoshis: u.value,
+    });
+  }
+  tx.addOutput(new bsv.Transaction.Output({ script: lockingScript, satoshis: amount }));
+  const change = available - needed;
+  if (change > DUST_LIMIT) {
+    tx.addOutput(new bsv.Transaction.Output({ script: bsv.Script.buildPublicKeyHashOut(address), satoshis: change }));
+  }
+  tx.sign(fundingKey);
+  return provider.broadcast(tx.serialize());
+}
+
+/**
+ * Call `method(sig, amount)` on a contract instance, paying `amount` sats
+ * to `to`. Pass `lockTime` for methods that check ctx.locktime.
+ * @returns {Promise<bsv.Transaction>} the signed, unbroadcast spending tx
+ */
+async function buildSpend({ instance, method, key, to, amount, lockTime, provider }) {
+  const signer = new TestWallet(key, new ScryptProviderAdapter(provider));
+  await instance.connect(signer);
+
+  instance.bindTxBuilder(method, current => {
+    const unsignedTx = new bsv.Transaction();
+    unsignedTx.addInput(current.buildContractInput());
+    unsignedTx.addOutput(new bsv.Transaction.Output({
+      script: bsv.Script.buildPublicKeyHashOut(to),
+      satoshis: amount,
+    }));
+    if (lockTime !== undefined) {
+      unsignedTx.nLockTime = lockTime;
+      unsignedTx.inputs[0].sequenceNumber = NON_FINAL_SEQUENCE;
+    }
+    return Promise.resolve({ tx: unsignedTx, atInputIndex: 0, nexts: [] });
+  });
+
+  const pubKey = key.toPublicKey();
+  const { tx } = await instance.methods[method](
+    sigResps => findSig(sigResps, pubKey),
+    BigInt(amount),
+    { autoPayFee: false, partiallySigned: true, estimateFee: false, pubKeyOrAddrToSign: pubKey }
+  );
+  return tx;
+}
+
+/**
+ * The public method input `vin` of `tx` calls, decoded from its unlocking
+ * script against each contract's ABI in turn.
+ * @param {Array<Function>} getContracts e.g. [getBond, getPanelBond]
+ * @returns {string|null} the method name, or null if no ABI decodes it
+ */
+function calledMethod(tx, vin, getContracts) {
+  for (const getContract of getContracts) {
+    try {
+      return getContract().parseCallData(tx, vin).methodName;
+    } catch {}
+  }
+  return null;
+}
+
+module.exports = {
+  SPEND_FEE,
+  DEPLOY_FEE,
+  DUST_LIMIT,
+  NON_FINAL_SEQUENCE,
+  getBond,
+  getPanelBond,
+  getEscrow,
+  getDispute,
+  mayBeContract,
+  fundContract,
+  buildSpend,
+  calledMethod,
+};
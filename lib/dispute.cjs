@@ -0,0 +1,294 @@
+'use strict';
+
+/**
+ * Dispute operations — open a dispute against an ASSERT1 assertion, answer
+ * it with a matching stake, resolve it, or take a stake back once nobody
+ * has ruled by the refund height.
+ *
+ * Every stake is its own UTXO locked to the same dispute terms plus the key
+ * of whoever staked it, so the resolver's ruling spends all of them at once
+ * and the winner takes the whole pot. Answer, resolve and refund read the
+ * dispute from chain, never from the challenger's disputes/ state file.
+ * Same shape as bond.cjs: each function does the whole job and returns a
+ * plain result object. Failures throw.
+ */
+
+const { bsv, toByteString, PubKey, PubKeyHash, Sig } = require('scrypt-ts');
+const network = require('./network.cjs');
+const { createProvider } = require('./provider.cjs');
+const { SPEND_FEE, DUST_LIMIT, NON_FINAL_SEQUENCE, getDispute, mayBeContract, fundContract } = require('./contracts.cjs');
+const { DISPUTES_DIR, saveState } = require('./state.cjs');
+const { openKeyring } = require('./wallet.cjs');
+const { loadAssertion } = require('./assertion.cjs');
+const { NotFoundError, AlreadySpentError, LockedError, UnauthorizedError, InsufficientFundsError, ValidationError } = require('./errors.cjs');
+
+const RULINGS = { challenger: 'uphold', asserter: 'dismiss' };
+const SIGHASH = bsv.crypto.Signature.SIGHASH_ALL | bsv.crypto.Signature.SIGHASH_FORKID;
+
+function pkhAddress(pkh) {
+  return bsv.Address.fromPublicKeyHash(Buffer.from(pkh, 'hex'), network.bsvNetwork).toString();
+}
+
+function stakerPkh(contract) {
+  return bsv.crypto.Hash.sha256ripemd160(Buffer.from(contract.stakerPub, 'hex')).toString('hex');
+}
+
+// Everything but the staker, the same for every stake of one dispute
+function terms(contract) {
+  return [contract.assertionTxid, contract.challengerPkh, contract.asserterPkh, contract.resolverPub, contract.refundAfter].join(':');
+}
+
+function parseResolverPub(resolverPub) {
+  try {
+    return bsv.PublicKey.fromString(resolverPub);
+  } catch {
+    throw new ValidationError(`Invalid resolver public key: ${resolverPub}`);
+  }
+}
+
+/**
+ * Rebuild dispute `txid` from chain: the challenger's stake at output 0,
+ * plus every answer locked to the same terms by the asserter. Answers are
+ * funded from the asserter's address, so its history holds them all.
+ */
+async function readDispute(provider, txid) {
+  const Dispute = getDispute();
+  const tx = await provider.getTransaction(txid);
+  if (!tx) throw new NotFoundError(`Dispute tx not found: ${txid}`);
+  const opening = Dispute.fromTx(tx, 0);
+  if (stakerPkh(opening) !== opening.challengerPkh) {
+    throw new ValidationError(`Not the challenger's stake of a dispute: ${txid}`);
+  }
+
+  const asserterAddress = pkhAddress(opening.asserterPkh);
+  const stakes = [{ txid, outputIndex: 0, party: 'challenger', contract: opening }];
+  const history = new Set((await provider.getHistory(asserterAddress)).map(e => e.tx_hash));
+  history.delete(txid);
+  for (const answerTxid of history) {
+    const answerTx = await provider.getTransaction(answerTxid);
+    if (!answerTx) continue;
+    for (const [outputIndex, output] of answerTx.outputs.entries()) {
+      if (!mayBeContract(output.script)) continue;
+      let contract;
+      try {
+        contract = Dispute.fromTx(answerTx, outputIndex);
+      } catch {
+        continue;
+      }
+      if (terms(contract) === terms(opening) && stakerPkh(contract) === opening.asserterPkh) {
+        stakes.push({ txid: answerTxid, outputIndex, party: 'asserter', contract });
+      }
+    }
+  }
+  for (const stake of stakes) {
+    const spent = await provider.getSpent(stake.txid, stake.outputIndex);
+    stake.amount = Number(stake.contract.balance);
+    stake.spentBy = spent ? spent.txid : null;
+  }
+
+  return {
+    disputeTxid: txid,
+    assertionTxid: opening.assertionTxid,
+    challengerAddress: pkhAddress(opening.challengerPkh),
+    asserterAddress,
+    resolverPub: opening.resolverPub,
+    refundAfter: Number(opening.refundAfter),
+    stakes,
+  };
+}
+
+/**
+ * Spend `stakes` into one output paying `to`, calling `method` on every
+ * input with its own signature by `key`. Pass `lockTime` for refunds.
+ * @returns {{tx: bsv.Transaction, amount: number}}
+ */
+function spendStakes({ stakes, method, key, to, lockTime }) {
+  const pot = stakes.reduce((s, st) => s + st.amount, 0);
+  const fee = SPEND_FEE * stakes.length;
+  const amount = pot - fee;
+  if (amount <= DUST_LIMIT) {
+    throw new InsufficientFundsError(`Stakes of ${pot} sats do not cover the ${fee} sat fee`, { needed: fee + DUST_LIMIT + 1, available: pot });
+  }
+
+  const tx = new bsv.Transaction();
+  for (const { contract } of stakes) tx.addInput(contract.buildContractInput());
+  tx.addOutput(new bsv.Transaction.Output({ script: bsv.Script.buildPublicKeyHashOut(bsv.Address.fromString(to)), satoshis: amount }));
+  if (lockTime !== undefined) {
+    tx.nLockTime = lockTime;
+    for (const input of tx.inputs) input.sequenceNumber = NON_FINAL_SEQUENCE;
+  }
+
+  stakes.forEach(({ contract }, i) => {
+    const sig = bsv.Transaction.Sighash.sign(tx, key, SIGHASH, i, contract.lockingScript, new bsv.crypto.BN(contract.balance));
+    const sigHex = Buffer.concat([sig.toDER(), Buffer.from([SIGHASH & 0xff])]).toString('hex');
+    tx.inputs[i].setScript(contract.getUnlockingScript(self => {
+      self.to = { tx, inputIndex: i };
+      self[method](Sig(toByteString(sigHex)), BigInt(amount));
+    }));
+  });
+  return { tx, amount };
+}
+
+const stakeSummary = stakes => stakes.map(({ txid, party, amount }) => ({ txid, party, amount }));
+
+/**
+ * Challenge assertion `assertTxid` by staking `amount` sats. The asserter is
+ * the bondholder of the bond the assertion cites; `resolverPub` rules. If
+ * nobody has ruled `refundBlocks` blocks from now, each side can take its
+ * stake back.
+ * @returns {Promise<{txid, assertTxid, bondTxid, amount, refundAfter, challengerAddress, asserterAddress, resolverAddress, statePath}>}
+ */
+async function openDispute({ assertTxid, resolverPub, amount = 10000, refundBlocks = 1000, key, wif, wallet, passphrase, provider = createProvider() }) {
+  if (!assertTxid || !resolverPub) throw new ValidationError('openDispute needs assertTxid and resolverPub');
+  const Dispute = getDispute();
+  const resolver = parseResolverPub(resolverPub);
+  const { parsed, bond } = await loadAssertion(assertTxid, provider);
+
+  const keys = await openKeyring({ key, wif, wallet, passphrase });
+  const challengerAddr = keys.fundingAddress;
+  const currentHeight = await provider.getHeight();
+  const refundAfter = currentHeight + refundBlocks;
+
+  const dispute = new Dispute(
+    toByteString(assertTxid),
+    PubKeyHash(toByteString(challengerAddr.hashBuffer.toString('hex'))),
+    PubKeyHash(bond.bondholderPkh),
+    PubKey(toByteString(resolver.toHex())),
+    BigInt(refundAfter),
+    PubKey(toByteString(keys.fundingKey.publicKey.toHex()))
+  );
+  const txid = await fundContract({ lockingScript: dispute.lockingScript, amount, fundingKey: keys.fundingKey, provider });
+
+  const state = {
+    disputeTxid: txid,
+    assertionTxid: assertTxid,
+    amount,
+    refundAfter,
+    challengerAddress: challengerAddr.toString(),
+    asserterAddress: pkhAddress(bond.bondholderPkh),
+    resolverPub: resolver.toHex(),
+    resolverAddress: resolver.toAddress(network.bsvNetwork).toString(),
+    network: network.name,
+    openedAt: new Date().toISOString(),
+    blockHeight: currentHeight,
+  };
+  const statePath = saveState(DISPUTES_DIR, txid, state);
+
+  return {
+    txid,
+    assertTxid,
+    bondTxid: parsed.bondTxid,
+    amount,
+    refundAfter,
+    challengerAddress: state.challengerAddress,
+    asserterAddress: state.asserterAddress,
+    resolverAddress: state.resolverAddress,
+    statePath,
+  };
+}
+
+/**
+ * Match the challenger's stake as the asserter: `amount` more sats locked to
+ * the same dispute terms.
+ * @returns {Promise<{txid, disputeTxid, amount, pot}>}
+ */
+async function answerDispute({ txid, amount = 10000, key, wif, wallet, passphrase, provider = createProvider() }) {
+  if (!txid) throw new ValidationError('answerDispute needs the dispute txid');
+  const dispute = await readDispute(provider, txid);
+  const keys = await openKeyring({ key, wif, wallet, passphrase });
+  if (keys.fundingAddress.toString() !== dispute.asserterAddress) {
+    throw new UnauthorizedError('Wallet is not the asserter of this dispute');
+  }
+  const [opening] = dispute.stakes;
+  if (opening.spentBy) throw new AlreadySpentError('Dispute already settled.', { spentBy: opening.spentBy });
+
+  const { contract } = opening;
+  const answer = new (getDispute())(
+    contract.assertionTxid,
+    contract.challengerPkh,
+    contract.asserterPkh,
+    contract.resolverPub,
+    contract.refundAfter,
+    PubKey(toByteString(keys.fundingKey.publicKey.toHex()))
+  );
+  const stakeTxid = await fundContract({ lockingScript: answer.lockingScript, amount, fundingKey: keys.fundingKey, provider });
+
+  return {
+    txid: stakeTxid,
+    disputeTxid: txid,
+    amount,
+    pot: dispute.stakes.filter(st => !st.spentBy).reduce((s, st) => s + st.amount, amount),
+  };
+}
+
+/**
+ * Rule for `ruling` ('challenger' or 'asserter'): every unspent stake goes
+ * to the winner in one tx, each input signed by the resolver.
+ * @returns {Promise<{txid, disputeTxid, ruling, method, stakes, amount, to}>}
+ */
+async function resolveDispute({ txid, ruling, key, wif, wallet, passphrase, provider = createProvider() }) {
+  if (!txid) throw new ValidationError('resolveDispute needs the dispute txid');
+  const method = RULINGS[ruling];
+  if (!method) throw new ValidationError(`Ruling must be one of ${Object.keys(RULINGS).join(', ')}, got "${ruling}"`);
+  const dispute = await readDispute(provider, txid);
+
+  const keys = await openKeyring({ key, wif, wallet, passphrase });
+  const resolverKey = keys.keyFor('resolver', dispute.resolverPub);
+  if (!resolverKey) throw new UnauthorizedError('Wallet is not the resolver of this dispute');
+
+  const stakes = dispute.stakes.filter(st => !st.spentBy);
+  if (stakes.length === 0) throw new AlreadySpentError('Dispute already settled — no unspent stakes.');
+
+  const to = dispute[`${ruling}Address`];
+  const { tx, amount } = spendStakes({ stakes, method, key: resolverKey, to });
+  const resolveTxid = await provider.broadcast(tx.uncheckedSerialize());
+
+  return { txid: resolveTxid, disputeTxid: txid, ruling, method, stakes: stakeSummary(stakes), amount, to };
+}
+
+/**
+ * Take back this wallet's unspent stakes once the refund height has passed
+ * without a ruling. Works for either side.
+ * @returns {Promise<{txid, disputeTxid, party, stakes, amount, to, refundAfter, currentHeight}>}
+ */
+async function refundDispute({ txid, key, wif, wallet, passphrase, provider = createProvider() }) {
+  if (!txid) throw new ValidationError('refundDispute needs the dispute txid');
+  const dispute = await readDispute(provider, txid);
+
+  // Stakes are locked to the funding key that paid for them
+  const keys = await openKeyring({ key, wif, wallet, passphrase });
+  const pub = keys.fundingKey.publicKey.toHex();
+  const own = dispute.stakes.filter(st => st.contract.stakerPub === pub);
+  if (own.length === 0) throw new UnauthorizedError('Wallet has no stake in this dispute');
+  const stakes = own.filter(st => !st.spentBy);
+  if (stakes.length === 0) throw new AlreadySpentError('Stake already spent.', { spentBy: own[0].spentBy });
+
+  const { refundAfter } = dispute;
+  const currentHeight = await provider.getHeight();
+  if (currentHeight < refundAfter) {
+    throw new LockedError(`Dispute still open. ${refundAfter - currentHeight} blocks until refunds.`, { unlockHeight: refundAfter, currentHeight });
+  }
+
+  const to = keys.fundingAddress.toString();
+  const { tx, amount } = spendStakes({ stakes, method: 'refund', key: keys.fundingKey, to, lockTime: currentHeight });
+  const refundTxid = await provider.broadcast(tx.uncheckedSerialize());
+
+  return {
+    txid: refundTxid,
+    disputeTxid: txid,
+    party: stakes[0].party,
+    stakes: stakeSummary(stakes),
+    amount,
+    to,
+    refundAfter,
+    currentHeight,
+  };
+}
+
+module.exports = {
+  RULINGS,
+  openDispute,
+  answerDispute,
+  resolveDispute,
+  refundDispute,
+};
@@ -0,0 +1,58 @@
+'use strict';
+
+/**
+ * Typed errors thrown by the SDK. Catch by class, or switch on `err.code`
+ * when the error has crossed a process boundary (e.g. `--json` output).
+ *
+ * Extra context travels as properties, e.g. LockedError has
+ * `unlockHeight` and `currentHeight`.
+ */
+
+class BsvTrustError extends Error {
+  constructor(message, props = {}) {
+    super(message);
+    this.name = new.target.name;
+    Object.assign(this, props);
+  }
+}
+
+/** A tx, state file or wallet does not exist. */
+class NotFoundError extends BsvTrustError {}
+NotFoundError.prototype.code = 'NOT_FOUND';
+
+/** The contract UTXO was already spent. */
+class AlreadySpentError extends BsvTrustError {}
+AlreadySpentError.prototype.code = 'ALREADY_SPENT';
+
+/** A time lock has not passed yet. */
+class LockedError extends BsvTrustError {}
+LockedError.prototype.code = 'LOCKED';
+
+/** The key given is not the one the contract expects. */
+class UnauthorizedError extends BsvTrustError {}
+UnauthorizedError.prototype.code = 'UNAUTHORIZED';
+
+/** Not enough sats to fund the transaction. */
+class InsufficientFundsError extends BsvTrustError {}
+InsufficientFundsError.prototype.code = 'INSUFFICIENT_FUNDS';
+
+/** An argument is missing or malformed. */
+class ValidationError extends BsvTrustError {}
+ValidationError.prototype.code = 'INVALID_ARGUMENT';
+
+/** The network rejected the transaction. */
+class BroadcastError extends BsvTrustError {}
+BroadcastError.prototype.code = 'BROADCAST_FAILED';
+
+BsvTrustError.prototype.code = 'BSV_TRUST_ERROR';
+
+module.exports = {
+  BsvTrustError,
+  NotFoundError,
+  AlreadySpentError,
+  LockedError,
+  UnauthorizedError,
+  InsufficientFundsError,
+  ValidationError,
+  BroadcastError,
+};
@@ -0,0 +1,206 @@
+'use strict';
+
+/**
+ * Escrow operations — deploy, approve, refund and timeout.
+ *
+ * Same shape as bond.cjs: each function does the whole job and returns a
+ * plain result object. Failures throw.
+ */
+
+const { bsv, toByteString, PubKey, PubKeyHash, TestWallet } = require('scrypt-ts');
+const network = require('./network.cjs');
+const { createProvider, ScryptProviderAdapter } = require('./provider.cjs');
+const { SPEND_FEE, getEscrow, buildSpend, calledMethod } = require('./contracts.cjs');
+const { ESCROWS_DIR, findState, saveState } = require('./state.cjs');
+const { openKeyring } = require('./wallet.cjs');
+const { NotFoundError, AlreadySpentError, LockedError, UnauthorizedError, ValidationError } = require('./errors.cjs');
+
+function pkhAddress(pkh) {
+  return bsv.Address.fromPublicKeyHash(Buffer.from(pkh, 'hex'), network.bsvNetwork).toString();
+}
+
+function loadState(txid) {
+  const found = findState(ESCROWS_DIR, txid);
+  if (!found) throw new NotFoundError(`Escrow state not found: ${txid}`);
+  return found.state;
+}
+
+async function fetchUnspentEscrow(provider, txid) {
+  const spent = await provider.getSpent(txid, 0);
+  if (spent) {
+    throw new AlreadySpentError('Escrow already spent.', { spentBy: spent.txid });
+  }
+  const tx = await provider.getTransaction(txid);
+  if (!tx) throw new NotFoundError(`Escrow tx not found: ${txid}`);
+  return getEscrow().fromTx(tx, 0);
+}
+
+/**
+ * Lock `amount` sats for a worker; the requester can reclaim after `timeoutBlocks`.
+ * HD wallets sign with a fresh escrow key (recorded as `requesterPath`) and
+ * take refunds at the funding address.
+ * @returns {Promise<{txid, amount, timeoutBlock, currentHeight, requesterAddress, workerAddress, statePath}>}
+ */
+async function deployEscrow({ amount = 10000, timeoutBlocks = 100, workerPub, workerAddr, key, wif, wallet, passphrase, provider = createProvider() }) {
+  if (!workerPub || !workerAddr) throw new ValidationError('deployEscrow needs workerPub and workerAddr');
+  const Escrow = getEscrow();
+
+  const keys = await openKeyring({ key, wif, wallet, passphrase });
+  const requesterAddr = keys.fundingAddress;
+
+  if (!network.isOwnAddress(workerAddr)) {
+    throw new ValidationError(`Worker address is not a ${network.name} address: ${workerAddr}`);
+  }
+
+  const currentHeight = await provider.getHeight();
+  const timeoutBlock = currentHeight + timeoutBlocks;
+
+  const requester = await keys.reserve('escrow');
+  const escrow = new Escrow(
+    PubKey(toByteString(requester.publicKey)),
+    PubKeyHash(toByteString(requesterAddr.hashBuffer.toString('hex'))),
+    PubKey(toByteString(workerPub)),
+    PubKeyHash(toByteString(bsv.Address.fromString(workerAddr).hashBuffer.toString('hex'))),
+    BigInt(timeoutBlock)
+  );
+
+  await escrow.connect(new TestWallet(keys.fundingKey, new ScryptProviderAdapter(provider)));
+  const deployTx = await escrow.deploy(amount);
+  const txid = deployTx.id;
+
+  const state = {
+    escrowTxid: txid,
+    outputIndex: 0,
+    amount,
+    timeoutBlock,
+    requesterAddress: requesterAddr.toString(),
+    requesterPub: requester.publicKey,
+    ...(requester.path ? { requesterPath: requester.path } : {}),
+    workerAddress: workerAddr,
+    workerPub,
+    network: network.name,
+    deployedAt: new Date().toISOString(),
+    blockHeight: currentHeight,
+  };
+  const statePath = saveState(ESCROWS_DIR, txid, state);
+
+  return {
+    txid,
+    amount,
+    timeoutBlock,
+    currentHeight,
+    requesterAddress: state.requesterAddress,
+    workerAddress: workerAddr,
+    statePath,
+  };
+}
+
+// approve/refund/timeout differ only in who signs, who gets paid and the locktime
+async function spendEscrow({ txid, method, signerRole, payTo, keys, provider, needsTimeout }) {
+  const state = loadState(txid);
+  const key = keys.keyFor('escrow', state[`${signerRole}Pub`], state[`${signerRole}Path`]);
+  if (!key) {
+    throw new UnauthorizedError(`Key is not the ${signerRole} of this escrow`);
+  }
+
+  const currentHeight = await provider.getHeight();
+  if (needsTimeout && currentHeight < state.timeoutBlock) {
+    throw new LockedError(`Not yet timed out — ${state.timeoutBlock - currentHeight} blocks remaining`, {
+      unlockHeight: state.timeoutBlock, currentHeight,
+    });
+  }
+
+  const escrow = await fetchUnspentEscrow(provider, txid);
+  const escrowAmount = Number(escrow.balance);
+  const to = state[`${payTo}Address`];
+  const amount = escrowAmount - SPEND_FEE;
+  const tx = await buildSpend({
+    instance: escrow, method, key, to, amount, provider,
+    lockTime: needsTimeout ? currentHeight : undefined,
+  });
+  const spendTxid = await provider.broadcast(tx.uncheckedSerialize());
+
+  return { txid: spendTxid, escrowTxid: txid, escrowAmount, amount, to, timeoutBlock: state.timeoutBlock, currentHeight };
+}
+
+/** Requester approves the work — pay the worker. */
+async function approveEscrow({ txid, key, wif, wallet, passphrase, provider = createProvider() }) {
+  return spendEscrow({
+    txid, method: 'approve', signerRole: 'requester', payTo: 'worker',
+    keys: await openKeyring({ key, wif, wallet, passphrase }), provider,
+  });
+}
+
+/** Worker admits failure — return the payment to the requester. */
+async function refundEscrow({ txid, key, wif, wallet, passphrase, provider = createProvider() }) {
+  return spendEscrow({
+    txid, method: 'refund', signerRole: 'worker', payTo: 'requester',
+    keys: await openKeyring({ key, wif, wallet, passphrase }), provider,
+  });
+}
+
+/** Requester reclaims after the timeout block. */
+async function timeoutEscrow({ txid, key, wif, wallet, passphrase, provider = createProvider() }) {
+  return spendEscrow({
+    txid, method: 'timeout', signerRole: 'requester', payTo: 'requester',
+    keys: await openKeyring({ key, wif, wallet, passphrase }), provider, needsTimeout: true,
+  });
+}
+
+const ESCROW_METHODS = { approve: 'APPROVED', refund: 'REFUNDED', timeout: 'TIMED_OUT' };
+
+/**
+ * What input `vin` of `spendTx`, which spends an escrow, did: the public
+ * method it called, decoded from its unlocking script. Refund and timeout
+ * both pay the requester, so only the call tells them apart.
+ * @returns {{status: 'APPROVED'|'REFUNDED'|'TIMED_OUT'|'SPENT', method: string|null}} SPENT if the call doesn't decode
+ */
+function escrowSpendStatus(spendTx, vin) {
+  const method = calledMethod(spendTx, vin, [getEscrow]);
+  return { status: ESCROW_METHODS[method] || 'SPENT', method };
+}
+
+/**
+ * Where an escrow stands: ACTIVE, APPROVED (paid to the worker), REFUNDED
+ * (given back by the worker), TIMED_OUT (reclaimed by the requester), or
+ * SPENT (unrecognised spend), with the method that spent it in `spentMethod`.
+ * Reads the escrow from chain, so it works without a local state file.
+ */
+async function getEscrowStatus({ txid, provider = createProvider() }) {
+  const tx = await provider.getTransaction(txid);
+  if (!tx) throw new NotFoundError(`Escrow tx not found: ${txid}`);
+  const escrow = getEscrow().fromTx(tx, 0);
+
+  const timeoutBlock = Number(escrow.timeoutBlock);
+  const currentHeight = await provider.getHeight();
+  const requesterAddress = pkhAddress(escrow.requesterPkh);
+  const workerAddress = pkhAddress(escrow.workerPkh);
+
+  const spent = await provider.getSpent(txid, 0);
+  const { status, method } = spent
+    ? escrowSpendStatus(await provider.getTransaction(spent.txid), spent.vin)
+    : { status: 'ACTIVE', method: null };
+
+  return {
+    txid,
+    status,
+    amount: tx.outputs[0].satoshis,
+    requesterAddress,
+    workerAddress,
+    timeoutBlock,
+    currentHeight,
+    isTimedOut: currentHeight >= timeoutBlock,
+    blocksLeft: Math.max(0, timeoutBlock - currentHeight),
+    spentTxid: spent ? spent.txid : null,
+    spentMethod: method,
+  };
+}
+
+module.exports = {
+  deployEscrow,
+  approveEscrow,
+  refundEscrow,
+  timeoutEscrow,
+  getEscrowStatus,
+  escrowSpendStatus,
+};
@@ -0,0 +1,218 @@
+'use strict';
+
+/**
+ * Lifecycle events and their delivery to webhooks and shell hooks.
+ *
+ * Every event has the same shape:
+ *
+ *   { id, type, txid, network, height, occurredAt, message, data }
+ *
+ * `txid` is the bond, escrow or assertion the event is about. `id` is
+ * derived from the type, txid, height and message, so an event re-created
+ * after a restart keeps its id and receivers can dedupe, while the same
+ * type repeating for a contract — an error that changed, a spend redone
+ * after a reorg — gets a new one.
+ *
+ * Hooks are configured in a JSON file (see loadHooks):
+ *
+ *   {
+ *     "webhooks": [{ "url": "https://…", "secret": "…", "events": ["bond.*"] }],
+ *     "commands": [{ "run": "./notify.sh", "events": ["escrow.approved"] }]
+ *   }
+ *
+ * Webhooks get the event as a JSON POST signed with HMAC-SHA256 over
+ * `<timestamp>.<body>` (headers X-BsvTrust-Timestamp, X-BsvTrust-Signature:
+ * sha256=<hex>). Commands run through the shell with the event as JSON on
+ * stdin and BSV_TRUST_EVENT / BSV_TRUST_TXID set.
+ */
+
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const { spawn } = require('child_process');
+const network = require('./network.cjs');
+const { ValidationError } = require('./errors.cjs');
+
+const EVENT_TYPES = [
+  'bond.deployed',
+  'bond.unlocked',
+  'bond.released',
+  'bond.slashed',
+  'bond.spent',
+  'escrow.deployed',
+  'escrow.timeout_reached',
+  'escrow.approved',
+  'escrow.refunded',
+  'escrow.timed_out',
+  'escrow.spent',
+  'bond.reorged',
+  'escrow.reorged',
+  'assertion.published',
+  'watchtower.error',
+];
+
+// Someone took a contract's sats in a way its owner didn't expect
+const ALERTS = ['bond.slashed', 'bond.spent', 'escrow.spent'];
+
+const ATTEMPTS = 3;
+const TIMEOUT_MS = 10000;
+
+function eventId(type, txid, height, message) {
+  const digest = crypto.createHash('sha256').update(JSON.stringify([network.name, type, txid, height, message])).digest('hex');
+  return `${type}:${txid}:${digest.slice(0, 16)}`;
+}
+
+/** @returns {{id, type, txid, network, height, occurredAt, message, data}} */
+function createEvent(type, { txid, height, message, data = {} }) {
+  if (!EVENT_TYPES.includes(type)) throw new ValidationError(`Unknown event type: ${type}`);
+  return {
+    id: eventId(type, txid, height, message),
+    type,
+    txid,
+    network: network.name,
+    height,
+    occurredAt: new Date().toISOString(),
+    message,
+    data,
+  };
+}
+
+function isAlert(event) {
+  return ALERTS.includes(event.type);
+}
+
+// "bond.*" matches every bond event; no filter matches everything
+function subscribed(hook, event) {
+  if (!hook.events) return true;
+  return hook.events.some(p => p === '*' || p === event.type || (p.endsWith('.*') && event.type.startsWith(p.slice(0, -1))));
+}
+
+function checkFilter(events, where) {
+  if (events === undefined) return;
+  if (!Array.isArray(events)) throw new ValidationError(`${where}: "events" must be an array`);
+  for (const p of events) {
+    const known = p === '*' || EVENT_TYPES.includes(p) || (p.endsWith('.*') && EVENT_TYPES.some(t => t.startsWith(p.slice(0, -1))));
+    if (!known) throw new ValidationError(`${where}: unknown event "${p}" (expected one of ${EVENT_TYPES.join(', ')})`);
+  }
+}
+
+/**
+ * Read and check a hooks file. A webhook's secret comes from `secret`, or
+ * from the environment variable named by `secretEnv`.
+ * @returns {{webhooks: Array<{url, secret, events?}>, commands: Array<{run, events?}>}}
+ */
+function loadHooks(file) {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new ValidationError(`Cannot read hooks file ${file}: ${err.message}`);
+  }
+  const webhooks = (config.webhooks || []).map((hook, i) => {
+    const where = `${file} webhooks[${i}]`;
+    if (!/^https?:\/\//.test(hook.url || '')) throw new ValidationError(`${where}: "url" must be an http(s) URL`);
+    const secret = hook.secretEnv ? process.env[hook.secretEnv] : hook.secret;
+    if (!secret) {
+      throw new ValidationError(`${where}: needs "secret"${hook.secretEnv ? ` — ${hook.secretEnv} is not set` : ' or "secretEnv"'}`);
+    }
+    checkFilter(hook.events, where);
+    return { url: hook.url, secret, events: hook.events };
+  });
+  const commands = (config.commands || []).map((hook, i) => {
+    const where = `${file} commands[${i}]`;
+    if (typeof hook.run !== 'string' || !hook.run) throw new ValidationError(`${where}: needs a "run" command`);
+    checkFilter(hook.events, where);
+    return { run: hook.run, events: hook.events };
+  });
+  return { webhooks, commands };
+}
+
+/** HMAC-SHA256 over `<timestamp>.<body>`, as sent in X-BsvTrust-Signature. @returns {string} hex */
+function signPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function post(url, body, headers) {
+  return new Promise((resolve, reject) => {
+    const client = url.startsWith('http:') ? http : https;
+    const req = client.request(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body), ...headers },
+      timeout: TIMEOUT_MS,
+    }, res => {
+      res.resume();
+      res.on('end', () => res.statusCode < 300 ? resolve() : reject(new Error(`HTTP ${res.statusCode}`)));
+    });
+    req.on('timeout', () => req.destroy(new Error(`no response in ${TIMEOUT_MS / 1000}s`)));
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+async function sendWebhook(hook, event) {
+  const body = JSON.stringify(event);
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  const headers = {
+    'X-BsvTrust-Event': event.type,
+    'X-BsvTrust-Delivery': event.id,
+    'X-BsvTrust-Timestamp': timestamp,
+    'X-BsvTrust-Signature': `sha256=${signPayload(hook.secret, timestamp, body)}`,
+  };
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await post(hook.url, body, headers);
+    } catch (err) {
+      if (attempt === ATTEMPTS) throw err;
+      await new Promise(resolve => setTimeout(resolve, 1000 * 2 ** (attempt - 1)));
+    }
+  }
+}
+
+function runCommand(hook, event) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(hook.run, {
+      shell: true,
+      stdio: ['pipe', 'inherit', 'inherit'],
+      env: { ...process.env, BSV_TRUST_EVENT: event.type, BSV_TRUST_TXID: event.txid },
+      timeout: TIMEOUT_MS * 3,
+    });
+    child.on('error', reject);
+    child.on('close', code => code === 0 ? resolve() : reject(new Error(`exited with ${code}`)));
+    child.stdin.on('error', () => {});
+    child.stdin.end(JSON.stringify(event));
+  });
+}
+
+/**
+ * Send `event` to every hook subscribed to it. One failing hook doesn't
+ * stop the others; webhooks are retried with backoff before giving up.
+ * @returns {Promise<Array<{hook: string, error: string}>>} the deliveries that failed
+ */
+async function deliverEvent(event, hooks) {
+  const failures = [];
+  for (const hook of hooks.webhooks.filter(h => subscribed(h, event))) {
+    try {
+      await sendWebhook(hook, event);
+    } catch (err) {
+      failures.push({ hook: hook.url, error: err.message });
+    }
+  }
+  for (const hook of hooks.commands.filter(h => subscribed(h, event))) {
+    try {
+      await runCommand(hook, event);
+    } catch (err) {
+      failures.push({ hook: hook.run, error: err.message });
+    }
+  }
+  return failures;
+}
+
+module.exports = {
+  EVENT_TYPES,
+  createEvent,
+  isAlert,
+  loadHooks,
+  signPayload,
+  deliverEvent,
+};
@@ -0,0 +1,83 @@
+'use strict';
+
+/**
+ * HD key derivation (BIP32/BIP39) for wallet files.
+ *
+ * One mnemonic backs every key. Paths follow BIP44 with coin type 236 on
+ * mainnet and 1 on testnet/regtest:
+ *
+ *   m/44'/236'/0'/0/0           funding — pays fees, receives payouts
+ *   m/44'/236'/<role>'/0/<i>    a fresh key per bond, escrow or request
+ *
+ * with roles bondholder 1', slasher 2', resolver 3', escrow 4'. Role
+ * accounts are exported as xpubs so new public keys can be handed out
+ * without unlocking the wallet.
+ */
+
+const { bsv } = require('scrypt-ts');
+const network = require('./network.cjs');
+const { ValidationError } = require('./errors.cjs');
+
+const ROLES = { bondholder: 1, slasher: 2, resolver: 3, escrow: 4 };
+
+// Unused keys scanned past the last reserved index when looking a key up
+const GAP_LIMIT = 20;
+
+function coinType(networkName = network.name) {
+  return networkName === 'mainnet' ? 236 : 1;
+}
+
+function checkRole(role) {
+  if (!(role in ROLES)) throw new ValidationError(`Unknown role: ${role} (expected ${Object.keys(ROLES).join(', ')})`);
+}
+
+function accountPath(account) {
+  return `m/44'/${coinType()}'/${account}'`;
+}
+
+function fundingPath() {
+  return `${accountPath(0)}/0/0`;
+}
+
+function rolePath(role, index) {
+  checkRole(role);
+  return `${accountPath(ROLES[role])}/0/${index}`;
+}
+
+function generateMnemonic() {
+  return bsv.Mnemonic.fromRandom().toString();
+}
+
+/** @returns {bsv.HDPrivateKey} */
+function rootFromMnemonic(mnemonic) {
+  const words = mnemonic.trim().split(/\s+/).join(' ');
+  if (!bsv.Mnemonic.isValid(words)) throw new ValidationError('Invalid mnemonic');
+  return bsv.Mnemonic.fromString(words).toHDPrivateKey('', network.bsvNetwork);
+}
+
+/** The account xpub of every role, for the wallet file. */
+function roleXpubs(root) {
+  const xpubs = {};
+  for (const [role, account] of Object.entries(ROLES)) {
+    xpubs[role] = root.deriveChild(accountPath(account)).hdPublicKey.toString();
+  }
+  return xpubs;
+}
+
+/** Public key `index` of a role account, from its xpub. @returns {string} hex */
+function rolePublicKey(xpub, index) {
+  return bsv.HDPublicKey.fromString(xpub).deriveChild(`m/0/${index}`).publicKey.toHex();
+}
+
+module.exports = {
+  ROLES,
+  GAP_LIMIT,
+  coinType,
+  checkRole,
+  fundingPath,
+  rolePath,
+  generateMnemonic,
+  rootFromMnemonic,
+  roleXpubs,
+  rolePublicKey,
+};
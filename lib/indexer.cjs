@@ -0,0 +1,328 @@
+'use strict';
+
+/**
+ * Indexer — a local copy of every watched bond, escrow and ASSERT1 record,
+ * kept in step with the chain one block at a time, so the viewer and the
+ * watchtower read status from one consistent tip instead of asking the
+ * chain once per item.
+ *
+ * A sync follows block headers from the last indexed block to the tip and
+ * scans each new block for spends of watched outpoints and for ASSERT1
+ * outputs. The last REORG_DEPTH headers are kept: when the chain no longer
+ * contains the indexed tip, blocks are rolled back (undoing whatever they
+ * recorded) until it does, and the new branch is scanned forward.
+ *
+ * History from before the index existed is read once per item instead: a
+ * contract's spend when its state file first appears, and the ASSERT1
+ * transactions in a bondholder address's history when that address first
+ * appears. Falling more than REORG_DEPTH blocks behind starts over this way.
+ *
+ * The index is a JSON file:
+ *
+ *   { network, height, tipHash, syncedAt, lastError,
+ *     headers: [{ height, hash, prevHash }],
+ *     bonds:   { <txid>: { state, status, spentMethod, spentTxid, spentHeight, caughtUp, error? } },
+ *     escrows: { <txid>: { state, status, spentMethod, spentTxid, spentHeight, caughtUp, error? } },
+ *     addresses: [bondholder addresses whose history has been read],
+ *     claims, batches, amendments, reveals: [ASSERT1 records, each with txid, blockHeight, address] }
+ *
+ * `state` is the contract's state file; `status` is UNKNOWN until its spend
+ * has been looked up, and `spentMethod` is the public method the spend
+ * called. Anyone can publish an ASSERT1 output citing any bond, so claims
+ * and batches are only kept when the watched bond's holder signed them.
+ * Signatures are stored as hex.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { bsv } = require('scrypt-ts');
+const network = require('./network.cjs');
+const { createProvider } = require('./provider.cjs');
+const { bondSpendStatus } = require('./bond.cjs');
+const { escrowSpendStatus } = require('./escrow.cjs');
+const { parseAssertScript, parseBatchScript, parseAmendmentScript, parseRevealScript, signedBy } = require('./assertion.cjs');
+const { BONDS_DIR, ESCROWS_DIR } = require('./state.cjs');
+
+const REORG_DEPTH = 100;
+// Bumped when records change shape or meaning, so older index files are rebuilt
+const INDEX_VERSION = 1;
+
+const CONTRACTS = [
+  { records: 'bonds', dir: BONDS_DIR, key: 'bondTxid', spendStatus: bondSpendStatus },
+  { records: 'escrows', dir: ESCROWS_DIR, key: 'escrowTxid', spendStatus: escrowSpendStatus },
+];
+
+const RECORDS = ['claims', 'batches', 'amendments', 'reveals'];
+
+const ASSERT1_HEX = Buffer.from('ASSERT1').toString('hex');
+
+function createIndex() {
+  return {
+    version: INDEX_VERSION,
+    network: network.name,
+    height: null,
+    tipHash: null,
+    syncedAt: null,
+    lastError: null,
+    headers: [],
+    bonds: {},
+    escrows: {},
+    addresses: [],
+    claims: [],
+    batches: [],
+    amendments: [],
+    reveals: [],
+  };
+}
+
+// A saved index, or a fresh one if it was built for another network or by an older version
+function restoreIndex(saved) {
+  if (!saved || saved.version !== INDEX_VERSION || saved.network !== network.name) {
+    return createIndex();
+  }
+  return { ...createIndex(), ...saved };
+}
+
+function loadIndex(file) {
+  return restoreIndex(fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null);
+}
+
+// Replace the file in one step so a crash mid-write never corrupts it
+function saveIndex(file, index) {
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(index));
+  fs.renameSync(tmp, file);
+}
+
+// State files from before network selection existed are mainnet
+function listStates(dir, key) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter(f => f.endsWith('.json'))
+    .map(f => JSON.parse(fs.readFileSync(path.join(dir, f), 'utf8')))
+    .filter(state => (state.network || 'mainnet') === network.name && state[key]);
+}
+
+// P2PKH address that signed a tx's first input — who published it. bsv
+// leaves `script` null when a scriptSig doesn't parse, as coinbase ones may.
+function senderAddress(tx) {
+  const script = tx.inputs[0] && tx.inputs[0].script;
+  const chunks = script && script.chunks;
+  if (!chunks || chunks.length !== 2 || !chunks[1].buf) return null;
+  try {
+    return bsv.PublicKey.fromBuffer(chunks[1].buf).toAddress(network.bsvNetwork).toString();
+  } catch {
+    return null;
+  }
+}
+
+const hex = buf => (buf ? buf.toString('hex') : null);
+
+// Every ASSERT1 record in one tx
+function parseAssert1(tx, blockHeight, address) {
+  const found = { claims: [], batches: [], amendments: [], reveals: [] };
+  const base = { txid: tx.id, blockHeight, address };
+  for (const output of tx.outputs) {
+    if (!output.script || !output.script.isSafeDataOut() || !output.script.toHex().includes(ASSERT1_HEX)) continue;
+    const amendment = parseAmendmentScript(output.script);
+    const reveal = !amendment && parseRevealScript(output.script);
+    const batch = !amendment && !reveal && parseBatchScript(output.script);
+    const claim = !amendment && !reveal && !batch && parseAssertScript(output.script);
+    if (amendment) found.amendments.push({ ...base, ...amendment, sig: hex(amendment.sig) });
+    else if (reveal) found.reveals.push({ ...base, ...reveal });
+    else if (batch) found.batches.push({ ...base, ...batch, root: hex(batch.root), sig: hex(batch.sig) });
+    else if (claim) found.claims.push({ ...base, ...claim, sig: hex(claim.sig) });
+  }
+  return found;
+}
+
+// Whether the holder of the watched bond a claim or batch cites signed it. State files track output 0.
+function signedByHolder(index, record) {
+  const bond = index.bonds[record.bondTxid];
+  if (!bond || (bond.state.outputIndex || 0) !== record.outputIndex) return false;
+  const parsed = { ...record, sig: Buffer.from(record.sig || '', 'hex'), root: record.root ? Buffer.from(record.root, 'hex') : undefined };
+  return signedBy(parsed, bond.state.bondholderPub);
+}
+
+// Add a tx's records, replacing any it already had. Claims and batches need the bondholder's signature.
+function addRecords(index, found) {
+  found = { ...found, claims: found.claims.filter(r => signedByHolder(index, r)), batches: found.batches.filter(r => signedByHolder(index, r)) };
+  for (const kind of RECORDS) {
+    const txids = new Set(found[kind].map(r => r.txid));
+    index[kind] = [...index[kind].filter(r => !txids.has(r.txid)), ...found[kind]];
+  }
+}
+
+// Records only matter while they cite a watched bond or claim, or come from a watched address
+function pruneRecords(index) {
+  const addresses = new Set(index.addresses);
+  const watched = r => addresses.has(r.address);
+  index.claims = index.claims.filter(r => index.bonds[r.bondTxid]);
+  index.batches = index.batches.filter(r => index.bonds[r.bondTxid]);
+  const claims = new Set(index.claims.map(r => r.txid));
+  index.amendments = index.amendments.filter(r => claims.has(r.assertTxid) || watched(r));
+  index.reveals = index.reveals.filter(r => claims.has(r.assertTxid) || watched(r));
+}
+
+/**
+ * Look up a newly watched contract's spend. Only a mined spend counts —
+ * the block scan records later ones — and its height is only known while
+ * its block is among the kept headers.
+ */
+async function catchUpContract(index, record, kind, provider) {
+  const txid = record.state[kind.key];
+  const spent = await provider.getSpent(txid, record.state.outputIndex || 0);
+  const proof = spent && await provider.getMerkleProof(spent.txid);
+  if (!proof) {
+    Object.assign(record, { status: 'ACTIVE', spentMethod: null, spentTxid: null, spentHeight: null });
+    return;
+  }
+  const block = index.headers.find(h => h.hash === proof.target);
+  const { status, method } = kind.spendStatus(await provider.getTransaction(spent.txid), spent.vin);
+  Object.assign(record, { status, spentMethod: method, spentTxid: spent.txid, spentHeight: block ? block.height : null });
+}
+
+// ASSERT1 transactions mined up to the indexed tip in a newly watched address's history
+async function catchUpAddress(index, address, provider) {
+  for (const entry of await provider.getHistory(address)) {
+    if (!(entry.height > 0) || entry.height > index.height) continue;
+    const tx = await provider.getTransaction(entry.tx_hash);
+    if (tx) addRecords(index, parseAssert1(tx, entry.height, address));
+  }
+}
+
+/**
+ * Bring the watched contracts and addresses in line with the state files,
+ * catching up whatever is new. A failed catch-up is recorded on the
+ * contract and retried next sync.
+ */
+async function syncWatched(index, provider) {
+  for (const kind of CONTRACTS) {
+    const records = index[kind.records];
+    const states = listStates(kind.dir, kind.key);
+    const txids = new Set(states.map(state => state[kind.key]));
+    for (const txid of Object.keys(records)) if (!txids.has(txid)) delete records[txid];
+
+    for (const state of states) {
+      const txid = state[kind.key];
+      const record = records[txid] = records[txid]
+        ? { ...records[txid], state }
+        : { state, status: 'UNKNOWN', spentMethod: null, spentTxid: null, spentHeight: null, caughtUp: false };
+      if (record.caughtUp) continue;
+      try {
+        await catchUpContract(index, record, kind, provider);
+        record.caughtUp = true;
+        delete record.error;
+      } catch (err) {
+        record.error = err.message;
+      }
+    }
+  }
+
+  const addresses = [...new Set(Object.values(index.bonds).map(b => b.state.bondholderAddress))];
+  index.addresses = index.addresses.filter(a => addresses.includes(a));
+  for (const address of addresses.filter(a => !index.addresses.includes(a))) {
+    await catchUpAddress(index, address, provider);
+    index.addresses.push(address);
+  }
+  pruneRecords(index);
+}
+
+// Start over at `height`: forget every block and record, and catch everything up again
+async function anchor(index, height, provider) {
+  const header = await provider.getBlockHeader(height);
+  if (!header) throw new Error(`No block header at height ${height}`);
+  Object.assign(index, createIndex(), { height, tipHash: header.hash, headers: [header] });
+}
+
+// Undo the top indexed block
+function rollBack(index) {
+  const block = index.headers.pop();
+  for (const kind of RECORDS) index[kind] = index[kind].filter(r => r.blockHeight !== block.height);
+  for (const { records } of CONTRACTS) {
+    for (const record of Object.values(index[records])) {
+      if (record.spentHeight === block.height) Object.assign(record, { status: 'ACTIVE', spentMethod: null, spentTxid: null, spentHeight: null });
+    }
+  }
+  index.height = block.height - 1;
+  index.tipHash = block.prevHash;
+}
+
+// Roll back until the indexed tip is on the provider's chain. @returns {boolean} false if every kept header was orphaned
+async function rewind(index, provider) {
+  while (index.headers.length) {
+    const top = index.headers[index.headers.length - 1];
+    const current = await provider.getBlockHeader(top.height);
+    if (current && current.hash === top.hash) return true;
+    rollBack(index);
+  }
+  return false;
+}
+
+// Spends of watched outpoints and ASSERT1 records in one block
+function applyBlock(index, header, txs) {
+  const watched = new Map();
+  for (const kind of CONTRACTS) {
+    for (const record of Object.values(index[kind.records])) {
+      if (!record.spentTxid) watched.set(`${record.state[kind.key]}:${record.state.outputIndex || 0}`, { record, kind });
+    }
+  }
+
+  const found = { claims: [], batches: [], amendments: [], reveals: [] };
+  for (const tx of txs) {
+    tx.inputs.forEach((input, vin) => {
+      const match = watched.get(`${input.prevTxId.toString('hex')}:${input.outputIndex}`);
+      if (!match) return;
+      const { status, method } = match.kind.spendStatus(tx, vin);
+      Object.assign(match.record, { status, spentMethod: method, spentTxid: tx.id, spentHeight: header.height });
+    });
+    const records = parseAssert1(tx, header.height, senderAddress(tx));
+    for (const kind of RECORDS) found[kind].push(...records[kind]);
+  }
+  addRecords(index, found);
+  pruneRecords(index);
+
+  index.headers = [...index.headers, header].slice(-REORG_DEPTH);
+  index.height = header.height;
+  index.tipHash = header.hash;
+}
+
+/**
+ * One sync of `index` to the chain tip, updated in place. A failure that
+ * stops the sync is thrown; everything up to the last applied block stays
+ * consistent, so the caller can keep serving it.
+ * @returns {Promise<object>} the index
+ */
+async function syncIndex(index, { provider = createProvider() } = {}) {
+  const { blocks: tip, bestblockhash } = await provider.getChainInfo();
+  if (index.height !== null && bestblockhash !== index.tipHash && !(await rewind(index, provider))) index.height = null;
+  if (index.height === null || tip - index.height > REORG_DEPTH) await anchor(index, tip, provider);
+
+  await syncWatched(index, provider);
+  while (index.height < tip) {
+    const header = await provider.getBlockHeader(index.height + 1);
+    if (!header) break;
+    // The chain reorganised mid-sync; step back and follow the new branch
+    if (header.prevHash !== index.tipHash) {
+      rollBack(index);
+      if (!index.headers.length) {
+        await anchor(index, tip, provider);
+        await syncWatched(index, provider);
+      }
+      continue;
+    }
+    applyBlock(index, header, await provider.getBlockTransactions(header.hash));
+  }
+
+  index.syncedAt = new Date().toISOString();
+  index.lastError = null;
+  return index;
+}
+
+module.exports = {
+  REORG_DEPTH,
+  restoreIndex,
+  loadIndex,
+  saveIndex,
+  syncIndex,
+};
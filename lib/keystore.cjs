@@ -0,0 +1,108 @@
+'use strict';
+
+/**
+ * Encrypted keystore — a wallet secret (mnemonic or WIF) sealed with
+ * AES-256-GCM under a scrypt-derived key.
+ *
+ *   {
+ *     "version": 1,
+ *     "kdf": "scrypt",
+ *     "kdfparams": { "n": 131072, "r": 8, "p": 1, "salt": "<hex>" },
+ *     "cipher": "aes-256-gcm",
+ *     "iv": "<hex>", "ciphertext": "<hex>", "tag": "<hex>"
+ *   }
+ *
+ * The wallet address is bound in as associated data, so a keystore pasted
+ * under another address fails to open instead of signing for the wrong key.
+ */
+
+const crypto = require('crypto');
+const readline = require('readline');
+const { UnauthorizedError, ValidationError } = require('./errors.cjs');
+
+const KDF_PARAMS = { n: 2 ** 17, r: 8, p: 1 };
+const KEY_LENGTH = 32;
+
+function deriveKey(passphrase, { n, r, p, salt }) {
+  // scrypt needs 128 * n * r bytes; the default cap is 32 MiB
+  return crypto.scryptSync(passphrase.normalize('NFKC'), Buffer.from(salt, 'hex'), KEY_LENGTH, {
+    N: n, r, p, maxmem: 256 * n * r,
+  });
+}
+
+/** Seal `secret` under `passphrase`. @returns {object} keystore */
+function encryptSecret(secret, passphrase, address) {
+  if (!passphrase) throw new ValidationError('Passphrase must not be empty');
+  const kdfparams = { ...KDF_PARAMS, salt: crypto.randomBytes(32).toString('hex') };
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', deriveKey(passphrase, kdfparams), iv);
+  cipher.setAAD(Buffer.from(address, 'utf8'));
+  const ciphertext = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return {
+    version: 1,
+    kdf: 'scrypt',
+    kdfparams,
+    cipher: 'aes-256-gcm',
+    iv: iv.toString('hex'),
+    ciphertext: ciphertext.toString('hex'),
+    tag: cipher.getAuthTag().toString('hex'),
+  };
+}
+
+/** Open a keystore. Throws UnauthorizedError on a wrong passphrase. @returns {string} the secret */
+function decryptSecret(keystore, passphrase, address) {
+  if (keystore.kdf !== 'scrypt' || keystore.cipher !== 'aes-256-gcm') {
+    throw new ValidationError(`Unsupported keystore: ${keystore.kdf}/${keystore.cipher}`);
+  }
+  const decipher = crypto.createDecipheriv(
+    'aes-256-gcm', deriveKey(passphrase, keystore.kdfparams), Buffer.from(keystore.iv, 'hex')
+  );
+  decipher.setAAD(Buffer.from(address, 'utf8'));
+  decipher.setAuthTag(Buffer.from(keystore.tag, 'hex'));
+  try {
+    return Buffer.concat([
+      decipher.update(Buffer.from(keystore.ciphertext, 'hex')),
+      decipher.final(),
+    ]).toString('utf8');
+  } catch {
+    throw new UnauthorizedError('Wrong passphrase');
+  }
+}
+
+// Read a line from the terminal without echoing it. Prompts go to stderr so --json output stays clean.
+function promptHidden(question) {
+  return new Promise(resolve => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stderr, terminal: true });
+    let muted = false;
+    rl._writeToOutput = s => { if (!muted) process.stderr.write(s); };
+    rl.question(question, answer => {
+      rl.close();
+      process.stderr.write('\n');
+      resolve(answer);
+    });
+    muted = true;
+  });
+}
+
+/**
+ * A passphrase (or mnemonic) from `envVar` if set, else from a terminal
+ * prompt. `confirm` asks twice, for passphrases that are about to be set.
+ */
+async function readSecret({ envVar, question, confirm = false }) {
+  if (process.env[envVar]) return process.env[envVar];
+  if (!process.stdin.isTTY) {
+    throw new ValidationError(`${question.replace(/:\s*$/, '')} needed — set ${envVar} or run in a terminal`);
+  }
+  const secret = await promptHidden(question);
+  if (!secret) throw new ValidationError(`${question.replace(/:\s*$/, '')} must not be empty`);
+  if (confirm && await promptHidden('Repeat passphrase: ') !== secret) {
+    throw new ValidationError('Passphrases do not match');
+  }
+  return secret;
+}
+
+module.exports = {
+  encryptSecret,
+  decryptSecret,
+  readSecret,
+};
@@ -0,0 +1,68 @@
+'use strict';
+
+/**
+ * Merkle trees over a list of leaf hashes, with inclusion proofs.
+ *
+ * Pairs are hashed with the caller's `hashNode(left, right)`. A node left
+ * without a partner is carried up unchanged rather than paired with itself,
+ * so no two leaf lists share a root by duplicating their last entry.
+ */
+
+// One level up: hash neighbours, carry an odd node out
+function nextLevel(level, hashNode) {
+  const next = [];
+  for (let i = 0; i < level.length; i += 2) {
+    next.push(i + 1 < level.length ? hashNode(level[i], level[i + 1]) : level[i]);
+  }
+  return next;
+}
+
+/** @returns {Buffer} root of `leaves` (Buffers) */
+function merkleRoot(leaves, hashNode) {
+  if (leaves.length === 0) throw new Error('Merkle tree needs at least one leaf');
+  let level = leaves;
+  while (level.length > 1) level = nextLevel(level, hashNode);
+  return level[0];
+}
+
+/**
+ * Siblings from leaf `index` up to the root.
+ * @returns {Array<{side: 'left'|'right', hash: string}>}
+ */
+function merkleProof(leaves, index, hashNode) {
+  if (index < 0 || index >= leaves.length) throw new Error(`Leaf index out of range: ${index}`);
+  const path = [];
+  let level = leaves;
+  while (level.length > 1) {
+    if (index % 2 === 1) path.push({ side: 'left', hash: level[index - 1].toString('hex') });
+    else if (index + 1 < level.length) path.push({ side: 'right', hash: level[index + 1].toString('hex') });
+    level = nextLevel(level, hashNode);
+    index = Math.floor(index / 2);
+  }
+  return path;
+}
+
+/** The sides a proof for leaf `index` of `count` must take, bottom up. @returns {string[]} */
+function proofSides(index, count) {
+  const sides = [];
+  for (let n = count; n > 1; n = Math.ceil(n / 2), index = Math.floor(index / 2)) {
+    if (index % 2 === 1) sides.push('left');
+    else if (index + 1 < n) sides.push('right');
+  }
+  return sides;
+}
+
+/** The root `leaf` hashes up to along `path`. @returns {Buffer} */
+function rootFromProof(leaf, path, hashNode) {
+  return path.reduce((node, { side, hash }) => {
+    const sibling = Buffer.from(hash, 'hex');
+    return side === 'left' ? hashNode(sibling, node) : hashNode(node, sibling);
+  }, leaf);
+}
+
+module.exports = {
+  merkleRoot,
+  merkleProof,
+  proofSides,
+  rootFromProof,
+};
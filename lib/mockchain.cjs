@@ -0,0 +1,349 @@
+'use strict';
+
+/**
+ * In-memory mock chain, persisted to a JSON file so separate CLI runs see
+ * the same chain. Implements the ChainProvider interface, so pointing
+ * MOCKCHAIN_PATH at a file runs every script and the viewer fully offline.
+ *
+ * Broadcast transactions are checked like a node would: inputs must exist
+ * and be unspent, nLockTime must be final at the next height, outputs can't
+ * exceed inputs, and every input script runs through the bsv interpreter.
+ * Transactions wait in the mempool until `mine()` puts them in a block.
+ *
+ * Usage:
+ *   MOCKCHAIN_PATH=mockchain.json node mockchain.cjs init
+ *   MOCKCHAIN_PATH=mockchain.json node deploy-bond.cjs ...
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+const { bsv } = require('scrypt-ts');
+const { ChainProvider } = require('./provider.cjs');
+const { BroadcastError } = require('./errors.cjs');
+
+const DEFAULT_START_HEIGHT = 1000;
+const LOCKTIME_THRESHOLD = 500000000;
+const FINAL_SEQUENCE = 0xffffffff;
+const NULL_TXID = '00'.repeat(32);
+
+function sha256d(buf) {
+  return bsv.crypto.Hash.sha256sha256(buf);
+}
+
+// Merkle root over txids (display hex), returned in display byte order
+function merkleRoot(txids) {
+  if (txids.length === 0) return NULL_TXID;
+  let level = txids.map(id => Buffer.from(id, 'hex').reverse());
+  while (level.length > 1) {
+    const next = [];
+    for (let i = 0; i < level.length; i += 2) {
+      const right = level[i + 1] || level[i];
+      next.push(sha256d(Buffer.concat([level[i], right])));
+    }
+    level = next;
+  }
+  return Buffer.from(level[0]).reverse().toString('hex');
+}
+
+// 80-byte block header; no proof of work on a mock chain
+function buildHeader(prevHash, root, time, nonce = 0) {
+  const buf = Buffer.alloc(80);
+  buf.writeInt32LE(1, 0);
+  Buffer.from(prevHash, 'hex').reverse().copy(buf, 4);
+  Buffer.from(root, 'hex').reverse().copy(buf, 36);
+  buf.writeUInt32LE(time, 68);
+  buf.writeUInt32LE(0x207fffff, 72);
+  buf.writeUInt32LE(nonce, 76);
+  return buf;
+}
+
+function p2pkhHash(script) {
+  return script.isPublicKeyHashOut() ? script.chunks[2].buf.toString('hex') : null;
+}
+
+class MockChainProvider extends ChainProvider {
+  constructor({ path, startHeight = DEFAULT_START_HEIGHT } = {}) {
+    super();
+    if (!path) throw new Error('MockChainProvider needs a state file path');
+    this.path = path;
+    this.startHeight = startHeight;
+  }
+
+  // ─── State ───────────────────────────────────────────────
+
+  _load() {
+    if (!fs.existsSync(this.path)) return this._genesis();
+    return JSON.parse(fs.readFileSync(this.path, 'utf8'));
+  }
+
+  _save(state) {
+    fs.writeFileSync(this.path, JSON.stringify(state, null, 2));
+  }
+
+  _genesis() {
+    const time = Math.floor(Date.now() / 1000);
+    const header = buildHeader(NULL_TXID, NULL_TXID, time);
+    return {
+      blocks: [{
+        height: this.startHeight,
+        hash: Buffer.from(sha256d(header)).reverse().toString('hex'),
+        prevHash: NULL_TXID,
+        merkleRoot: NULL_TXID,
+        time,
+        header: header.toString('hex'),
+        txids: [],
+      }],
+      txs: {},
+      spends: {},
+      mempool: [],
+    };
+  }
+
+  /** Create a fresh chain, overwriting any existing state file. */
+  init() {
+    const state = this._genesis();
+    this._save(state);
+    return state.blocks[0];
+  }
+
+  // ─── ChainProvider ───────────────────────────────────────
+
+  async getChainInfo() {
+    const tip = this._load().blocks.slice(-1)[0];
+    return { chain: 'mock', blocks: tip.height, bestblockhash: tip.hash };
+  }
+
+  async listUnspent(address) {
+    const state = this._load();
+    const hash = bsv.Address.fromString(address).hashBuffer.toString('hex');
+    const utxos = [];
+    for (const [txid, entry] of Object.entries(state.txs)) {
+      const tx = new bsv.Transaction(entry.hex);
+      tx.outputs.forEach((output, vout) => {
+        if (p2pkhHash(output.script) !== hash) return;
+        if (state.spends[`${txid}:${vout}`]) return;
+        utxos.push({ tx_hash: txid, tx_pos: vout, value: output.satoshis, height: entry.height });
+      });
+    }
+    return utxos;
+  }
+
+  async getRawTx(txid) {
+    const entry = this._load().txs[txid];
+    return entry ? entry.hex : null;
+  }
+
+  async getSpent(txid, vout) {
+    return this._load().spends[`${txid}:${vout}`] || null;
+  }
+
+  async getHistory(address) {
+    const state = this._load();
+    const hash = bsv.Address.fromString(address).hashBuffer.toString('hex');
+    const history = [];
+    for (const [txid, entry] of Object.entries(state.txs)) {
+      const tx = new bsv.Transaction(entry.hex);
+      const pays = tx.outputs.some(o => p2pkhHash(o.script) === hash);
+      const spends = tx.inputs.some(input => {
+        const prev = state.txs[input.prevTxId.toString('hex')];
+        if (!prev) return false;
+        const prevOut = new bsv.Transaction(prev.hex).outputs[input.outputIndex];
+        return prevOut && p2pkhHash(prevOut.script) === hash;
+      });
+      if (pays || spends) history.push({ tx_hash: txid, height: entry.height });
+    }
+    return history;
+  }
+
+  async getMerkleProof(txid) {
+    const block = this._load().blocks.find(b => b.txids.includes(txid));
+    if (!block) return null;
+    let index = block.txids.indexOf(txid);
+    let level = block.txids.map(id => Buffer.from(id, 'hex').reverse());
+    const proof = { index, target: block.hash, nodes: [] };
+    while (level.length > 1) {
+      const sibling = index % 2 === 1 ? level[index - 1] : level[index + 1];
+      proof.nodes.push(sibling ? Buffer.from(sibling).reverse().toString('hex') : '*');
+      const next = [];
+      for (let i = 0; i < level.length; i += 2) {
+        next.push(sha256d(Buffer.concat([level[i], level[i + 1] || level[i]])));
+      }
+      level = next;
+      index = Math.floor(index / 2);
+    }
+    return proof;
+  }
+
+  async getBlockHeader(height) {
+    const block = this._load().blocks.find(b => b.height === height);
+    return block ? { height: block.height, hash: block.hash, prevHash: block.prevHash } : null;
+  }
+
+  async getBlockTransactions(hash) {
+    const state = this._load();
+    const block = state.blocks.find(b => b.hash === hash);
+    if (!block) throw new Error(`Block not found: ${hash}`);
+    return block.txids.map(txid => new bsv.Transaction(state.txs[txid].hex));
+  }
+
+  async broadcast(txhex) {
+    const state = this._load();
+    const tx = new bsv.Transaction(txhex);
+    const txid = tx.id;
+    if (state.txs[txid]) return txid;
+
+    const nextHeight = state.blocks.slice(-1)[0].height + 1;
+    if (!this._isFinal(tx, nextHeight)) {
+      throw new BroadcastError(`Broadcast failed: non-final transaction (nLockTime ${tx.nLockTime}, next block ${nextHeight})`);
+    }
+
+    let totalIn = 0;
+    tx.inputs.forEach((input, vin) => {
+      const prevTxid = input.prevTxId.toString('hex');
+      const prev = state.txs[prevTxid];
+      if (!prev) throw new BroadcastError(`Broadcast failed: missing input ${prevTxid}:${input.outputIndex}`);
+      const prevOut = new bsv.Transaction(prev.hex).outputs[input.outputIndex];
+      if (!prevOut) throw new BroadcastError(`Broadcast failed: missing input ${prevTxid}:${input.outputIndex}`);
+      const spent = state.spends[`${prevTxid}:${input.outputIndex}`];
+      if (spent) throw new BroadcastError(`Broadcast failed: input ${prevTxid}:${input.outputIndex} already spent by ${spent.txid}`);
+
+      const error = this._verifyInput(tx, vin, prevOut);
+      if (error) throw new BroadcastError(`Broadcast failed: input ${vin} script error: ${error}`);
+      totalIn += prevOut.satoshis;
+    });
+
+    const totalOut = tx.outputs.reduce((s, o) => s + o.satoshis, 0);
+    if (totalOut > totalIn) {
+      throw new BroadcastError(`Broadcast failed: outputs (${totalOut}) exceed inputs (${totalIn})`);
+    }
+
+    tx.inputs.forEach((input, vin) => {
+      state.spends[`${input.prevTxId.toString('hex')}:${input.outputIndex}`] = { txid, vin };
+    });
+    state.txs[txid] = { hex: txhex, height: 0 };
+    state.mempool.push(txid);
+    this._save(state);
+    return txid;
+  }
+
+  // ─── Mock-only helpers ───────────────────────────────────
+
+  /**
+   * Put a coinbase-style tx paying `address` into the mempool.
+   * @returns {Promise<string>} txid
+   */
+  async fund(address, satoshis) {
+    const state = this._load();
+    const tx = new bsv.Transaction();
+    tx.uncheckedAddInput(new bsv.Transaction.Input({
+      prevTxId: NULL_TXID,
+      outputIndex: 0xffffffff,
+      script: bsv.Script.fromBuffer(crypto.randomBytes(8)),
+    }));
+    tx.addOutput(new bsv.Transaction.Output({
+      script: bsv.Script.buildPublicKeyHashOut(bsv.Address.fromString(address)),
+      satoshis,
+    }));
+    const txid = tx.id;
+    state.txs[txid] = { hex: tx.uncheckedSerialize(), height: 0 };
+    state.mempool.push(txid);
+    this._save(state);
+    return txid;
+  }
+
+  /**
+   * Mine `count` blocks; the first one confirms everything in the mempool.
+   * @returns {Promise<number>} new tip height
+   */
+  async mine(count = 1) {
+    const state = this._load();
+    for (let i = 0; i < count; i++) {
+      const tip = state.blocks.slice(-1)[0];
+      const txids = state.mempool.splice(0);
+      const root = merkleRoot(txids);
+      const time = Math.max(tip.time + 1, Math.floor(Date.now() / 1000));
+      // A random nonce keeps blocks mined after a reorg from hashing like the ones they replace
+      const header = buildHeader(tip.hash, root, time, crypto.randomBytes(4).readUInt32LE());
+      const block = {
+        height: tip.height + 1,
+        hash: Buffer.from(sha256d(header)).reverse().toString('hex'),
+        prevHash: tip.hash,
+        merkleRoot: root,
+        time,
+        header: header.toString('hex'),
+        txids,
+      };
+      for (const txid of txids) state.txs[txid].height = block.height;
+      state.blocks.push(block);
+    }
+    this._save(state);
+    return state.blocks.slice(-1)[0].height;
+  }
+
+  /**
+   * Replace the top `depth` blocks with `depth + 1` new ones, as a competing
+   * chain would. Their txs go back to the mempool and are mined again, or
+   * with `drop` vanish along with everything spending them.
+   * @returns {Promise<number>} new tip height
+   */
+  async reorg(depth, { drop = false } = {}) {
+    const state = this._load();
+    if (!(depth >= 1 && depth < state.blocks.length)) {
+      throw new Error(`Can only reorg 1 to ${state.blocks.length - 1} blocks`);
+    }
+    const orphaned = state.blocks.splice(-depth).flatMap(b => b.txids);
+    if (drop) {
+      const gone = new Set(orphaned);
+      // The mempool is in broadcast order, so a parent is always seen before its children
+      for (const txid of state.mempool) {
+        const tx = new bsv.Transaction(state.txs[txid].hex);
+        if (tx.inputs.some(input => gone.has(input.prevTxId.toString('hex')))) gone.add(txid);
+      }
+      state.mempool = state.mempool.filter(txid => !gone.has(txid));
+      for (const [outpoint, spend] of Object.entries(state.spends)) if (gone.has(spend.txid)) delete state.spends[outpoint];
+      for (const txid of gone) delete state.txs[txid];
+    } else {
+      for (const txid of orphaned) state.txs[txid].height = 0;
+      state.mempool = [...orphaned, ...state.mempool];
+    }
+    this._save(state);
+    return this.mine(depth + 1);
+  }
+
+  /** Every block header, oldest first — what an SPV verifier needs. @returns {Promise<Array<{height, header}>>} */
+  async getHeaders() {
+    return this._load().blocks.map(({ height, header }) => ({ height, header }));
+  }
+
+  async getMempool() {
+    return this._load().mempool.slice();
+  }
+
+  // ─── Validation ──────────────────────────────────────────
+
+  _isFinal(tx, nextHeight) {
+    if (tx.nLockTime === 0) return true;
+    if (tx.inputs.every(input => input.sequenceNumber === FINAL_SEQUENCE)) return true;
+    const limit = tx.nLockTime < LOCKTIME_THRESHOLD ? nextHeight : Math.floor(Date.now() / 1000);
+    return tx.nLockTime < limit;
+  }
+
+  // Returns an error string, or null if the input script verifies
+  _verifyInput(tx, vin, prevOut) {
+    const Interpreter = bsv.Script.Interpreter;
+    // sCrypt contracts push elements larger than the pre-Genesis limits
+    Interpreter.MAX_SCRIPT_ELEMENT_SIZE = Number.MAX_SAFE_INTEGER;
+    Interpreter.MAXIMUM_ELEMENT_SIZE = Number.MAX_SAFE_INTEGER;
+    const interpreter = new Interpreter();
+    const ok = interpreter.verify(
+      tx.inputs[vin].script, prevOut.script, tx, vin,
+      Interpreter.DEFAULT_FLAGS, new bsv.crypto.BN(prevOut.satoshis)
+    );
+    return ok ? null : (interpreter.errstr || 'verification failed');
+  }
+}
+
+module.exports = {
+  MockChainProvider,
+  merkleRoot,
+};
@@ -0,0 +1,81 @@
+'use strict';
+
+/**
+ * Network selection — mainnet, testnet or regtest.
+ *
+ * The network starts as the BSV_NETWORK env var (default: mainnet); the
+ * scripts switch it with useNetwork() once they have parsed `--network`.
+ * Address encoding, the provider endpoint and explorer links all follow
+ * it, and every module reads them at call time, so switch before creating
+ * a provider.
+ *
+ * Regtest has no public API or explorer: point BSV_API_URL at a
+ * WhatsOnChain-compatible API for your node, or use MOCKCHAIN_PATH.
+ * BSV_API_URL and BSV_EXPLORER_URL override the defaults on any network.
+ *
+ * Usage:
+ *   const network = require('./lib/network.cjs');
+ *   bsv.PrivateKey.fromRandom(network.bsvNetwork);
+ *   console.log(network.txUrl(txid));
+ */
+
+const { bsv } = require('scrypt-ts');
+const { ValidationError } = require('./errors.cjs');
+
+const NETWORKS = {
+  mainnet: {
+    bsvNetwork: bsv.Networks.mainnet,
+    apiUrl: 'https://api.whatsonchain.com/v1/bsv/main',
+    explorerUrl: 'https://whatsonchain.com',
+  },
+  testnet: {
+    bsvNetwork: bsv.Networks.testnet,
+    apiUrl: 'https://api.whatsonchain.com/v1/bsv/test',
+    explorerUrl: 'https://test.whatsonchain.com',
+  },
+  regtest: {
+    bsvNetwork: bsv.Networks.regtest,
+    apiUrl: null,
+    explorerUrl: null,
+  },
+};
+
+/**
+ * Resolve a network by name, applying the BSV_API_URL / BSV_EXPLORER_URL
+ * overrides. Throws on an unknown name.
+ */
+function selectNetwork(name = 'mainnet') {
+  const base = NETWORKS[name];
+  if (!base) {
+    throw new ValidationError(`Unknown network: ${name} (expected ${Object.keys(NETWORKS).join(', ')})`);
+  }
+  const apiUrl = process.env.BSV_API_URL || base.apiUrl;
+  const explorerUrl = process.env.BSV_EXPLORER_URL || base.explorerUrl;
+  return {
+    name,
+    bsvNetwork: base.bsvNetwork,
+    apiUrl,
+    explorerUrl,
+    /** Explorer link for a tx, or null when the network has no explorer */
+    txUrl: txid => explorerUrl ? `${explorerUrl}/tx/${txid}` : null,
+    /** Explorer link for an address, or null when the network has no explorer */
+    addressUrl: address => explorerUrl ? `${explorerUrl}/address/${address}` : null,
+    /** True if `address` (string or bsv.Address) is encoded for this network */
+    isOwnAddress: address => {
+      const addr = typeof address === 'string' ? bsv.Address.fromString(address) : address;
+      return addr.network.pubkeyhash === base.bsvNetwork.pubkeyhash;
+    },
+  };
+}
+
+const network = selectNetwork(process.env.BSV_NETWORK || 'mainnet');
+
+/** Switch every module to the network `name`. Throws ValidationError on an unknown name. */
+function useNetwork(name) {
+  return Object.assign(network, selectNetwork(name));
+}
+
+module.exports = network;
+module.exports.NETWORKS = NETWORKS;
+module.exports.selectNetwork = selectNetwork;
+module.exports.useNetwork = useNetwork;
@@ -0,0 +1,258 @@
+'use strict';
+
+/**
+ * Panel bond operations — deploy, and a slash signed by a quorum of judges.
+ *
+ * Judges sign one at a time, possibly on different machines, so a slash
+ * goes through a request file (default: slashes/<bond-txid>.json):
+ * preparePanelSlash writes the unsigned slash tx to it, signPanelSlash adds
+ * one judge's signature, and combinePanelSlash broadcasts once a quorum has
+ * signed. Release works as for any bond (see bond.cjs).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { bsv, toByteString, PubKey, PubKeyHash, Sig } = require('scrypt-ts');
+const network = require('./network.cjs');
+const { createProvider } = require('./provider.cjs');
+const { ROOT, BONDS_DIR, SLASHES_DIR, saveState } = require('./state.cjs');
+const { SPEND_FEE, getPanelBond, fundContract } = require('./contracts.cjs');
+const { openKeyring } = require('./wallet.cjs');
+const { NotFoundError, AlreadySpentError, UnauthorizedError, ValidationError } = require('./errors.cjs');
+
+const SIGHASH = bsv.crypto.Signature.SIGHASH_ALL | bsv.crypto.Signature.SIGHASH_FORKID;
+
+// Fixed when the contract is compiled
+function judgeCount() {
+  return require(path.join(ROOT, 'dist/src/contracts/panelBond')).N_JUDGES;
+}
+
+function parseJudges(judges) {
+  const list = typeof judges === 'string' ? judges.split(',').filter(Boolean) : judges || [];
+  const count = judgeCount();
+  if (list.length !== count) throw new ValidationError(`A panel needs exactly ${count} judge public keys, got ${list.length}`);
+  const keys = list.map(hex => {
+    try {
+      return bsv.PublicKey.fromString(hex);
+    } catch {
+      throw new ValidationError(`Invalid judge public key: ${hex}`);
+    }
+  });
+
+  // One judge listed twice would count twice towards the quorum
+  const seen = new Set();
+  for (const [i, k] of keys.entries()) {
+    const point = bsv.PublicKey.fromPoint(k.point, true).toHex();
+    if (seen.has(point)) throw new ValidationError(`Duplicate judge public key: ${list[i]}`);
+    seen.add(point);
+  }
+  return keys;
+}
+
+async function fetchPanelBond(provider, txid, outputIndex) {
+  const tx = await provider.getTransaction(txid);
+  if (!tx) throw new NotFoundError(`Bond tx not found: ${txid}`);
+  return getPanelBond().fromTx(tx, outputIndex);
+}
+
+function readRequest(file) {
+  if (!fs.existsSync(file)) throw new NotFoundError(`Slash request not found: ${file}`);
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * Lock `amount` sats in a PanelBond: released to the bondholder after
+ * `lockBlocks` blocks like a Bond, slashed only with `quorum` signatures from
+ * `judges` (public keys, as an array or comma-separated). `quorum` defaults
+ * to a majority.
+ * @returns {Promise<{txid, amount, lockUntil, currentHeight, bondholderAddress, judgeAddresses, quorum, slashDest, statePath}>}
+ */
+async function deployPanelBond({
+  amount = 10000, lockBlocks = 10, judges, quorum, slashDest,
+  key, wif, wallet, passphrase, provider = createProvider(),
+}) {
+  if (!slashDest) throw new ValidationError('deployPanelBond needs slashDest');
+  const judgeKeys = parseJudges(judges);
+  quorum = quorum === undefined ? Math.floor(judgeKeys.length / 2) + 1 : quorum;
+  if (!Number.isInteger(quorum) || quorum < 1 || quorum > judgeKeys.length) {
+    throw new ValidationError(`Quorum must be between 1 and ${judgeKeys.length}`);
+  }
+  const PanelBond = getPanelBond();
+
+  const slashDestAddr = bsv.Address.fromString(slashDest);
+  if (!network.isOwnAddress(slashDestAddr)) {
+    throw new ValidationError(`Slash destination is not a ${network.name} address: ${slashDest}`);
+  }
+
+  const keys = await openKeyring({ key, wif, wallet, passphrase });
+  const bondholderAddr = keys.fundingAddress;
+  const currentHeight = await provider.getHeight();
+  const lockUntil = currentHeight + lockBlocks;
+
+  // HD wallets lock each bond to a fresh key; release pays the funding address
+  const bondholder = await keys.reserve('bondholder');
+  const bond = new PanelBond(
+    PubKeyHash(toByteString(bondholderAddr.hashBuffer.toString('hex'))),
+    PubKey(toByteString(bondholder.publicKey)),
+    BigInt(lockUntil),
+    judgeKeys.map(k => PubKey(toByteString(k.toHex()))),
+    BigInt(quorum),
+    PubKeyHash(toByteString(slashDestAddr.hashBuffer.toString('hex')))
+  );
+  const txid = await fundContract({ lockingScript: bond.lockingScript, amount, fundingKey: keys.fundingKey, provider });
+
+  const state = {
+    bondTxid: txid,
+    outputIndex: 0,
+    amount,
+    lockUntil,
+    bondholderAddress: bondholderAddr.toString(),
+    bondholderPub: bondholder.publicKey,
+    ...(bondholder.path ? { bondholderPath: bondholder.path } : {}),
+    type: 'panel',
+    judges: judgeKeys.map(k => k.toHex()),
+    judgeAddresses: judgeKeys.map(k => k.toAddress(network.bsvNetwork).toString()),
+    quorum,
+    slashDest,
+    network: network.name,
+    deployedAt: new Date().toISOString(),
+    blockHeight: currentHeight,
+  };
+  const statePath = saveState(BONDS_DIR, txid, state);
+
+  return {
+    txid,
+    amount,
+    lockUntil,
+    currentHeight,
+    bondholderAddress: state.bondholderAddress,
+    judgeAddresses: state.judgeAddresses,
+    quorum,
+    slashDest,
+    statePath,
+  };
+}
+
+/**
+ * Write the unsigned slash of panel bond `txid` to a request file for the
+ * judges to sign.
+ * @returns {Promise<{request, bondTxid, bondAmount, amount, slashDest, judges, quorum}>}
+ */
+async function preparePanelSlash({ txid, request, provider = createProvider() }) {
+  if (!txid) throw new ValidationError('preparePanelSlash needs the bond txid');
+  const spent = await provider.getSpent(txid, 0);
+  if (spent) throw new AlreadySpentError('Bond already spent.', { spentBy: spent.txid });
+
+  const bond = await fetchPanelBond(provider, txid, 0);
+  const bondAmount = Number(bond.balance);
+  const amount = bondAmount - SPEND_FEE;
+  const slashDest = bsv.Address.fromPublicKeyHash(Buffer.from(bond.slashDestPkh, 'hex'), network.bsvNetwork);
+
+  const tx = new bsv.Transaction();
+  tx.addInput(bond.buildContractInput());
+  tx.addOutput(new bsv.Transaction.Output({ script: bsv.Script.buildPublicKeyHashOut(slashDest), satoshis: amount }));
+
+  const contents = {
+    bondTxid: txid,
+    outputIndex: 0,
+    bondAmount,
+    outputAmount: amount,
+    slashDest: slashDest.toString(),
+    judges: bond.judges.map(j => j.toString()),
+    quorum: Number(bond.quorum),
+    txhex: tx.uncheckedSerialize(),
+    signatures: {},
+    network: network.name,
+    preparedAt: new Date().toISOString(),
+  };
+  if (request) {
+    fs.mkdirSync(path.dirname(request), { recursive: true });
+    fs.writeFileSync(request, JSON.stringify(contents, null, 2));
+  } else {
+    request = saveState(SLASHES_DIR, txid, contents);
+  }
+
+  return {
+    request, bondTxid: txid, bondAmount, amount,
+    slashDest: contents.slashDest, judges: contents.judges, quorum: contents.quorum,
+  };
+}
+
+/**
+ * Add this wallet's judge signature to a slash request. The signature
+ * covers the bond as it is on chain, not as the request describes it.
+ * @returns {Promise<{request, bondTxid, judgeAddress, amount, slashDest, signed, quorum}>}
+ */
+async function signPanelSlash({ request, key, wif, wallet, passphrase, provider = createProvider() }) {
+  if (!request) throw new ValidationError('signPanelSlash needs the request file');
+  const contents = readRequest(request);
+
+  // Judges hand out slasher-role keys, so look for any of them in this wallet
+  const keys = await openKeyring({ key, wif, wallet, passphrase });
+  const judgePub = contents.judges.find(pub => keys.keyFor('slasher', pub));
+  if (!judgePub) throw new UnauthorizedError('Wallet is not a judge on this bond');
+  const judgeKey = keys.keyFor('slasher', judgePub);
+
+  const bond = await fetchPanelBond(provider, contents.bondTxid, contents.outputIndex);
+  const tx = new bsv.Transaction(contents.txhex);
+  if (tx.inputs[0].prevTxId.toString('hex') !== contents.bondTxid) {
+    throw new ValidationError('Slash tx does not spend this bond');
+  }
+
+  const sig = bsv.Transaction.Sighash.sign(tx, judgeKey, SIGHASH, 0, bond.lockingScript, new bsv.crypto.BN(bond.balance));
+  contents.signatures[judgePub] = Buffer.concat([sig.toDER(), Buffer.from([SIGHASH & 0xff])]).toString('hex');
+  fs.writeFileSync(request, JSON.stringify(contents, null, 2));
+
+  return {
+    request,
+    bondTxid: contents.bondTxid,
+    judgeAddress: judgeKey.toAddress(network.bsvNetwork).toString(),
+    amount: tx.outputs[0].satoshis,
+    slashDest: tx.outputs[0].script.toAddress(network.bsvNetwork).toString(),
+    signed: Object.keys(contents.signatures).length,
+    quorum: contents.quorum,
+  };
+}
+
+/**
+ * Broadcast a slash request once a quorum of judges has signed it.
+ * @returns {Promise<{txid, bondTxid, bondAmount, amount, to, signed, quorum}>}
+ */
+async function combinePanelSlash({ request, provider = createProvider() }) {
+  if (!request) throw new ValidationError('combinePanelSlash needs the request file');
+  const contents = readRequest(request);
+  const signed = contents.judges.map(j => Boolean(contents.signatures[j]));
+  const count = signed.filter(Boolean).length;
+  if (count < contents.quorum) {
+    throw new UnauthorizedError(`Only ${count} of ${contents.quorum} required judge signatures`);
+  }
+
+  const bond = await fetchPanelBond(provider, contents.bondTxid, contents.outputIndex);
+  const tx = new bsv.Transaction(contents.txhex);
+
+  // Judges that did not sign get a placeholder the contract never checks
+  const placeholder = contents.signatures[contents.judges.find(j => contents.signatures[j])];
+  const sigs = contents.judges.map(j => Sig(toByteString(contents.signatures[j] || placeholder)));
+  tx.inputs[0].setScript(bond.getUnlockingScript(self => {
+    self.to = { tx, inputIndex: 0 };
+    self.slash(sigs, signed, BigInt(contents.outputAmount));
+  }));
+  const txid = await provider.broadcast(tx.uncheckedSerialize());
+
+  return {
+    txid,
+    bondTxid: contents.bondTxid,
+    bondAmount: contents.bondAmount,
+    amount: contents.outputAmount,
+    to: contents.slashDest,
+    signed: count,
+    quorum: contents.quorum,
+  };
+}
+
+module.exports = {
+  deployPanelBond,
+  preparePanelSlash,
+  signPanelSlash,
+  combinePanelSlash,
+};
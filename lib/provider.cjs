@@ -0,0 +1,288 @@
+'use strict';
+
+/**
+ * Chain provider — the one place that talks to the chain.
+ *
+ * Every CLI and the viewer go through a provider instead of calling an
+ * explorer API directly, so fixing an endpoint or swapping the backend
+ * happens here.
+ *
+ * Usage:
+ *   const { createProvider } = require('./lib/provider.cjs');
+ *   const provider = createProvider();
+ *   const height = await provider.getHeight();
+ */
+
+const http = require('http');
+const https = require('https');
+const { bsv, Provider, filterUTXO } = require('scrypt-ts');
+const network = require('./network.cjs');
+const { BroadcastError } = require('./errors.cjs');
+
+/**
+ * Base class documenting the provider interface. Implementations override
+ * every method that throws here; the helpers at the bottom are shared.
+ */
+class ChainProvider {
+  /** @returns {Promise<{blocks: number, bestblockhash: string}>} */
+  async getChainInfo() { throw new Error('getChainInfo not implemented'); }
+
+  /** @returns {Promise<Array<{tx_hash: string, tx_pos: number, value: number, height: number}>>} */
+  async listUnspent(address) { throw new Error('listUnspent not implemented'); }
+
+  /** @returns {Promise<string|null>} raw tx hex, or null if the tx is unknown */
+  async getRawTx(txid) { throw new Error('getRawTx not implemented'); }
+
+  /** @returns {Promise<{txid: string, vin: number}|null>} spending input, or null if unspent */
+  async getSpent(txid, vout) { throw new Error('getSpent not implemented'); }
+
+  /** @returns {Promise<Array<{tx_hash: string, height: number}>>} */
+  async getHistory(address) { throw new Error('getHistory not implemented'); }
+
+  /**
+   * Merkle path of a mined tx in TSC layout (see spv.cjs).
+   * @returns {Promise<{index: number, target: string, nodes: string[]}|null>} null if unconfirmed
+   */
+  async getMerkleProof(txid) { throw new Error('getMerkleProof not implemented'); }
+
+  /** @returns {Promise<{height: number, hash: string, prevHash: string}|null>} null above the tip */
+  async getBlockHeader(height) { throw new Error('getBlockHeader not implemented'); }
+
+  /** @returns {Promise<bsv.Transaction[]>} every tx in the block, in block order */
+  async getBlockTransactions(hash) { throw new Error('getBlockTransactions not implemented'); }
+
+  /** @returns {Promise<string>} txid of the broadcast transaction */
+  async broadcast(txhex) { throw new Error('broadcast not implemented'); }
+
+  async getHeight() {
+    const info = await this.getChainInfo();
+    return info.blocks;
+  }
+
+  /** @returns {Promise<bsv.Transaction|null>} */
+  async getTransaction(txid) {
+    const hex = await this.getRawTx(txid);
+    return hex ? new bsv.Transaction(hex) : null;
+  }
+
+  /** @returns {Promise<{confirmed: number, unconfirmed: number}>} */
+  async getBalance(address) {
+    const utxos = await this.listUnspent(address);
+    return {
+      confirmed: utxos.filter(u => u.height > 0).reduce((s, u) => s + u.value, 0),
+      unconfirmed: utxos.filter(u => !(u.height > 0)).reduce((s, u) => s + u.value, 0),
+    };
+  }
+}
+
+class WhatsOnChainProvider extends ChainProvider {
+  constructor({ baseUrl = network.apiUrl } = {}) {
+    super();
+    this.baseUrl = baseUrl;
+  }
+
+  _url(endpoint) {
+    if (!this.baseUrl) {
+      throw new Error(`No API endpoint for ${network.name} — set BSV_API_URL or MOCKCHAIN_PATH`);
+    }
+    return `${this.baseUrl}${endpoint}`;
+  }
+
+  // Regtest nodes usually serve plain http
+  _client(url) {
+    return url.startsWith('http:') ? http : https;
+  }
+
+  // GET an endpoint; 404 resolves to null, other errors reject
+  _get(endpoint, { json = true } = {}) {
+    return new Promise((resolve, reject) => {
+      const headers = json ? { Accept: 'application/json' } : {};
+      const url = this._url(endpoint);
+      this._client(url).get(url, { headers }, res => {
+        let d = '';
+        res.on('data', c => d += c);
+        res.on('end', () => {
+          if (res.statusCode === 404) return resolve(null);
+          if (res.statusCode >= 400) {
+            return reject(new Error(`WhatsOnChain ${endpoint} failed (${res.statusCode}): ${d.slice(0, 200)}`));
+          }
+          if (!json) return resolve(d.trim());
+          try { resolve(JSON.parse(d)); }
+          catch { reject(new Error(`Bad JSON: ${d.slice(0, 200)}`)); }
+        });
+      }).on('error', reject);
+    });
+  }
+
+  // POST JSON to an endpoint and parse the JSON reply
+  _post(endpoint, body) {
+    return new Promise((resolve, reject) => {
+      const url = this._url(endpoint);
+      const data = JSON.stringify(body);
+      const req = this._client(url).request(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Accept: 'application/json', 'Content-Length': Buffer.byteLength(data) },
+      }, res => {
+        let d = '';
+        res.on('data', c => d += c);
+        res.on('end', () => {
+          if (res.statusCode >= 400) {
+            return reject(new Error(`WhatsOnChain ${endpoint} failed (${res.statusCode}): ${d.slice(0, 200)}`));
+          }
+          try { resolve(JSON.parse(d)); }
+          catch { reject(new Error(`Bad JSON: ${d.slice(0, 200)}`)); }
+        });
+      });
+      req.on('error', reject);
+      req.end(data);
+    });
+  }
+
+  async getChainInfo() {
+    return this._get('/chain/info');
+  }
+
+  async listUnspent(address) {
+    return (await this._get(`/address/${address}/unspent`)) || [];
+  }
+
+  async getRawTx(txid) {
+    return this._get(`/tx/${txid}/hex`, { json: false });
+  }
+
+  async getSpent(txid, vout) {
+    const spent = await this._get(`/tx/${txid}/${vout}/spent`);
+    return spent && spent.txid ? { txid: spent.txid, vin: spent.vin } : null;
+  }
+
+  async getHistory(address) {
+    return (await this._get(`/address/${address}/history`)) || [];
+  }
+
+  async getMerkleProof(txid) {
+    const res = await this._get(`/tx/${txid}/proof/tsc`);
+    const proof = Array.isArray(res) ? res[0] : res;
+    if (!proof || !proof.target) return null;
+    return { index: proof.index, target: proof.target, nodes: proof.nodes };
+  }
+
+  async getBlockHeader(height) {
+    const block = await this._get(`/block/height/${height}`);
+    return block ? { height: block.height, hash: block.hash, prevHash: block.previousblockhash } : null;
+  }
+
+  // Big blocks list their txids over several pages; raw txs come 20 at a time
+  async getBlockTransactions(hash) {
+    const block = await this._get(`/block/hash/${hash}`);
+    if (!block) throw new Error(`Block not found: ${hash}`);
+    const txids = [...block.tx];
+    for (const uri of (block.pages && block.pages.uri) || []) txids.push(...(await this._get(uri)));
+    const txs = [];
+    for (let i = 0; i < txids.length; i += 20) {
+      const found = await this._post('/txs/hex', { txids: txids.slice(i, i + 20) });
+      txs.push(...found.map(t => new bsv.Transaction(t.hex)));
+    }
+    return txs;
+  }
+
+  async getBalance(address) {
+    const bal = await this._get(`/address/${address}/balance`);
+    return { confirmed: (bal && bal.confirmed) || 0, unconfirmed: (bal && bal.unconfirmed) || 0 };
+  }
+
+  broadcast(txhex) {
+    return new Promise((resolve, reject) => {
+      const url = this._url('/tx/raw');
+      const data = JSON.stringify({ txhex });
+      const req = this._client(url).request(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(data) },
+      }, res => {
+        let d = '';
+        res.on('data', c => d += c);
+        res.on('end', () => {
+          if (res.statusCode !== 200) return reject(new BroadcastError(`Broadcast failed (${res.statusCode}): ${d}`));
+          // WoC returns txid as quoted string
+          resolve(d.replace(/"/g, '').trim());
+        });
+      });
+      req.on('error', reject);
+      req.write(data);
+      req.end();
+    });
+  }
+}
+
+/**
+ * Adapts a ChainProvider to scrypt-ts's Provider so contract signers
+ * (TestWallet) and `contract.deploy()` use the same backend as the CLIs.
+ */
+class ScryptProviderAdapter extends Provider {
+  constructor(chain, bsvNetwork = network.bsvNetwork) {
+    super();
+    this.chain = chain;
+    this._network = bsvNetwork;
+  }
+
+  isConnected() { return true; }
+
+  async connect() {
+    this.emit('connected', true);
+    return this;
+  }
+
+  updateNetwork(bsvNetwork) {
+    this._network = bsvNetwork;
+    this.emit('networkChange', bsvNetwork);
+  }
+
+  getNetwork() { return this._network; }
+
+  async getFeePerKb() { return 1; }
+
+  async sendRawTransaction(rawTxHex) {
+    return this.chain.broadcast(rawTxHex);
+  }
+
+  async getTransaction(txHash) {
+    const tx = await this.chain.getTransaction(txHash);
+    if (!tx) throw new Error(`Transaction not found: ${txHash}`);
+    return tx;
+  }
+
+  async listUnspent(address, options) {
+    const utxos = (await this.chain.listUnspent(address.toString())).map(u => ({
+      txId: u.tx_hash,
+      outputIndex: u.tx_pos,
+      satoshis: u.value,
+      script: bsv.Script.buildPublicKeyHashOut(address).toHex(),
+    }));
+    return options ? filterUTXO(utxos, options) : utxos;
+  }
+
+  async getBalance(address) {
+    return this.chain.getBalance(address.toString());
+  }
+}
+
+/**
+ * The provider every script should use. It talks to WhatsOnChain on the
+ * selected network (see network.cjs); set MOCKCHAIN_PATH to run against a
+ * local mock chain instead.
+ * @returns {ChainProvider}
+ */
+function createProvider(options = {}) {
+  if (process.env.MOCKCHAIN_PATH) {
+    // Required lazily: mockchain.cjs extends ChainProvider from this module
+    const { MockChainProvider } = require('./mockchain.cjs');
+    return new MockChainProvider({ path: process.env.MOCKCHAIN_PATH });
+  }
+  return new WhatsOnChainProvider(options);
+}
+
+module.exports = {
+  ChainProvider,
+  WhatsOnChainProvider,
+  ScryptProviderAdapter,
+  createProvider,
+};
@@ -0,0 +1,138 @@
+'use strict';
+
+/**
+ * Filtering, sorting and cursor pagination for the viewer's list endpoints.
+ *
+ * A list is described by its id field, its filters (query parameter →
+ * predicate factory) and the numeric fields it can be sorted by:
+ *
+ *   { id: 'bondTxid', filters: { status: oneOf('status'), minAmount: atLeast('amount') },
+ *     sorts: ['blockHeight', 'amount'] }
+ *
+ * Besides its filters every list takes:
+ *
+ *   fromBlock=<n>, toBlock=<n>      mined in that block range (inclusive)
+ *   sort=<field> or sort=-<field>   ascending / descending (default -blockHeight)
+ *   limit=<n>                       page size (default 100, at most 1000)
+ *   cursor=<token>                  the previous page's nextCursor
+ *
+ * Items are ordered by the sort field, then by id, so a cursor — the last
+ * item's sort value and id — resumes exactly after it even while new items
+ * arrive. Malformed parameters throw ValidationError.
+ */
+
+const { ValidationError } = require('./errors.cjs');
+
+const DEFAULT_SORT = '-blockHeight';
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+
+function parseInteger(name, value) {
+  if (!/^-?\d+$/.test(value)) throw new ValidationError(`${name} must be an integer, got "${value}"`);
+  return parseInt(value, 10);
+}
+
+/** Matches any of a comma-separated list of values; `normalize` applies to both sides. */
+function oneOf(field, normalize = v => v) {
+  return (value, name) => {
+    const wanted = new Set(value.split(',').map(v => normalize(v.trim())).filter(Boolean));
+    if (!wanted.size) throw new ValidationError(`${name} needs a value`);
+    return item => wanted.has(normalize(String(item[field])));
+  };
+}
+
+function atLeast(field) {
+  return (value, name) => {
+    const min = parseInteger(name, value);
+    return item => item[field] >= min;
+  };
+}
+
+function atMost(field) {
+  return (value, name) => {
+    const max = parseInteger(name, value);
+    return item => item[field] <= max;
+  };
+}
+
+// Unconfirmed and missing values sort as 0, as the dashboard does
+const sortValue = (item, field) => item[field] || 0;
+
+function encodeCursor(sort, value, id) {
+  return Buffer.from(JSON.stringify([sort, value, id])).toString('base64url');
+}
+
+function decodeCursor(token, sort) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(token, 'base64url').toString('utf8'));
+  } catch {
+    throw new ValidationError('cursor is not valid');
+  }
+  if (!Array.isArray(decoded) || decoded.length !== 3 || typeof decoded[1] !== 'number' || typeof decoded[2] !== 'string') {
+    throw new ValidationError('cursor is not valid');
+  }
+  if (decoded[0] !== sort) throw new ValidationError(`cursor was issued for sort=${decoded[0]}, not sort=${sort}`);
+  return { value: decoded[1], id: decoded[2] };
+}
+
+// Unconfirmed items (blockHeight 0 or null) are outside every block range
+const BLOCK_RANGE = {
+  fromBlock: atLeast('blockHeight'),
+  toBlock: (value, name) => {
+    const inRange = atMost('blockHeight')(value, name);
+    return item => item.blockHeight > 0 && inRange(item);
+  },
+};
+
+/**
+ * Apply the query parameters in `params` (a URLSearchParams) to `items`.
+ * @returns {{items: Array<object>, total: number, nextCursor: string|null}}
+ *   `total` counts every item matching the filters, across all pages
+ */
+function applyQuery(items, params, { id, filters: own, sorts }) {
+  const filters = { ...own, ...BLOCK_RANGE };
+  const known = [...Object.keys(filters), 'sort', 'limit', 'cursor'];
+  for (const name of params.keys()) {
+    if (!known.includes(name)) throw new ValidationError(`Unknown parameter "${name}" (expected one of ${known.join(', ')})`);
+  }
+
+  const predicates = Object.entries(filters)
+    .filter(([name]) => params.has(name))
+    .map(([name, filter]) => filter(params.get(name), name));
+
+  const sort = params.get('sort') || DEFAULT_SORT;
+  const field = sort.replace(/^-/, '');
+  if (!sorts.includes(field)) throw new ValidationError(`Cannot sort by "${field}" (expected one of ${sorts.join(', ')})`);
+  const direction = sort.startsWith('-') ? -1 : 1;
+  const compare = (aValue, aId, bValue, bId) => direction * (aValue - bValue) || (aId < bId ? -1 : aId > bId ? 1 : 0);
+
+  const limit = params.has('limit') ? parseInteger('limit', params.get('limit')) : DEFAULT_LIMIT;
+  if (limit < 1 || limit > MAX_LIMIT) throw new ValidationError(`limit must be between 1 and ${MAX_LIMIT}`);
+
+  const matching = items
+    .filter(item => predicates.every(p => p(item)))
+    .sort((a, b) => compare(sortValue(a, field), a[id], sortValue(b, field), b[id]));
+
+  let start = 0;
+  if (params.has('cursor')) {
+    const after = decodeCursor(params.get('cursor'), sort);
+    start = matching.findIndex(item => compare(sortValue(item, field), item[id], after.value, after.id) > 0);
+    if (start < 0) start = matching.length;
+  }
+
+  const page = matching.slice(start, start + limit);
+  const last = page[page.length - 1];
+  return {
+    items: page,
+    total: matching.length,
+    nextCursor: start + limit < matching.length ? encodeCursor(sort, sortValue(last, field), last[id]) : null,
+  };
+}
+
+module.exports = {
+  oneOf,
+  atLeast,
+  atMost,
+  applyQuery,
+};
@@ -0,0 +1,166 @@
+'use strict';
+
+/**
+ * Rebuild bonds/, escrows/ and disputes/ from the chain when the state files
+ * are lost.
+ *
+ * The deploy commands fund every contract from the wallet's funding
+ * address, so its history holds every deploy tx. Outputs that parse as a
+ * Bond, PanelBond or Escrow locked to one of the wallet's keys, or as a
+ * Dispute this wallet opened, are ours; their state files are rebuilt from
+ * the contract itself.
+ */
+
+const { bsv } = require('scrypt-ts');
+const network = require('./network.cjs');
+const { createProvider } = require('./provider.cjs');
+const { getBond, getPanelBond, getEscrow, getDispute, mayBeContract } = require('./contracts.cjs');
+const { BONDS_DIR, ESCROWS_DIR, DISPUTES_DIR, findState, saveState } = require('./state.cjs');
+const { openKeyring, markKeyUsed } = require('./wallet.cjs');
+
+const KINDS = [
+  { type: 'bond', getContract: getBond, role: 'bondholder', dir: BONDS_DIR },
+  { type: 'panel', getContract: getPanelBond, role: 'bondholder', dir: BONDS_DIR },
+  { type: 'escrow', getContract: getEscrow, role: 'escrow', dir: ESCROWS_DIR },
+  { type: 'dispute', getContract: getDispute, role: null, dir: DISPUTES_DIR },
+];
+
+function pkhAddress(pkh) {
+  return bsv.Address.fromPublicKeyHash(Buffer.from(pkh, 'hex'), network.bsvNetwork).toString();
+}
+
+function pubAddress(pub) {
+  return bsv.PublicKey.fromString(pub).toAddress(network.bsvNetwork).toString();
+}
+
+function parseContract(tx, outputIndex) {
+  for (const kind of KINDS) {
+    try {
+      return { kind, contract: kind.getContract().fromTx(tx, outputIndex) };
+    } catch {}
+  }
+  return null;
+}
+
+// Disputes are staked from the funding key; only the opening stake has a state file
+function isOwnDispute(contract, keys) {
+  return contract.stakerPub === keys.fundingKey.publicKey.toHex()
+    && contract.challengerPkh === keys.fundingAddress.hashBuffer.toString('hex');
+}
+
+// The state file deploy-bond / deploy-panel-bond / deploy-escrow / dispute open would have written
+function stateFor(type, contract, { txid, outputIndex, amount, path, blockHeight }) {
+  const common = { network: network.name, recoveredAt: new Date().toISOString(), blockHeight };
+  if (type === 'dispute') {
+    return {
+      disputeTxid: txid,
+      assertionTxid: contract.assertionTxid,
+      amount,
+      refundAfter: Number(contract.refundAfter),
+      challengerAddress: pkhAddress(contract.challengerPkh),
+      asserterAddress: pkhAddress(contract.asserterPkh),
+      resolverPub: contract.resolverPub,
+      resolverAddress: pubAddress(contract.resolverPub),
+      ...common,
+    };
+  }
+  if (type === 'escrow') {
+    return {
+      escrowTxid: txid,
+      outputIndex,
+      amount,
+      timeoutBlock: Number(contract.timeoutBlock),
+      requesterAddress: pkhAddress(contract.requesterPkh),
+      requesterPub: contract.requesterPub,
+      ...(path ? { requesterPath: path } : {}),
+      workerAddress: pkhAddress(contract.workerPkh),
+      workerPub: contract.workerPub,
+      ...common,
+    };
+  }
+  const bond = {
+    bondTxid: txid,
+    outputIndex,
+    amount,
+    lockUntil: Number(contract.lockUntil),
+    bondholderAddress: pkhAddress(contract.bondholderPkh),
+    bondholderPub: contract.bondholderPub,
+    ...(path ? { bondholderPath: path } : {}),
+  };
+  if (type === 'panel') {
+    const judges = [...contract.judges];
+    return {
+      ...bond,
+      type: 'panel',
+      judges,
+      judgeAddresses: judges.map(pubAddress),
+      quorum: Number(contract.quorum),
+      slashDest: pkhAddress(contract.slashDestPkh),
+      ...common,
+    };
+  }
+  return {
+    ...bond,
+    slasherAddress: pubAddress(contract.slasherPub),
+    slasherPub: contract.slasherPub,
+    slashDest: pkhAddress(contract.slashDestPkh),
+    ...common,
+  };
+}
+
+/**
+ * Scan the wallet's funding address history for the bonds, panel bonds and
+ * escrows it deployed and the disputes it opened, and write a state file
+ * for each. Existing state files are kept unless `force` is set. HD wallets
+ * also advance their key counters past every key found, so a restored
+ * wallet never reuses one.
+ *
+ * Only contracts this wallet deployed can be found: a bond it merely
+ * slashes, or an escrow it works for, never touches its address. Stakes it
+ * put into someone else's dispute have no state file to rebuild.
+ * @returns {Promise<{address, scanned, recovered: Array<{type, txid, outputIndex, amount, spentBy, statePath, kept}>}>}
+ */
+async function recoverState({ key, wif, wallet, passphrase, force = false, provider = createProvider() }) {
+  const keys = await openKeyring({ key, wif, wallet, passphrase });
+  const address = keys.fundingAddress.toString();
+  const history = [...new Map((await provider.getHistory(address)).map(e => [e.tx_hash, e])).values()]
+    .sort((a, b) => (a.height > 0 ? a.height : Infinity) - (b.height > 0 ? b.height : Infinity));
+
+  const recovered = [];
+  for (const entry of history) {
+    const tx = await provider.getTransaction(entry.tx_hash);
+    if (!tx) continue;
+    for (const [outputIndex, output] of tx.outputs.entries()) {
+      if (!mayBeContract(output.script)) continue;
+      const parsed = parseContract(tx, outputIndex);
+      if (!parsed) continue;
+      const { kind, contract } = parsed;
+      let path = null;
+      if (kind.type === 'dispute') {
+        if (!isOwnDispute(contract, keys)) continue;
+      } else {
+        const pub = kind.type === 'escrow' ? contract.requesterPub : contract.bondholderPub;
+        if (!keys.keyFor(kind.role, pub)) continue;
+        path = keys.pathFor(kind.role, pub);
+      }
+      if (path && keys.walletPath) markKeyUsed(keys.walletPath, kind.role, Number(path.split('/').pop()));
+
+      const txid = entry.tx_hash;
+      const found = findState(kind.dir, txid);
+      const kept = Boolean(found) && !force;
+      const statePath = kept ? found.path : saveState(kind.dir, txid, stateFor(kind.type, contract, {
+        txid, outputIndex, amount: output.satoshis, path, blockHeight: entry.height,
+      }));
+      const spent = await provider.getSpent(txid, outputIndex);
+      recovered.push({
+        type: kind.type, txid, outputIndex, amount: output.satoshis, spentBy: spent ? spent.txid : null, statePath, kept,
+      });
+    }
+  }
+
+  return { address, scanned: history.length, recovered };
+}
+
+module.exports = {
+  recoverState,
+};
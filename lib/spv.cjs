@@ -0,0 +1,80 @@
+'use strict';
+
+/**
+ * SPV checks against block headers the caller already trusts — no chain
+ * access.
+ *
+ * Merkle paths use the TSC layout `{ index, target, nodes }`: `target` is
+ * the block hash, `nodes` the sibling hashes from the bottom up in display
+ * hex, with "*" where a node pairs with itself.
+ *
+ * Headers are `{ height, header }` with `header` the raw 80 bytes in hex,
+ * e.g. from `bitcoin-cli getblockheader <hash> false` or
+ * `node mockchain.cjs headers`.
+ */
+
+const { bsv } = require('scrypt-ts');
+const { ValidationError } = require('./errors.cjs');
+
+function sha256d(buf) {
+  return bsv.crypto.Hash.sha256sha256(buf);
+}
+
+function displayHex(buf) {
+  return Buffer.from(buf).reverse().toString('hex');
+}
+
+/**
+ * Index headers by block hash.
+ * @returns {Map<string, {height: number, merkleRoot: string, prevHash: string}>}
+ */
+function indexHeaders(headers) {
+  if (!Array.isArray(headers)) throw new ValidationError('Headers must be a JSON array of { height, header }');
+  const byHash = new Map();
+  for (const { height, header } of headers) {
+    const raw = Buffer.from(header || '', 'hex');
+    if (raw.length !== 80 || !Number.isInteger(height)) {
+      throw new ValidationError(`Bad header entry at height ${height}: expected { height, header: <80-byte hex> }`);
+    }
+    byHash.set(displayHex(sha256d(raw)), {
+      height,
+      prevHash: displayHex(raw.subarray(4, 36)),
+      merkleRoot: displayHex(raw.subarray(36, 68)),
+    });
+  }
+  return byHash;
+}
+
+/** The Merkle root `txid` hashes up to along a TSC path. @returns {string} display hex */
+function rootFromPath(txid, { index, nodes }) {
+  let node = Buffer.from(txid, 'hex').reverse();
+  for (const sibling of nodes) {
+    const other = sibling === '*' ? node : Buffer.from(sibling, 'hex').reverse();
+    node = index % 2 === 1 ? sha256d(Buffer.concat([other, node])) : sha256d(Buffer.concat([node, other]));
+    index = Math.floor(index / 2);
+  }
+  return displayHex(node);
+}
+
+/**
+ * Where `txid` is proven to sit, or null if `proof` doesn't lead to the
+ * Merkle root of a known header.
+ * @returns {{blockHash: string, height: number}|null}
+ */
+function checkInclusion(txid, proof, headers) {
+  if (!proof || !Number.isInteger(proof.index) || !Array.isArray(proof.nodes)) return null;
+  const block = headers.get(proof.target);
+  if (!block) return null;
+  try {
+    if (rootFromPath(txid, proof) !== block.merkleRoot) return null;
+  } catch {
+    return null;
+  }
+  return { blockHash: proof.target, height: block.height };
+}
+
+module.exports = {
+  indexHeaders,
+  rootFromPath,
+  checkInclusion,
+};
@@ -0,0 +1,52 @@
+'use strict';
+
+/**
+ * Local state files — one JSON file per bond/escrow/dispute/assertion
+ * batch, named by the first 16 hex chars of the txid that created it, and
+ * panel slash requests in slashes/. They live in the repo root, or under
+ * BSV_TRUST_DIR when it is set.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const STATE_ROOT = process.env.BSV_TRUST_DIR || ROOT;
+const BONDS_DIR = path.join(STATE_ROOT, 'bonds');
+const ESCROWS_DIR = path.join(STATE_ROOT, 'escrows');
+const DISPUTES_DIR = path.join(STATE_ROOT, 'disputes');
+const ASSERTIONS_DIR = path.join(STATE_ROOT, 'assertions');
+const SLASHES_DIR = path.join(STATE_ROOT, 'slashes');
+
+function statePath(dir, txid) {
+  return path.join(dir, `${txid.slice(0, 16)}.json`);
+}
+
+/** @returns {{path: string, state: object}|null} */
+function findState(dir, txid) {
+  if (!fs.existsSync(dir)) return null;
+  const file = fs.readdirSync(dir).find(f => f.startsWith(txid.slice(0, 16)));
+  if (!file) return null;
+  const p = path.join(dir, file);
+  return { path: p, state: JSON.parse(fs.readFileSync(p, 'utf8')) };
+}
+
+/** Write a state file, creating the directory if needed. Returns its path. */
+function saveState(dir, txid, state) {
+  fs.mkdirSync(dir, { recursive: true });
+  const p = statePath(dir, txid);
+  fs.writeFileSync(p, JSON.stringify(state, null, 2));
+  return p;
+}
+
+module.exports = {
+  ROOT,
+  BONDS_DIR,
+  ESCROWS_DIR,
+  DISPUTES_DIR,
+  ASSERTIONS_DIR,
+  SLASHES_DIR,
+  statePath,
+  findState,
+  saveState,
+};
@@ -0,0 +1,311 @@
+'use strict';
+
+/**
+ * Wallet files.
+ *
+ * HD wallets (`type: "hd"`) keep a BIP39 mnemonic and derive a key per role
+ * and per contract (see hd.cjs):
+ *
+ *   { type, address, publicKey, network, createdAt,
+ *     roles: { bondholder: { xpub, next }, slasher, resolver, escrow },
+ *     mnemonic | keystore }
+ *
+ * Older single-key wallets keep one `wif` (or `keystore`) and use it for
+ * everything. Either kind is encrypted with `keystore` (see keystore.cjs) and
+ * unlocked with the `passphrase` option, else WALLET_PASSPHRASE, else a
+ * terminal prompt. `address` and `publicKey` are the funding key's and are
+ * readable without unlocking.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { bsv } = require('scrypt-ts');
+const network = require('./network.cjs');
+const { createProvider } = require('./provider.cjs');
+const { ROOT } = require('./state.cjs');
+const { encryptSecret, decryptSecret, readSecret } = require('./keystore.cjs');
+const hd = require('./hd.cjs');
+const { NotFoundError, UnauthorizedError, ValidationError } = require('./errors.cjs');
+
+const DEFAULT_WALLET_PATH = process.env.WALLET_PATH || path.join(ROOT, 'wallet.json');
+
+function readWallet(walletPath) {
+  if (!fs.existsSync(walletPath)) {
+    throw new NotFoundError(`Wallet not found: ${walletPath}`);
+  }
+  const wallet = JSON.parse(fs.readFileSync(walletPath, 'utf8'));
+  // HD paths carry the coin type, so the same mnemonic gives different keys on mainnet
+  if (wallet.type === 'hd' && hd.coinType(wallet.network) !== hd.coinType()) {
+    throw new ValidationError(
+      `${walletPath} is a ${wallet.network} wallet — create or restore one with --network ${network.name}`
+    );
+  }
+  return wallet;
+}
+
+// Replace the file in one step so a crash never leaves a half-written key
+function writeWallet(walletPath, wallet) {
+  const tmp = `${walletPath}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(wallet, null, 2), { mode: 0o600 });
+  fs.renameSync(tmp, walletPath);
+}
+
+function secretField(wallet) {
+  return wallet.type === 'hd' ? 'mnemonic' : 'wif';
+}
+
+function newPassphrase(walletPath) {
+  return readSecret({
+    envVar: 'WALLET_PASSPHRASE',
+    question: `New passphrase for ${path.basename(walletPath)}: `,
+    confirm: true,
+  });
+}
+
+/**
+ * Create an HD wallet for the selected network; refuses to overwrite.
+ * A new mnemonic is generated unless one is given, and returned so the
+ * caller can show it once for backup. Encrypted unless `plaintext` is set.
+ */
+async function createWallet(walletPath = DEFAULT_WALLET_PATH, { mnemonic, passphrase, plaintext = false } = {}) {
+  if (fs.existsSync(walletPath)) {
+    throw new ValidationError(`Wallet already exists: ${walletPath}`);
+  }
+  const generated = !mnemonic;
+  if (generated) mnemonic = hd.generateMnemonic();
+  const root = hd.rootFromMnemonic(mnemonic);
+  const fundingKey = root.deriveChild(hd.fundingPath()).privateKey;
+  const address = fundingKey.toAddress(network.bsvNetwork).toString();
+  const publicKey = fundingKey.toPublicKey().toHex();
+
+  const roles = {};
+  for (const [role, xpub] of Object.entries(hd.roleXpubs(root))) roles[role] = { xpub, next: 0 };
+
+  const wallet = { type: 'hd', address, publicKey, network: network.name, createdAt: new Date().toISOString(), roles };
+  if (plaintext) wallet.mnemonic = mnemonic;
+  else wallet.keystore = encryptSecret(mnemonic, passphrase || await newPassphrase(walletPath), address);
+
+  writeWallet(walletPath, wallet);
+  return {
+    path: walletPath, address, publicKey, network: network.name, encrypted: !plaintext,
+    ...(generated ? { mnemonic } : {}),
+  };
+}
+
+/** Rebuild an HD wallet from its mnemonic (else WALLET_MNEMONIC, else a prompt). */
+async function restoreWallet(walletPath = DEFAULT_WALLET_PATH, { mnemonic, passphrase, plaintext = false } = {}) {
+  mnemonic = mnemonic || await readSecret({ envVar: 'WALLET_MNEMONIC', question: 'Mnemonic: ' });
+  return createWallet(walletPath, { mnemonic, passphrase, plaintext });
+}
+
+async function unlock(walletPath, wallet, passphrase) {
+  if (!wallet.keystore) return wallet[secretField(wallet)];
+  passphrase = passphrase || await readSecret({
+    envVar: 'WALLET_PASSPHRASE',
+    question: `Passphrase for ${path.basename(walletPath)}: `,
+  });
+  try {
+    return decryptSecret(wallet.keystore, passphrase, wallet.address);
+  } catch (err) {
+    if (err instanceof UnauthorizedError) err.message = `Wrong passphrase for ${walletPath}`;
+    throw err;
+  }
+}
+
+/**
+ * Hand out the next unused key for `role` and advance the wallet's counter.
+ * Needs no passphrase: HD keys come from the role xpub. Single-key wallets
+ * return their one key.
+ * @returns {Promise<{publicKey: string, path: string|null}>}
+ */
+async function reserveKey(walletPath = DEFAULT_WALLET_PATH, role) {
+  hd.checkRole(role);
+  const wallet = readWallet(walletPath);
+  if (wallet.type !== 'hd') return { publicKey: await walletPublicKey(walletPath), path: null };
+
+  const account = wallet.roles[role];
+  const index = account.next;
+  account.next = index + 1;
+  writeWallet(walletPath, wallet);
+  return { publicKey: hd.rolePublicKey(account.xpub, index), path: hd.rolePath(role, index) };
+}
+
+/**
+ * Never hand out key `index` of `role` again — for keys found in use on
+ * chain after a restore, when the wallet's counter starts over at 0.
+ */
+function markKeyUsed(walletPath = DEFAULT_WALLET_PATH, role, index) {
+  hd.checkRole(role);
+  const wallet = readWallet(walletPath);
+  if (wallet.type !== 'hd' || wallet.roles[role].next > index) return;
+  wallet.roles[role].next = index + 1;
+  writeWallet(walletPath, wallet);
+}
+
+/**
+ * The keys one wallet can sign with: a funding key that pays fees and
+ * receives payouts, and the role keys contracts are locked to. Single-key
+ * wallets (and SDK callers passing `key` or `wif`) answer every role with
+ * their one key.
+ */
+class Keyring {
+  constructor(fundingKey, { root = null, walletPath = null } = {}) {
+    this.fundingKey = fundingKey;
+    this.root = root;
+    this.walletPath = walletPath;
+  }
+
+  get fundingAddress() {
+    return this.fundingKey.toAddress(network.bsvNetwork);
+  }
+
+  /** A fresh public key for a new contract. @returns {Promise<{publicKey: string, path: string|null}>} */
+  reserve(role) {
+    if (!this.root) return Promise.resolve({ publicKey: this.fundingKey.toPublicKey().toHex(), path: null });
+    return reserveKey(this.walletPath, role);
+  }
+
+  /**
+   * The private key behind `publicKey`, or null if this wallet does not hold
+   * it. Tries the funding key, then `path` (from a state file), then every
+   * key the role has handed out plus a gap of unused ones.
+   */
+  keyFor(role, publicKey, path) {
+    const matches = key => key.toPublicKey().toHex() === publicKey;
+    if (matches(this.fundingKey)) return this.fundingKey;
+    if (!this.root) return null;
+
+    const paths = path ? [path] : [];
+    const { next } = readWallet(this.walletPath).roles[role];
+    for (let i = 0; i < next + hd.GAP_LIMIT; i++) paths.push(hd.rolePath(role, i));
+    for (const p of paths) {
+      const key = this.root.deriveChild(p).privateKey;
+      if (matches(key)) return key;
+    }
+    return null;
+  }
+
+  /**
+   * The HD path of role key `publicKey`, or null if it isn't one this
+   * wallet has handed out (or one of the next GAP_LIMIT).
+   */
+  pathFor(role, publicKey) {
+    if (!this.root) return null;
+    const { next } = readWallet(this.walletPath).roles[role];
+    for (let i = 0; i < next + hd.GAP_LIMIT; i++) {
+      const p = hd.rolePath(role, i);
+      if (this.root.deriveChild(p).publicKey.toHex() === publicKey) return p;
+    }
+    return null;
+  }
+}
+
+/**
+ * Unlock a wallet, or wrap an explicit key: a bsv.PrivateKey, else a WIF,
+ * else a wallet file (default ./wallet.json).
+ * @returns {Promise<Keyring>}
+ */
+async function openKeyring({ key, wif, wallet: walletPath = DEFAULT_WALLET_PATH, passphrase } = {}) {
+  if (key) return new Keyring(key);
+  if (wif) return new Keyring(bsv.PrivateKey.fromWIF(wif));
+
+  const wallet = readWallet(walletPath);
+  const secret = await unlock(walletPath, wallet, passphrase);
+  if (wallet.type !== 'hd') return new Keyring(bsv.PrivateKey.fromWIF(secret));
+
+  const root = hd.rootFromMnemonic(secret);
+  return new Keyring(root.deriveChild(hd.fundingPath()).privateKey, { root, walletPath });
+}
+
+/** The funding key. @returns {Promise<bsv.PrivateKey>} */
+async function loadKey(walletPath = DEFAULT_WALLET_PATH, { passphrase } = {}) {
+  return (await openKeyring({ wallet: walletPath, passphrase })).fundingKey;
+}
+
+/**
+ * The wallet address on the selected network. Needs no passphrase: the
+ * address is stored in the clear and re-encoded from its hash.
+ */
+function walletAddress(walletPath = DEFAULT_WALLET_PATH) {
+  const { address } = readWallet(walletPath);
+  const hash = bsv.Address.fromString(address).hashBuffer;
+  return bsv.Address.fromPublicKeyHash(hash, network.bsvNetwork).toString();
+}
+
+/**
+ * The funding public key. Older wallet files don't store it, so those are
+ * unlocked once.
+ */
+async function walletPublicKey(walletPath = DEFAULT_WALLET_PATH, { passphrase } = {}) {
+  const wallet = readWallet(walletPath);
+  if (wallet.publicKey) return wallet.publicKey;
+  return (await loadKey(walletPath, { passphrase })).toPublicKey().toHex();
+}
+
+/** The backup words of an HD wallet. */
+async function walletMnemonic(walletPath = DEFAULT_WALLET_PATH, { passphrase } = {}) {
+  const wallet = readWallet(walletPath);
+  if (wallet.type !== 'hd') throw new ValidationError(`Not an HD wallet: ${walletPath}`);
+  return unlock(walletPath, wallet, passphrase);
+}
+
+/** Encrypt a plaintext wallet in place. */
+async function encryptWallet(walletPath = DEFAULT_WALLET_PATH, { passphrase } = {}) {
+  const wallet = readWallet(walletPath);
+  if (wallet.keystore) throw new ValidationError(`Wallet is already encrypted: ${walletPath}`);
+  const field = secretField(wallet);
+  const { [field]: secret, ...rest } = wallet;
+  if (!rest.publicKey) rest.publicKey = bsv.PrivateKey.fromWIF(secret).toPublicKey().toHex();
+  writeWallet(walletPath, {
+    ...rest,
+    keystore: encryptSecret(secret, passphrase || await newPassphrase(walletPath), wallet.address),
+  });
+  return { path: walletPath, address: wallet.address, encrypted: true };
+}
+
+/** Write the wallet secret back in the clear. */
+async function decryptWallet(walletPath = DEFAULT_WALLET_PATH, { passphrase } = {}) {
+  const wallet = readWallet(walletPath);
+  if (!wallet.keystore) throw new ValidationError(`Wallet is not encrypted: ${walletPath}`);
+  const { keystore, ...rest } = wallet;
+  writeWallet(walletPath, { ...rest, [secretField(wallet)]: await unlock(walletPath, wallet, passphrase) });
+  return { path: walletPath, address: wallet.address, encrypted: false };
+}
+
+/** Re-encrypt under a new passphrase (WALLET_NEW_PASSPHRASE, else prompt). */
+async function changePassphrase(walletPath = DEFAULT_WALLET_PATH, { passphrase, newPassphrase: next } = {}) {
+  const wallet = readWallet(walletPath);
+  if (!wallet.keystore) throw new ValidationError(`Wallet is not encrypted: ${walletPath}`);
+  const secret = await unlock(walletPath, wallet, passphrase);
+  next = next || await readSecret({
+    envVar: 'WALLET_NEW_PASSPHRASE',
+    question: `New passphrase for ${path.basename(walletPath)}: `,
+    confirm: true,
+  });
+  writeWallet(walletPath, { ...wallet, keystore: encryptSecret(secret, next, wallet.address) });
+  return { path: walletPath, address: wallet.address, encrypted: true };
+}
+
+async function getWalletBalance({ wallet, provider = createProvider() } = {}) {
+  const address = walletAddress(wallet);
+  const { confirmed, unconfirmed } = await provider.getBalance(address);
+  return { address, network: network.name, confirmed, unconfirmed, total: confirmed + unconfirmed };
+}
+
+module.exports = {
+  DEFAULT_WALLET_PATH,
+  Keyring,
+  createWallet,
+  restoreWallet,
+  openKeyring,
+  loadKey,
+  reserveKey,
+  markKeyUsed,
+  walletAddress,
+  walletPublicKey,
+  walletMnemonic,
+  encryptWallet,
+  decryptWallet,
+  changePassphrase,
+  getWalletBalance,
+};
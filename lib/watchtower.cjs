@@ -0,0 +1,292 @@
+'use strict';
+
+/**
+ * Watchtower — one pass over every contract in bonds/ and escrows/.
+ *
+ * Each pass syncs an index (see indexer.cjs) to the chain tip, then turns
+ * what changed since the last pass into lifecycle events (see events.cjs):
+ * a contract first seen, a lock or timeout reached, a bond released or
+ * slashed, an escrow settled, a settlement undone by a reorg, a new
+ * assertion on a watched bond. Bonds are
+ * released and escrows timed out as soon as the chain allows, when one of
+ * the given keyrings holds the key. watchtower.cjs runs passes in a loop.
+ *
+ * Progress is a plain object the caller persists between passes, so a
+ * restart neither re-checks finished contracts nor repeats an event:
+ *
+ *   { height, updatedAt,
+ *     contracts: { <txid>: { kind, status, spentTxid?, spentHeight?, unlocked?, action?, error? } },
+ *     announced: [assertion txids already published as events],
+ *     index: <the indexer's state> }
+ */
+
+const fs = require('fs');
+const { createProvider } = require('./provider.cjs');
+const { releaseBond } = require('./bond.cjs');
+const { timeoutEscrow } = require('./escrow.cjs');
+const { createEvent } = require('./events.cjs');
+const { REORG_DEPTH, restoreIndex, syncIndex } = require('./indexer.cjs');
+const { amendmentStatus } = require('./assertion.cjs');
+
+// Statuses after which a contract can only change if a reorg undoes its spend
+const SETTLED = ['RELEASED', 'SLASHED', 'SPENT', 'APPROVED', 'REFUNDED', 'TIMED_OUT'];
+
+function loadProgress(file) {
+  const empty = { height: null, updatedAt: null, contracts: {}, announced: [], index: null };
+  if (!fs.existsSync(file)) return empty;
+  return { ...empty, ...JSON.parse(fs.readFileSync(file, 'utf8')) };
+}
+
+// Replace the file in one step so a crash mid-write never loses progress
+function saveProgress(file, progress) {
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(progress, null, 2));
+  fs.renameSync(tmp, file);
+}
+
+// The shape getBondStatus returns, from an indexed bond at `height`
+function bondStatus({ state, status, spentMethod, spentTxid }, height) {
+  return {
+    txid: state.bondTxid,
+    status,
+    amount: state.amount,
+    bondholderAddress: state.bondholderAddress,
+    slashDest: state.slashDest,
+    lockUntil: state.lockUntil,
+    currentHeight: height,
+    isLocked: height < state.lockUntil,
+    blocksLeft: Math.max(0, state.lockUntil - height),
+    spentTxid,
+    spentMethod,
+  };
+}
+
+// The shape getEscrowStatus returns, from an indexed escrow at `height`
+function escrowStatus({ state, status, spentMethod, spentTxid }, height) {
+  return {
+    txid: state.escrowTxid,
+    status,
+    amount: state.amount,
+    requesterAddress: state.requesterAddress,
+    workerAddress: state.workerAddress,
+    timeoutBlock: state.timeoutBlock,
+    currentHeight: height,
+    isTimedOut: height >= state.timeoutBlock,
+    blocksLeft: Math.max(0, state.timeoutBlock - height),
+    spentTxid,
+    spentMethod,
+  };
+}
+
+// The first keyring holding the key, as a bsv.PrivateKey, or null
+function findKey(keyrings, role, publicKey, keyPath) {
+  for (const keys of keyrings) {
+    const key = keys.keyFor(role, publicKey, keyPath);
+    if (key) return key;
+  }
+  return null;
+}
+
+async function watchBond(record, seen, { keyrings, provider, height, publish }) {
+  if (record.error) throw new Error(record.error);
+  const { state } = record;
+  const txid = state.bondTxid;
+  const status = bondStatus(record, height);
+  const emit = (type, message, data = {}) => publish(createEvent(type, { txid, height, message, data: { ...status, ...data } }));
+
+  if (!seen.deployed) {
+    seen.deployed = true;
+    await emit('bond.deployed', `Bond ${txid} holds ${status.amount} sats until block ${status.lockUntil}`);
+  }
+  if (status.status !== 'ACTIVE') {
+    seen.status = status.status;
+    seen.spentTxid = status.spentTxid;
+    seen.spentHeight = record.spentHeight;
+    if (status.status === 'RELEASED') await emit('bond.released', `Bond ${txid} was released in ${status.spentTxid}`);
+    else if (status.status === 'SLASHED') {
+      await emit('bond.slashed', `Bond ${txid} was SLASHED — ${status.amount} sats sent to ${status.slashDest} in ${status.spentTxid}`);
+    } else await emit('bond.spent', `Bond ${txid} was spent by unrecognised tx ${status.spentTxid}`);
+    return;
+  }
+  if (status.isLocked) return;
+
+  const key = findKey(keyrings, 'bondholder', state.bondholderPub, state.bondholderPath);
+  if (!seen.unlocked) {
+    seen.unlocked = true;
+    await emit('bond.unlocked', `Bond ${txid} unlocked at block ${status.lockUntil}${key ? '' : ' — no watched wallet holds its bondholder key'}`);
+  }
+  if (!key) return;
+
+  const result = await releaseBond({ txid, key, provider });
+  seen.status = 'RELEASED';
+  seen.spentTxid = result.txid;
+  seen.action = { type: 'release', txid: result.txid, height };
+  await emit('bond.released', `Released bond ${txid}: ${result.amount} sats → ${result.to} in ${result.txid}`, {
+    status: 'RELEASED', spentTxid: result.txid, spentMethod: 'release', by: 'watchtower',
+  });
+}
+
+async function watchEscrow(record, seen, { keyrings, provider, height, publish }) {
+  if (record.error) throw new Error(record.error);
+  const { state } = record;
+  const txid = state.escrowTxid;
+  const status = escrowStatus(record, height);
+  const emit = (type, message, data = {}) => publish(createEvent(type, { txid, height, message, data: { ...status, ...data } }));
+
+  if (!seen.deployed) {
+    seen.deployed = true;
+    await emit('escrow.deployed', `Escrow ${txid} holds ${status.amount} sats for ${status.workerAddress} until block ${status.timeoutBlock}`);
+  }
+  if (status.status !== 'ACTIVE') {
+    seen.status = status.status;
+    seen.spentTxid = status.spentTxid;
+    seen.spentHeight = record.spentHeight;
+    const [type, message] = {
+      APPROVED: ['escrow.approved', `Escrow ${txid} was approved — ${status.amount} sats to the worker in ${status.spentTxid}`],
+      REFUNDED: ['escrow.refunded', `Escrow ${txid} was refunded to the requester in ${status.spentTxid}`],
+      TIMED_OUT: ['escrow.timed_out', `Escrow ${txid} timed out back to the requester in ${status.spentTxid}`],
+      SPENT: ['escrow.spent', `Escrow ${txid} was spent by unrecognised tx ${status.spentTxid}`],
+    }[status.status];
+    await emit(type, message);
+    return;
+  }
+  if (!status.isTimedOut) return;
+
+  const key = findKey(keyrings, 'escrow', state.requesterPub, state.requesterPath);
+  if (!seen.unlocked) {
+    seen.unlocked = true;
+    await emit('escrow.timeout_reached', `Escrow ${txid} timed out at block ${status.timeoutBlock}${key ? '' : ' — no watched wallet holds its requester key'}`);
+  }
+  if (!key) return;
+
+  const result = await timeoutEscrow({ txid, key, provider });
+  seen.status = 'TIMED_OUT';
+  seen.spentTxid = result.txid;
+  seen.action = { type: 'timeout', txid: result.txid, height };
+  await emit('escrow.timed_out', `Timed out escrow ${txid}: ${result.amount} sats → ${result.to} in ${result.txid}`, {
+    status: 'TIMED_OUT', spentTxid: result.txid, spentMethod: 'timeout', by: 'watchtower',
+  });
+}
+
+/**
+ * Whether a settled contract has to be watched again: a reorg orphaned the
+ * spend it settled with, leaving it unspent or spent by another tx. Only
+ * spends within REORG_DEPTH blocks of the tip are checked; the index can't
+ * undo older ones. Resets `seen` and reports the change when so.
+ */
+async function unsettled(record, seen, { kind, txid, provider, height, publish }) {
+  if (seen.spentHeight && height - seen.spentHeight >= REORG_DEPTH) return false;
+  if (record.spentTxid === seen.spentTxid) {
+    // The watchtower's own spend, now mined
+    if (!seen.spentHeight && record.spentHeight) seen.spentHeight = record.spentHeight;
+    return false;
+  }
+  if (!record.spentTxid) {
+    // Not mined (again) yet: settled while the spend is still in the mempool
+    const spent = await provider.getSpent(txid, record.state.outputIndex || 0);
+    if (spent && spent.txid === seen.spentTxid) return false;
+  }
+
+  const orphaned = seen.spentTxid;
+  Object.assign(seen, { status: 'ACTIVE', spentTxid: null, spentHeight: null });
+  delete seen.action;
+  const name = kind === 'bond' ? 'Bond' : 'Escrow';
+  await publish(createEvent(`${kind}.reorged`, {
+    txid,
+    height,
+    message: `${name} ${txid}: spend ${orphaned} was orphaned by a reorg${record.spentTxid ? `; now spent by ${record.spentTxid}` : ' — unspent again'}`,
+    data: { orphanedTxid: orphaned, spentTxid: record.spentTxid },
+  }));
+  return true;
+}
+
+function claimMessage(record, { status, revokedBy, correction }) {
+  const claim = `[${record.topic}] ${record.commitment ? `committed ${record.commitment}` : record.claim}`;
+  if (status === 'REVOKED') return `Assertion on bond ${record.bondTxid}, already revoked in ${revokedBy}: ${claim}`;
+  if (status === 'SUPERSEDED') return `Assertion on bond ${record.bondTxid}, already corrected in ${correction.txid}: ${claim}`;
+  return `New assertion on bond ${record.bondTxid}: ${claim}`;
+}
+
+/**
+ * Indexed ASSERT1 claims and batches citing a watched bond that haven't
+ * been announced yet. The index only keeps those signed by the bond's
+ * bondholder key. A claim the bondholder already revoked or corrected is
+ * announced with that `status`, not as new.
+ */
+async function watchAssertions(index, progress, { height, publish }) {
+  const announced = new Set(progress.announced);
+  const amendments = index.amendments.map(a => ({ ...a, sig: Buffer.from(a.sig || '', 'hex') }));
+  for (const record of [...index.claims, ...index.batches]) {
+    if (announced.has(record.txid)) continue;
+    const batch = Boolean(record.root);
+    const amended = batch ? null : amendmentStatus(record.txid, index.bonds[record.bondTxid].state.bondholderPub, amendments);
+    const data = batch
+      ? { bondTxid: record.bondTxid, outputIndex: record.outputIndex, batch: true, root: record.root,
+        count: record.count, validUntilBlock: record.validUntilBlock, blockHeight: record.blockHeight }
+      : { bondTxid: record.bondTxid, outputIndex: record.outputIndex, topic: record.topic, contentType: record.contentType,
+        claim: record.claim, commitment: record.commitment, validUntilBlock: record.validUntilBlock, blockHeight: record.blockHeight,
+        ...amended };
+    announced.add(record.txid);
+    progress.announced = [...announced];
+    await publish(createEvent('assertion.published', {
+      txid: record.txid,
+      height,
+      message: batch ? `New batch of ${record.count} claims on bond ${record.bondTxid}` : claimMessage(record, amended),
+      data,
+    }));
+  }
+}
+
+/**
+ * Check every unsettled contract once, acting where a keyring allows, and
+ * every settled one whose spend a reorg could still undo.
+ * Updates `progress` in place; `onEvent` sees each event as it happens, so
+ * the caller can persist progress after every broadcast. A failure on one
+ * contract becomes a `watchtower.error` event (once per distinct message)
+ * and is retried next pass.
+ * @returns {Promise<Array<object>>} the pass's events
+ */
+async function watchOnce({ keyrings = [], progress, provider = createProvider(), onEvent = () => {} }) {
+  const index = progress.index = restoreIndex(progress.index);
+  await syncIndex(index, { provider });
+  const height = index.height;
+  const events = [];
+  const publish = async event => {
+    events.push(event);
+    await onEvent(event);
+  };
+  const watched = [
+    ...Object.entries(index.bonds).map(([txid, record]) => ({ kind: 'bond', txid, record, watch: watchBond })),
+    ...Object.entries(index.escrows).map(([txid, record]) => ({ kind: 'escrow', txid, record, watch: watchEscrow })),
+  ];
+
+  for (const { kind, txid, record, watch } of watched) {
+    const seen = progress.contracts[txid] = progress.contracts[txid] || { kind, status: 'ACTIVE' };
+    try {
+      if (SETTLED.includes(seen.status) && !(await unsettled(record, seen, { kind, txid, provider, height, publish }))) continue;
+      await watch(record, seen, { keyrings, provider, height, publish });
+      delete seen.error;
+    } catch (err) {
+      // Report a failure once, not every pass until it clears
+      const repeated = seen.error === err.message;
+      seen.error = err.message;
+      if (!repeated) {
+        await publish(createEvent('watchtower.error', {
+          txid, height, message: `${kind === 'bond' ? 'Bond' : 'Escrow'} ${txid}: ${err.message}`, data: { kind, error: err.message },
+        }));
+      }
+    }
+  }
+
+  await watchAssertions(index, progress, { height, publish });
+
+  progress.height = height;
+  progress.updatedAt = new Date().toISOString();
+  return events;
+}
+
+module.exports = {
+  loadProgress,
+  saveProgress,
+  watchOnce,
+};
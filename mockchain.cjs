@@ -0,0 +1,100 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Local mock chain for offline end-to-end runs.
+ *
+ * Every script uses the mock chain instead of WhatsOnChain while
+ * MOCKCHAIN_PATH is set (default file: ./mockchain.json).
+ *
+ * Usage: node mockchain.cjs <init|fund|mine|reorg|info|headers>
+ *   init [--height <n>]                  Start a fresh chain at block n (default: 1000)
+ *   fund --address <addr> [--amount <n>] Pay n sats (default: 100000) to addr and mine a block
+ *   mine [--blocks <n>]                  Mine n blocks (default: 1)
+ *   reorg [--blocks <n>] [--drop]        Replace the top n blocks (default: 1) with n + 1 new ones;
+ *                                        --drop discards their txs instead of mining them again
+ *   info                                 Show tip height and mempool
+ *   headers                              Print every block header as JSON (for offline verification)
+ */
+
+const path = require('path');
+const { MockChainProvider } = require('./lib/mockchain.cjs');
+
+const MOCKCHAIN_PATH = process.env.MOCKCHAIN_PATH || path.join(__dirname, 'mockchain.json');
+
+const cmd = process.argv[2];
+const args = {};
+for (let i = 3; i < process.argv.length; i++) {
+  const next = process.argv[i + 1];
+  // Flags like --drop take no value
+  if (next === undefined || next.startsWith('--')) args[process.argv[i].replace(/^--/, '')] = true;
+  else args[process.argv[i++].replace(/^--/, '')] = next;
+}
+
+async function main() {
+  if (cmd === 'init') {
+    const chain = new MockChainProvider({ path: MOCKCHAIN_PATH, startHeight: parseInt(args.height || '1000') });
+    const genesis = chain.init();
+    console.log(`⛓️  Mock chain created: ${MOCKCHAIN_PATH}`);
+    console.log(`   Height: ${genesis.height}`);
+    console.log();
+    console.log(`   export MOCKCHAIN_PATH=${MOCKCHAIN_PATH}`);
+
+  } else if (cmd === 'fund') {
+    if (!args.address) {
+      console.error('Usage: node mockchain.cjs fund --address <addr> [--amount <sats>]');
+      process.exit(1);
+    }
+    const chain = new MockChainProvider({ path: MOCKCHAIN_PATH });
+    const amount = parseInt(args.amount || '100000');
+    const txid = await chain.fund(args.address, amount);
+    const height = await chain.mine(1);
+    console.log(`💧 Funded ${args.address} with ${amount} sats`);
+    console.log(`   TXID:   ${txid}`);
+    console.log(`   Height: ${height}`);
+
+  } else if (cmd === 'mine') {
+    const chain = new MockChainProvider({ path: MOCKCHAIN_PATH });
+    const blocks = parseInt(args.blocks || '1');
+    const mempool = await chain.getMempool();
+    const height = await chain.mine(blocks);
+    console.log(`⛏️  Mined ${blocks} block(s) — height ${height}, ${mempool.length} tx(s) confirmed`);
+
+  } else if (cmd === 'reorg') {
+    const chain = new MockChainProvider({ path: MOCKCHAIN_PATH });
+    const blocks = parseInt(args.blocks || '1');
+    const height = await chain.reorg(blocks, { drop: Boolean(args.drop) });
+    console.log(`🔀 Replaced ${blocks} block(s) — height ${height}${args.drop ? ', their txs dropped' : ''}`);
+
+  } else if (cmd === 'info') {
+    const chain = new MockChainProvider({ path: MOCKCHAIN_PATH });
+    const info = await chain.getChainInfo();
+    const mempool = await chain.getMempool();
+    console.log(`Chain:    ${MOCKCHAIN_PATH}`);
+    console.log(`Height:   ${info.blocks}`);
+    console.log(`Tip:      ${info.bestblockhash}`);
+    console.log(`Mempool:  ${mempool.length} tx(s)`);
+    for (const txid of mempool) console.log(`          ${txid}`);
+
+  } else if (cmd === 'headers') {
+    const chain = new MockChainProvider({ path: MOCKCHAIN_PATH });
+    console.log(JSON.stringify(await chain.getHeaders(), null, 2));
+
+  } else {
+    console.log('Usage: node mockchain.cjs <init|fund|mine|reorg|info|headers>');
+    console.log('');
+    console.log('  init [--height <n>]                   Start a fresh chain (default height: 1000)');
+    console.log('  fund --address <addr> [--amount <n>]  Pay sats to an address and mine a block');
+    console.log('  mine [--blocks <n>]                   Mine blocks, confirming the mempool');
+    console.log('  reorg [--blocks <n>] [--drop]         Replace the top blocks with a longer chain');
+    console.log('  info                                  Show tip height and mempool');
+    console.log('  headers                               Print block headers as JSON');
+    console.log('');
+    console.log('Set MOCKCHAIN_PATH (default: ./mockchain.json) to point every script at the mock chain.');
+  }
+}
+
+main().catch(err => {
+  console.error('❌', err.message);
+  process.exit(1);
+});
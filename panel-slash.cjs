@@ -0,0 +1,32 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Slash a PanelBond — judges sign one at a time, then the signatures are combined.
+ * Same as `bsv-trust panel prepare|sign|combine`.
+ *
+ * Usage:
+ *   node panel-slash.cjs prepare --txid <bond-txid> [--request <path>]
+ *   node panel-slash.cjs sign    --request <path> --wallet <judge-wallet>
+ *   node panel-slash.cjs combine --request <path>
+ *
+ * `prepare` writes the unsigned slash tx to a request file (default:
+ * ./slashes/<txid>.json). Pass that file to each judge; `sign` adds their
+ * signature to it. Once a quorum has signed, `combine` builds the unlocking
+ * script and broadcasts.
+ */
+
+const [cmd, ...rest] = process.argv.slice(2);
+
+const COMMANDS = ['prepare', 'sign', 'combine'];
+
+if (COMMANDS.includes(cmd)) {
+  require('./bin/bsv-trust.cjs').run(['panel', cmd, ...rest]);
+} else {
+  console.log('Usage: node panel-slash.cjs <prepare|sign|combine> [options]');
+  console.log('');
+  console.log('  prepare --txid <bond-txid> [--request <path>]   Build the unsigned slash tx');
+  console.log('  sign    --request <path> --wallet <path>        Add a judge signature');
+  console.log('  combine --request <path>                        Combine signatures and broadcast');
+  process.exitCode = 2;
+}
@@ -0,0 +1,17 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Resolve a Dispute — the resolver rules for one side and the whole pot
+ * (every unspent stake of the dispute) goes to the winner. The dispute is
+ * read from chain, so the resolver needs only its txid. Same as
+ * `bsv-trust dispute resolve`, but the wallet defaults to ./resolver.json.
+ *
+ * Usage: node resolve-dispute.cjs --txid <dispute-txid> --ruling <challenger|asserter> [--wallet <path>]
+ */
+
+const path = require('path');
+
+require('./bin/bsv-trust.cjs').run([
+  'dispute', 'resolve', '--wallet', path.join(__dirname, 'resolver.json'), ...process.argv.slice(2),
+]);
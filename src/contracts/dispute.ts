@@ -0,0 +1,96 @@
+import {
+    assert,
+    ByteString,
+    hash160,
+    hash256,
+    method,
+    prop,
+    PubKey,
+    PubKeyHash,
+    Sig,
+    SmartContract,
+    Utils,
+} from 'scrypt-ts'
+
+export class Dispute extends SmartContract {
+    // ASSERT1 assertion being challenged (txid, display byte order)
+    @prop()
+    assertionTxid: ByteString
+
+    // Challenger (the one contesting the assertion)
+    @prop()
+    challengerPkh: PubKeyHash
+
+    // Asserter (bondholder of the bond backing the assertion)
+    @prop()
+    asserterPkh: PubKeyHash
+
+    // Resolver: rules for one side, the pot goes to the winner
+    @prop()
+    resolverPub: PubKey
+
+    // Block height from which a stake can be refunded if nobody has ruled
+    @prop()
+    refundAfter: bigint
+
+    // Owner of this stake: the challenger's opening stake or the asserter's
+    // answer. Every other prop is the same across one dispute's stakes.
+    @prop()
+    stakerPub: PubKey
+
+    constructor(
+        assertionTxid: ByteString,
+        challengerPkh: PubKeyHash,
+        asserterPkh: PubKeyHash,
+        resolverPub: PubKey,
+        refundAfter: bigint,
+        stakerPub: PubKey
+    ) {
+        super(...arguments)
+        this.assertionTxid = assertionTxid
+        this.challengerPkh = challengerPkh
+        this.asserterPkh = asserterPkh
+        this.resolverPub = resolverPub
+        this.refundAfter = refundAfter
+        this.stakerPub = stakerPub
+    }
+
+    // Challenge upheld — pot goes to challenger.
+    // The pot can span several UTXOs locked to this script (challenger stake
+    // plus any matching stake from the asserter), so amount is bounded by the
+    // single output rather than this input's value.
+    @method()
+    public uphold(sig: Sig, amount: bigint) {
+        assert(this.checkSig(sig, this.resolverPub), 'invalid resolver signature')
+        assert(amount > 0n, 'invalid amount')
+
+        const outputs: ByteString =
+            Utils.buildPublicKeyHashOutput(this.challengerPkh, amount)
+        assert(this.ctx.hashOutputs == hash256(outputs), 'hashOutputs mismatch')
+    }
+
+    // Challenge dismissed — pot goes to asserter
+    @method()
+    public dismiss(sig: Sig, amount: bigint) {
+        assert(this.checkSig(sig, this.resolverPub), 'invalid resolver signature')
+        assert(amount > 0n, 'invalid amount')
+
+        const outputs: ByteString =
+            Utils.buildPublicKeyHashOutput(this.asserterPkh, amount)
+        assert(this.ctx.hashOutputs == hash256(outputs), 'hashOutputs mismatch')
+    }
+
+    // No ruling by refundAfter — the staker takes this stake back. Like a
+    // ruling, one tx may refund several stakes of the same staker into one
+    // output, so amount is not bounded by this input's value.
+    @method()
+    public refund(sig: Sig, amount: bigint) {
+        assert(this.checkSig(sig, this.stakerPub), 'invalid staker signature')
+        assert(this.ctx.locktime >= this.refundAfter, 'dispute still open')
+        assert(amount > 0n, 'invalid amount')
+
+        const outputs: ByteString =
+            Utils.buildPublicKeyHashOutput(hash160(this.stakerPub), amount)
+        assert(this.ctx.hashOutputs == hash256(outputs), 'hashOutputs mismatch')
+    }
+}
@@ -0,0 +1,93 @@
+import {
+    assert,
+    ByteString,
+    FixedArray,
+    hash256,
+    method,
+    prop,
+    PubKey,
+    PubKeyHash,
+    Sig,
+    SmartContract,
+    Utils,
+} from 'scrypt-ts'
+
+// Size of the judge panel (fixed at compile time)
+export const N_JUDGES = 3
+
+export class PanelBond extends SmartContract {
+    @prop()
+    bondholderPkh: PubKeyHash
+
+    @prop()
+    bondholderPub: PubKey
+
+    @prop()
+    lockUntil: bigint
+
+    // Judge panel: slashing needs `quorum` valid signatures from these keys
+    @prop()
+    judges: FixedArray<PubKey, typeof N_JUDGES>
+
+    @prop()
+    quorum: bigint
+
+    @prop()
+    slashDestPkh: PubKeyHash
+
+    constructor(
+        bondholderPkh: PubKeyHash,
+        bondholderPub: PubKey,
+        lockUntil: bigint,
+        judges: FixedArray<PubKey, typeof N_JUDGES>,
+        quorum: bigint,
+        slashDestPkh: PubKeyHash
+    ) {
+        super(...arguments)
+        this.bondholderPkh = bondholderPkh
+        this.bondholderPub = bondholderPub
+        this.lockUntil = lockUntil
+        this.judges = judges
+        this.quorum = quorum
+        this.slashDestPkh = slashDestPkh
+    }
+
+    @method()
+    public release(sig: Sig, amount: bigint) {
+        assert(this.checkSig(sig, this.bondholderPub), 'invalid bondholder signature')
+        assert(this.ctx.locktime >= this.lockUntil, 'bond still locked')
+        assert(amount > 0n && amount <= this.ctx.utxo.value, 'invalid amount')
+
+        const outputs: ByteString =
+            Utils.buildPublicKeyHashOutput(this.bondholderPkh, amount)
+        assert(this.ctx.hashOutputs == hash256(outputs), 'hashOutputs mismatch')
+    }
+
+    // Judges who did not sign pass signed[i] = false and a placeholder sig.
+    // A key listed twice must not count twice towards the quorum.
+    @method()
+    public slash(
+        sigs: FixedArray<Sig, typeof N_JUDGES>,
+        signed: FixedArray<boolean, typeof N_JUDGES>,
+        amount: bigint
+    ) {
+        let valid = 0n
+        for (let i = 0; i < N_JUDGES; i++) {
+            if (signed[i]) {
+                assert(this.checkSig(sigs[i], this.judges[i]), 'invalid judge signature')
+                for (let j = 0; j < N_JUDGES; j++) {
+                    if (j < i && signed[j]) {
+                        assert(this.judges[i] != this.judges[j], 'duplicate judge')
+                    }
+                }
+                valid += 1n
+            }
+        }
+        assert(valid >= this.quorum, 'not enough judge signatures')
+        assert(amount > 0n && amount <= this.ctx.utxo.value, 'invalid amount')
+
+        const outputs: ByteString =
+            Utils.buildPublicKeyHashOutput(this.slashDestPkh, amount)
+        assert(this.ctx.hashOutputs == hash256(outputs), 'hashOutputs mismatch')
+    }
+}
@@ -0,0 +1,175 @@
+import { expect, use } from 'chai'
+import chaiAsPromised from 'chai-as-promised'
+import {
+    bsv,
+    findSig,
+    MethodCallOptions,
+    PubKey,
+    PubKeyHash,
+    toByteString,
+} from 'scrypt-ts'
+import { Bond } from '../src/contracts/bond'
+import {
+    bindSpend,
+    callOptions,
+    getDummySigner,
+    inputSatoshis,
+    pkh,
+    randomKey,
+} from './utils/txHelper'
+import { createMockChain, deployTestBond, fundedKey } from './utils/mockChain'
+
+const { getBondStatus, slashBond } = require('../lib/bond.cjs')
+const { ValidationError } = require('../lib/errors.cjs')
+
+use(chaiAsPromised)
+
+const LOCK_UNTIL = 1000
+
+describe('Bond', () => {
+    const bondholder = randomKey()
+    const slasher = randomKey()
+    const slashDest = randomKey()
+    const stranger = randomKey()
+    const amount = inputSatoshis - 500
+
+    let bond: Bond
+
+    before(() => {
+        Bond.loadArtifact(require('../artifacts/bond.json'))
+    })
+
+    beforeEach(async () => {
+        bond = new Bond(
+            PubKeyHash(toByteString(pkh(bondholder))),
+            PubKey(toByteString(bondholder.toPublicKey().toHex())),
+            BigInt(LOCK_UNTIL),
+            PubKey(toByteString(slasher.toPublicKey().toHex())),
+            PubKeyHash(toByteString(pkh(slashDest)))
+        )
+        await bond.connect(getDummySigner([bondholder, slasher, slashDest, stranger]))
+        await bond.deploy(inputSatoshis)
+    })
+
+    function release(signer: bsv.PrivateKey, value: number) {
+        return bond.methods.release(
+            (sigResps) => findSig(sigResps, signer.toPublicKey()),
+            BigInt(value),
+            { ...callOptions, pubKeyOrAddrToSign: signer.toPublicKey() } as MethodCallOptions<Bond>
+        )
+    }
+
+    function slash(signer: bsv.PrivateKey, value: number) {
+        return bond.methods.slash(
+            (sigResps) => findSig(sigResps, signer.toPublicKey()),
+            BigInt(value),
+            { ...callOptions, pubKeyOrAddrToSign: signer.toPublicKey() } as MethodCallOptions<Bond>
+        )
+    }
+
+    describe('release', () => {
+        it('pays the bondholder once the lock has passed', async () => {
+            bindSpend(bond, 'release', [{ address: bondholder.toAddress(), satoshis: amount }], LOCK_UNTIL)
+            await expect(release(bondholder, amount)).to.be.fulfilled
+        })
+
+        it('releases the full bond value', async () => {
+            bindSpend(bond, 'release', [{ address: bondholder.toAddress(), satoshis: inputSatoshis }], LOCK_UNTIL + 5)
+            await expect(release(bondholder, inputSatoshis)).to.be.fulfilled
+        })
+
+        it('rejects a signature from anyone but the bondholder', async () => {
+            bindSpend(bond, 'release', [{ address: bondholder.toAddress(), satoshis: amount }], LOCK_UNTIL)
+            await expect(release(slasher, amount)).to.be.rejectedWith(/signature check failed/)
+            await expect(release(stranger, amount)).to.be.rejectedWith(/signature check failed/)
+        })
+
+        it('rejects a locktime below lockUntil', async () => {
+            bindSpend(bond, 'release', [{ address: bondholder.toAddress(), satoshis: amount }], LOCK_UNTIL - 1)
+            await expect(release(bondholder, amount)).to.be.rejectedWith(/bond still locked/)
+        })
+
+        it('rejects a zero amount', async () => {
+            bindSpend(bond, 'release', [{ address: bondholder.toAddress(), satoshis: 0 }], LOCK_UNTIL)
+            await expect(release(bondholder, 0)).to.be.rejectedWith(/invalid amount/)
+        })
+
+        it('rejects an amount above the bond value', async () => {
+            bindSpend(bond, 'release', [{ address: bondholder.toAddress(), satoshis: inputSatoshis + 1 }], LOCK_UNTIL)
+            await expect(release(bondholder, inputSatoshis + 1)).to.be.rejectedWith(/invalid amount/)
+        })
+
+        it('rejects paying anyone but the bondholder', async () => {
+            bindSpend(bond, 'release', [{ address: stranger.toAddress(), satoshis: amount }], LOCK_UNTIL)
+            await expect(release(bondholder, amount)).to.be.rejectedWith(/hashOutputs mismatch/)
+        })
+
+        it('rejects an output amount that differs from the argument', async () => {
+            bindSpend(bond, 'release', [{ address: bondholder.toAddress(), satoshis: amount - 1 }], LOCK_UNTIL)
+            await expect(release(bondholder, amount)).to.be.rejectedWith(/hashOutputs mismatch/)
+        })
+
+        it('rejects extra outputs', async () => {
+            bindSpend(bond, 'release', [
+                { address: bondholder.toAddress(), satoshis: amount },
+                { address: stranger.toAddress(), satoshis: 100 },
+            ], LOCK_UNTIL)
+            await expect(release(bondholder, amount)).to.be.rejectedWith(/hashOutputs mismatch/)
+        })
+    })
+
+    describe('slash', () => {
+        it('pays the slash destination, even while locked', async () => {
+            bindSpend(bond, 'slash', [{ address: slashDest.toAddress(), satoshis: amount }])
+            await expect(slash(slasher, amount)).to.be.fulfilled
+        })
+
+        it('rejects a signature from anyone but the slasher', async () => {
+            bindSpend(bond, 'slash', [{ address: slashDest.toAddress(), satoshis: amount }])
+            await expect(slash(bondholder, amount)).to.be.rejectedWith(/signature check failed/)
+            await expect(slash(stranger, amount)).to.be.rejectedWith(/signature check failed/)
+        })
+
+        it('rejects a zero amount', async () => {
+            bindSpend(bond, 'slash', [{ address: slashDest.toAddress(), satoshis: 0 }])
+            await expect(slash(slasher, 0)).to.be.rejectedWith(/invalid amount/)
+        })
+
+        it('rejects an amount above the bond value', async () => {
+            bindSpend(bond, 'slash', [{ address: slashDest.toAddress(), satoshis: inputSatoshis + 1 }])
+            await expect(slash(slasher, inputSatoshis + 1)).to.be.rejectedWith(/invalid amount/)
+        })
+
+        it('rejects paying anyone but the slash destination', async () => {
+            bindSpend(bond, 'slash', [{ address: slasher.toAddress(), satoshis: amount }])
+            await expect(slash(slasher, amount)).to.be.rejectedWith(/hashOutputs mismatch/)
+        })
+
+        it('rejects extra outputs', async () => {
+            bindSpend(bond, 'slash', [
+                { address: slashDest.toAddress(), satoshis: amount },
+                { address: slasher.toAddress(), satoshis: 100 },
+            ])
+            await expect(slash(slasher, amount)).to.be.rejectedWith(/hashOutputs mismatch/)
+        })
+    })
+})
+
+describe('getBondStatus', () => {
+    it('reads the bond from its script and the spend from the method it called', async () => {
+        const chain = createMockChain('bond')
+        const { bond, slasher } = await deployTestBond(chain)
+        expect(await getBondStatus({ txid: bond.txid, provider: chain })).to.include({ status: 'ACTIVE', spentMethod: null })
+
+        const slash = await slashBond({ txid: bond.txid, key: slasher, provider: chain })
+        expect(await getBondStatus({ txid: bond.txid, provider: chain }))
+            .to.include({ status: 'SLASHED', spentMethod: 'slash', spentTxid: slash.txid })
+    })
+
+    it('rejects a tx that is not a bond', async () => {
+        const chain = createMockChain('bond')
+        const key = await fundedKey(chain)
+        const [utxo] = await chain.listUnspent(key.toAddress().toString())
+        await expect(getBondStatus({ txid: utxo.tx_hash, provider: chain })).to.be.rejectedWith(ValidationError, /Not a bond/)
+    })
+})
@@ -0,0 +1,123 @@
+import { expect, use } from 'chai'
+import chaiAsPromised from 'chai-as-promised'
+import { spawnSync } from 'child_process'
+import * as fs from 'fs'
+import * as path from 'path'
+import { bsv } from 'scrypt-ts'
+import { createMockChain, deployTestBond, fundedKey, publishForged } from './utils/mockChain'
+
+use(chaiAsPromised)
+
+const { main } = require('../bin/bsv-trust.cjs')
+const network = require('../lib/network.cjs')
+const { publishAssertion, exportProof } = require('../lib/assertion.cjs')
+const { NotFoundError } = require('../lib/errors.cjs')
+const { UsageError } = require('../lib/args.cjs')
+
+// Run the CLI and return what it printed, and the exit code it set
+async function run(argv: string[]) {
+    const log = console.log
+    const lines: string[] = []
+    console.log = (...args) => lines.push(args.join(' '))
+    try {
+        await main(argv)
+        return { output: lines.join('\n'), exitCode: process.exitCode || 0 }
+    } finally {
+        console.log = log
+        process.exitCode = 0
+    }
+}
+
+async function runJson(argv: string[]) {
+    return JSON.parse((await run([...argv, '--json'])).output)
+}
+
+function writeJson(name: string, value: unknown): string {
+    const file = path.join(process.env.BSV_TRUST_DIR as string, `${name}-${Date.now()}.json`)
+    fs.writeFileSync(file, JSON.stringify(value))
+    return file
+}
+
+describe('bsv-trust CLI', () => {
+    afterEach(() => network.useNetwork('mainnet'))
+
+    it('takes --network=<name>', async () => {
+        const wallet = path.join(process.env.BSV_TRUST_DIR as string, `cli-${Date.now()}.json`)
+        const created = await runJson(['wallet', 'create', '--plaintext', `--wallet=${wallet}`, '--network=testnet'])
+        expect(created.network).to.equal('testnet')
+        expect(created.address).to.match(/^[mn]/)
+        expect(network.apiUrl).to.match(/\/test$/)
+    })
+
+    it('takes --network <name>', async () => {
+        const wallet = path.join(process.env.BSV_TRUST_DIR as string, `cli-${Date.now()}.json`)
+        const created = await runJson(['wallet', 'create', '--plaintext', '--wallet', wallet, '--network', 'testnet'])
+        const shown = await runJson(['wallet', 'address', '--wallet', wallet, '--network', 'testnet'])
+        expect(shown).to.deep.equal({ address: created.address, network: 'testnet' })
+    })
+
+    it('lists the panel and dispute commands', async () => {
+        const { output } = await run(['--help'])
+        expect(output).to.include('prepare | sign | combine')
+        expect(output).to.include('open | answer | resolve | refund')
+    })
+
+    it('rejects a ruling for neither side', async () => {
+        const txid = '00'.repeat(32)
+        await expect(run(['dispute', 'resolve', '--txid', txid, '--ruling', 'nobody', '--json']))
+            .to.be.rejectedWith(UsageError, '--ruling must be one of challenger, asserter')
+    })
+
+    it('runs dispute.cjs --answer and --refund as dispute answer and refund', () => {
+        const help = (...argv: string[]) => spawnSync(process.execPath, ['dispute.cjs', ...argv, '--help'], {
+            cwd: path.join(__dirname, '..'), encoding: 'utf8', timeout: 60000,
+        }).stdout
+        expect(help('--answer', '00'.repeat(32))).to.include('Usage: bsv-trust dispute answer')
+        expect(help('--refund', '00'.repeat(32))).to.include('Usage: bsv-trust dispute refund')
+        expect(help('--assert-txid', '00'.repeat(32))).to.include('Usage: bsv-trust dispute open')
+    })
+
+    describe('assert verify', () => {
+        let chain
+        before(() => {
+            chain = createMockChain('cli')
+            process.env.MOCKCHAIN_PATH = chain.path
+        })
+        after(() => delete process.env.MOCKCHAIN_PATH)
+
+        it('reports an unproven bundle without calling its signature invalid', async () => {
+            const { bond, bondholder } = await deployTestBond(chain)
+            const published = await publishAssertion({
+                bondTxid: bond.txid, topic: 'kyc', claim: 'passed', key: bondholder, provider: chain,
+            })
+            await chain.mine(1)
+            const bundle = await exportProof({ txid: published.txid, provider: chain })
+            bundle.assertion.proof.nodes = [...bundle.assertion.proof.nodes, '11'.repeat(32)]
+
+            const { output, exitCode } = await run([
+                'assert', 'verify',
+                '--bundle', writeJson('bundle', bundle),
+                '--headers', writeJson('headers', await chain.getHeaders()),
+            ])
+            expect(output).to.include('NOT PROVEN')
+            expect(output).to.not.include('SIGNATURE INVALID')
+            expect(exitCode).to.equal(1)
+        })
+
+        it('says the signature is invalid only when it is', async () => {
+            const { bond } = await deployTestBond(chain)
+            const forged = await publishForged(chain, await fundedKey(chain), bond.txid, 'kyc')
+
+            const { output, exitCode } = await run(['assert', 'verify', '--txid', forged])
+            expect(output).to.include('SIGNATURE INVALID')
+            expect(exitCode).to.equal(1)
+        })
+
+        it('throws when the cited bond does not exist', async () => {
+            const missing = bsv.crypto.Random.getRandomBuffer(32).toString('hex')
+            const forged = await publishForged(chain, await fundedKey(chain), missing, 'kyc')
+
+            await expect(run(['assert', 'verify', '--txid', forged])).to.be.rejectedWith(NotFoundError, /Bond tx not found/)
+        })
+    })
+})
@@ -0,0 +1,222 @@
+import { expect, use } from 'chai'
+import chaiAsPromised from 'chai-as-promised'
+import {
+    bsv,
+    findSig,
+    MethodCallOptions,
+    PubKey,
+    PubKeyHash,
+    toByteString,
+} from 'scrypt-ts'
+import { Dispute } from '../src/contracts/dispute'
+import {
+    bindSpend,
+    callOptions,
+    getDummySigner,
+    inputSatoshis,
+    pkh,
+    randomKey,
+} from './utils/txHelper'
+import { createMockChain, deployTestBond, fundedKey } from './utils/mockChain'
+
+const { openDispute, answerDispute, resolveDispute, refundDispute } = require('../lib/dispute.cjs')
+const { publishAssertion } = require('../lib/assertion.cjs')
+const { AlreadySpentError, LockedError, UnauthorizedError } = require('../lib/errors.cjs')
+
+use(chaiAsPromised)
+
+const REFUND_AFTER = 1500
+const ASSERTION_TXID = 'ab'.repeat(32)
+
+describe('Dispute', () => {
+    const challenger = randomKey()
+    const asserter = randomKey()
+    const resolver = randomKey()
+    const stranger = randomKey()
+    const amount = inputSatoshis - 500
+
+    let dispute: Dispute
+
+    before(() => {
+        Dispute.loadArtifact(require('../artifacts/dispute.json'))
+    })
+
+    async function stake(staker: bsv.PrivateKey) {
+        dispute = new Dispute(
+            toByteString(ASSERTION_TXID),
+            PubKeyHash(toByteString(pkh(challenger))),
+            PubKeyHash(toByteString(pkh(asserter))),
+            PubKey(toByteString(resolver.toPublicKey().toHex())),
+            BigInt(REFUND_AFTER),
+            PubKey(toByteString(staker.toPublicKey().toHex()))
+        )
+        await dispute.connect(getDummySigner([challenger, asserter, resolver, stranger]))
+        await dispute.deploy(inputSatoshis)
+    }
+
+    function call(method: 'uphold' | 'dismiss' | 'refund', signer: bsv.PrivateKey, value: number) {
+        return dispute.methods[method](
+            (sigResps) => findSig(sigResps, signer.toPublicKey()),
+            BigInt(value),
+            { ...callOptions, pubKeyOrAddrToSign: signer.toPublicKey() } as MethodCallOptions<Dispute>
+        )
+    }
+
+    describe('uphold', () => {
+        beforeEach(() => stake(challenger))
+
+        it('pays the challenger on the resolver\'s signature', async () => {
+            bindSpend(dispute, 'uphold', [{ address: challenger.toAddress(), satoshis: amount }])
+            await expect(call('uphold', resolver, amount)).to.be.fulfilled
+        })
+
+        it('lets the pot exceed this stake, since other stakes fund it', async () => {
+            bindSpend(dispute, 'uphold', [{ address: challenger.toAddress(), satoshis: 2 * amount }])
+            await expect(call('uphold', resolver, 2 * amount)).to.be.fulfilled
+        })
+
+        it('rejects a signature from anyone but the resolver', async () => {
+            bindSpend(dispute, 'uphold', [{ address: challenger.toAddress(), satoshis: amount }])
+            await expect(call('uphold', challenger, amount)).to.be.rejectedWith(/signature check failed/)
+            await expect(call('uphold', stranger, amount)).to.be.rejectedWith(/signature check failed/)
+        })
+
+        it('rejects paying anyone but the challenger', async () => {
+            bindSpend(dispute, 'uphold', [{ address: asserter.toAddress(), satoshis: amount }])
+            await expect(call('uphold', resolver, amount)).to.be.rejectedWith(/hashOutputs mismatch/)
+        })
+
+        it('rejects a zero amount', async () => {
+            bindSpend(dispute, 'uphold', [{ address: challenger.toAddress(), satoshis: 0 }])
+            await expect(call('uphold', resolver, 0)).to.be.rejectedWith(/invalid amount/)
+        })
+    })
+
+    describe('dismiss', () => {
+        beforeEach(() => stake(asserter))
+
+        it('pays the asserter on the resolver\'s signature', async () => {
+            bindSpend(dispute, 'dismiss', [{ address: asserter.toAddress(), satoshis: amount }])
+            await expect(call('dismiss', resolver, amount)).to.be.fulfilled
+        })
+
+        it('rejects a signature from anyone but the resolver', async () => {
+            bindSpend(dispute, 'dismiss', [{ address: asserter.toAddress(), satoshis: amount }])
+            await expect(call('dismiss', asserter, amount)).to.be.rejectedWith(/signature check failed/)
+        })
+
+        it('rejects paying anyone but the asserter', async () => {
+            bindSpend(dispute, 'dismiss', [{ address: challenger.toAddress(), satoshis: amount }])
+            await expect(call('dismiss', resolver, amount)).to.be.rejectedWith(/hashOutputs mismatch/)
+        })
+    })
+
+    describe('refund', () => {
+        it('returns the challenger\'s stake to the challenger after refundAfter', async () => {
+            await stake(challenger)
+            bindSpend(dispute, 'refund', [{ address: challenger.toAddress(), satoshis: amount }], REFUND_AFTER)
+            await expect(call('refund', challenger, amount)).to.be.fulfilled
+        })
+
+        it('returns the asserter\'s stake to the asserter only', async () => {
+            await stake(asserter)
+            bindSpend(dispute, 'refund', [{ address: asserter.toAddress(), satoshis: amount }], REFUND_AFTER + 10)
+            await expect(call('refund', challenger, amount)).to.be.rejectedWith(/signature check failed/)
+            await expect(call('refund', asserter, amount)).to.be.fulfilled
+        })
+
+        it('rejects a locktime below refundAfter', async () => {
+            await stake(challenger)
+            bindSpend(dispute, 'refund', [{ address: challenger.toAddress(), satoshis: amount }], REFUND_AFTER - 1)
+            await expect(call('refund', challenger, amount)).to.be.rejectedWith(/dispute still open/)
+        })
+
+        it('rejects a signature from anyone but the staker', async () => {
+            await stake(challenger)
+            bindSpend(dispute, 'refund', [{ address: challenger.toAddress(), satoshis: amount }], REFUND_AFTER)
+            await expect(call('refund', resolver, amount)).to.be.rejectedWith(/signature check failed/)
+            await expect(call('refund', stranger, amount)).to.be.rejectedWith(/signature check failed/)
+        })
+
+        it('rejects paying anyone but the staker', async () => {
+            await stake(challenger)
+            bindSpend(dispute, 'refund', [{ address: asserter.toAddress(), satoshis: amount }], REFUND_AFTER)
+            await expect(call('refund', challenger, amount)).to.be.rejectedWith(/hashOutputs mismatch/)
+        })
+
+        it('rejects extra outputs', async () => {
+            await stake(challenger)
+            bindSpend(dispute, 'refund', [
+                { address: challenger.toAddress(), satoshis: amount },
+                { address: stranger.toAddress(), satoshis: 100 },
+            ], REFUND_AFTER)
+            await expect(call('refund', challenger, amount)).to.be.rejectedWith(/hashOutputs mismatch/)
+        })
+    })
+
+    describe('on the mock chain', () => {
+        let chain, bondholder: bsv.PrivateKey, assertTxid: string
+
+        before(async () => {
+            chain = createMockChain('dispute')
+            const deployed = await deployTestBond(chain)
+            bondholder = deployed.bondholder
+            const published = await publishAssertion({
+                bondTxid: deployed.bond.txid, topic: 'kyc', claim: 'passed', key: bondholder, provider: chain,
+            })
+            assertTxid = published.txid
+            await chain.mine(1)
+        })
+
+        // Each party acts with only a key and the dispute txid, never a state file
+        async function open() {
+            const challenger = await fundedKey(chain)
+            const resolver = bsv.PrivateKey.fromRandom(bsv.Networks.mainnet)
+            const opened = await openDispute({
+                assertTxid, resolverPub: resolver.publicKey.toString(), refundBlocks: 5, key: challenger, provider: chain,
+            })
+            const answered = await answerDispute({ txid: opened.txid, key: bondholder, provider: chain })
+            await chain.mine(1)
+            return { challenger, resolver, opened, answered }
+        }
+
+        it('pays the whole pot to the side the resolver rules for', async () => {
+            const { challenger, resolver, opened, answered } = await open()
+            expect(answered.pot).to.equal(20000)
+
+            const resolved = await resolveDispute({ txid: opened.txid, ruling: 'challenger', key: resolver, provider: chain })
+            expect(resolved).to.include({ method: 'uphold', amount: 19000, to: challenger.toAddress().toString() })
+            expect(resolved.stakes.map(s => [s.txid, s.party])).to.deep.equal([
+                [opened.txid, 'challenger'],
+                [answered.txid, 'asserter'],
+            ])
+            await expect(resolveDispute({ txid: opened.txid, ruling: 'asserter', key: resolver, provider: chain }))
+                .to.be.rejectedWith(AlreadySpentError)
+        })
+
+        it('only lets the asserter answer and the resolver rule', async () => {
+            const { challenger, opened } = await open()
+            await expect(answerDispute({ txid: opened.txid, key: challenger, provider: chain }))
+                .to.be.rejectedWith(UnauthorizedError, /not the asserter/)
+            await expect(resolveDispute({ txid: opened.txid, ruling: 'challenger', key: challenger, provider: chain }))
+                .to.be.rejectedWith(UnauthorizedError, /not the resolver/)
+        })
+
+        it('refunds each side its own stake once nobody has ruled by the refund height', async () => {
+            const { challenger, opened, answered } = await open()
+            await expect(refundDispute({ txid: opened.txid, key: challenger, provider: chain }))
+                .to.be.rejectedWith(LockedError)
+
+            await chain.mine(5)
+            const refunded = await refundDispute({ txid: opened.txid, key: challenger, provider: chain })
+            expect(refunded).to.include({ party: 'challenger', amount: 9500, to: challenger.toAddress().toString() })
+            expect(refunded.stakes.map(s => s.txid)).to.deep.equal([opened.txid])
+
+            const answerRefund = await refundDispute({ txid: opened.txid, key: bondholder, provider: chain })
+            expect(answerRefund).to.include({ party: 'asserter', amount: 9500 })
+            expect(answerRefund.stakes.map(s => s.txid)).to.deep.equal([answered.txid])
+            await expect(refundDispute({ txid: opened.txid, key: bsv.PrivateKey.fromRandom(bsv.Networks.mainnet), provider: chain }))
+                .to.be.rejectedWith(UnauthorizedError)
+        })
+    })
+})
@@ -0,0 +1,169 @@
+import { expect, use } from 'chai'
+import chaiAsPromised from 'chai-as-promised'
+import {
+    bsv,
+    findSig,
+    MethodCallOptions,
+    PubKey,
+    PubKeyHash,
+    toByteString,
+} from 'scrypt-ts'
+import { Escrow } from '../src/contracts/escrow'
+import {
+    bindSpend,
+    callOptions,
+    getDummySigner,
+    inputSatoshis,
+    pkh,
+    randomKey,
+} from './utils/txHelper'
+
+use(chaiAsPromised)
+
+const TIMEOUT_BLOCK = 2000
+
+describe('Escrow', () => {
+    const requester = randomKey()
+    const worker = randomKey()
+    const stranger = randomKey()
+    const amount = inputSatoshis - 500
+
+    let escrow: Escrow
+
+    before(() => {
+        Escrow.loadArtifact(require('../artifacts/escrow.json'))
+    })
+
+    beforeEach(async () => {
+        escrow = new Escrow(
+            PubKey(toByteString(requester.toPublicKey().toHex())),
+            PubKeyHash(toByteString(pkh(requester))),
+            PubKey(toByteString(worker.toPublicKey().toHex())),
+            PubKeyHash(toByteString(pkh(worker))),
+            BigInt(TIMEOUT_BLOCK)
+        )
+        await escrow.connect(getDummySigner([requester, worker, stranger]))
+        await escrow.deploy(inputSatoshis)
+    })
+
+    function call(method: 'approve' | 'refund' | 'timeout', signer: bsv.PrivateKey, value: number) {
+        return escrow.methods[method](
+            (sigResps) => findSig(sigResps, signer.toPublicKey()),
+            BigInt(value),
+            { ...callOptions, pubKeyOrAddrToSign: signer.toPublicKey() } as MethodCallOptions<Escrow>
+        )
+    }
+
+    describe('approve', () => {
+        it('pays the worker', async () => {
+            bindSpend(escrow, 'approve', [{ address: worker.toAddress(), satoshis: amount }])
+            await expect(call('approve', requester, amount)).to.be.fulfilled
+        })
+
+        it('rejects a signature from anyone but the requester', async () => {
+            bindSpend(escrow, 'approve', [{ address: worker.toAddress(), satoshis: amount }])
+            await expect(call('approve', worker, amount)).to.be.rejectedWith(/signature check failed/)
+            await expect(call('approve', stranger, amount)).to.be.rejectedWith(/signature check failed/)
+        })
+
+        it('rejects a zero amount', async () => {
+            bindSpend(escrow, 'approve', [{ address: worker.toAddress(), satoshis: 0 }])
+            await expect(call('approve', requester, 0)).to.be.rejectedWith(/invalid amount/)
+        })
+
+        it('rejects an amount above the escrow value', async () => {
+            bindSpend(escrow, 'approve', [{ address: worker.toAddress(), satoshis: inputSatoshis + 1 }])
+            await expect(call('approve', requester, inputSatoshis + 1)).to.be.rejectedWith(/invalid amount/)
+        })
+
+        it('rejects paying anyone but the worker', async () => {
+            bindSpend(escrow, 'approve', [{ address: requester.toAddress(), satoshis: amount }])
+            await expect(call('approve', requester, amount)).to.be.rejectedWith(/hashOutputs mismatch/)
+        })
+
+        it('rejects extra outputs', async () => {
+            bindSpend(escrow, 'approve', [
+                { address: worker.toAddress(), satoshis: amount },
+                { address: requester.toAddress(), satoshis: 100 },
+            ])
+            await expect(call('approve', requester, amount)).to.be.rejectedWith(/hashOutputs mismatch/)
+        })
+    })
+
+    describe('refund', () => {
+        it('returns the payment to the requester', async () => {
+            bindSpend(escrow, 'refund', [{ address: requester.toAddress(), satoshis: amount }])
+            await expect(call('refund', worker, amount)).to.be.fulfilled
+        })
+
+        it('rejects a signature from anyone but the worker', async () => {
+            bindSpend(escrow, 'refund', [{ address: requester.toAddress(), satoshis: amount }])
+            await expect(call('refund', requester, amount)).to.be.rejectedWith(/signature check failed/)
+            await expect(call('refund', stranger, amount)).to.be.rejectedWith(/signature check failed/)
+        })
+
+        it('rejects a zero amount', async () => {
+            bindSpend(escrow, 'refund', [{ address: requester.toAddress(), satoshis: 0 }])
+            await expect(call('refund', worker, 0)).to.be.rejectedWith(/invalid amount/)
+        })
+
+        it('rejects an amount above the escrow value', async () => {
+            bindSpend(escrow, 'refund', [{ address: requester.toAddress(), satoshis: inputSatoshis + 1 }])
+            await expect(call('refund', worker, inputSatoshis + 1)).to.be.rejectedWith(/invalid amount/)
+        })
+
+        it('rejects paying anyone but the requester', async () => {
+            bindSpend(escrow, 'refund', [{ address: worker.toAddress(), satoshis: amount }])
+            await expect(call('refund', worker, amount)).to.be.rejectedWith(/hashOutputs mismatch/)
+        })
+
+        it('rejects extra outputs', async () => {
+            bindSpend(escrow, 'refund', [
+                { address: requester.toAddress(), satoshis: amount },
+                { address: worker.toAddress(), satoshis: 100 },
+            ])
+            await expect(call('refund', worker, amount)).to.be.rejectedWith(/hashOutputs mismatch/)
+        })
+    })
+
+    describe('timeout', () => {
+        it('returns the payment to the requester after the timeout block', async () => {
+            bindSpend(escrow, 'timeout', [{ address: requester.toAddress(), satoshis: amount }], TIMEOUT_BLOCK)
+            await expect(call('timeout', requester, amount)).to.be.fulfilled
+        })
+
+        it('rejects a signature from anyone but the requester', async () => {
+            bindSpend(escrow, 'timeout', [{ address: requester.toAddress(), satoshis: amount }], TIMEOUT_BLOCK)
+            await expect(call('timeout', worker, amount)).to.be.rejectedWith(/signature check failed/)
+            await expect(call('timeout', stranger, amount)).to.be.rejectedWith(/signature check failed/)
+        })
+
+        it('rejects a locktime below timeoutBlock', async () => {
+            bindSpend(escrow, 'timeout', [{ address: requester.toAddress(), satoshis: amount }], TIMEOUT_BLOCK - 1)
+            await expect(call('timeout', requester, amount)).to.be.rejectedWith(/escrow not yet timed out/)
+        })
+
+        it('rejects a zero amount', async () => {
+            bindSpend(escrow, 'timeout', [{ address: requester.toAddress(), satoshis: 0 }], TIMEOUT_BLOCK)
+            await expect(call('timeout', requester, 0)).to.be.rejectedWith(/invalid amount/)
+        })
+
+        it('rejects an amount above the escrow value', async () => {
+            bindSpend(escrow, 'timeout', [{ address: requester.toAddress(), satoshis: inputSatoshis + 1 }], TIMEOUT_BLOCK)
+            await expect(call('timeout', requester, inputSatoshis + 1)).to.be.rejectedWith(/invalid amount/)
+        })
+
+        it('rejects paying anyone but the requester', async () => {
+            bindSpend(escrow, 'timeout', [{ address: worker.toAddress(), satoshis: amount }], TIMEOUT_BLOCK)
+            await expect(call('timeout', requester, amount)).to.be.rejectedWith(/hashOutputs mismatch/)
+        })
+
+        it('rejects extra outputs', async () => {
+            bindSpend(escrow, 'timeout', [
+                { address: requester.toAddress(), satoshis: amount },
+                { address: worker.toAddress(), satoshis: 100 },
+            ], TIMEOUT_BLOCK)
+            await expect(call('timeout', requester, amount)).to.be.rejectedWith(/hashOutputs mismatch/)
+        })
+    })
+})
@@ -0,0 +1,88 @@
+import { expect } from 'chai'
+import * as fs from 'fs'
+import * as http from 'http'
+import { AddressInfo } from 'net'
+import * as path from 'path'
+
+const { createEvent, deliverEvent, loadHooks, signPayload } = require('../lib/events.cjs')
+const { ValidationError } = require('../lib/errors.cjs')
+
+type Received = { headers: http.IncomingHttpHeaders; body: string }
+
+// A webhook receiver answering every POST with `status`
+async function listen(status = 200) {
+    const received: Received[] = []
+    const server = http.createServer((req, res) => {
+        let body = ''
+        req.on('data', chunk => (body += chunk))
+        req.on('end', () => {
+            received.push({ headers: req.headers, body })
+            res.writeHead(status)
+            res.end()
+        })
+    })
+    await new Promise<void>(resolve => server.listen(0, '127.0.0.1', resolve))
+    const url = `http://127.0.0.1:${(server.address() as AddressInfo).port}/hook`
+    return { url, received, close: () => new Promise(resolve => server.close(resolve)) }
+}
+
+const TXID = 'cd'.repeat(32)
+
+describe('events', () => {
+    it('delivers repeated errors for one contract as separate, signed deliveries', async () => {
+        const receiver = await listen()
+        const secret = 'hook secret'
+        const hooks = { webhooks: [{ url: receiver.url, secret }], commands: [] }
+        try {
+            for (const message of ['fetch failed', 'HTTP 502']) {
+                const event = createEvent('watchtower.error', { txid: TXID, height: 1000, message })
+                expect(await deliverEvent(event, hooks)).to.deep.equal([])
+            }
+        } finally {
+            await receiver.close()
+        }
+
+        const deliveries = receiver.received.map(r => r.headers['x-bsvtrust-delivery'])
+        expect(new Set(deliveries).size).to.equal(2)
+        for (const { headers, body } of receiver.received) {
+            expect(headers['x-bsvtrust-delivery']).to.equal(JSON.parse(body).id)
+            expect(headers['x-bsvtrust-signature']).to.equal(`sha256=${signPayload(secret, headers['x-bsvtrust-timestamp'], body)}`)
+            expect(headers['x-bsvtrust-signature']).to.not.equal(`sha256=${signPayload('wrong secret', headers['x-bsvtrust-timestamp'], body)}`)
+        }
+    })
+
+    it('only delivers to hooks subscribed to the event', async () => {
+        const receiver = await listen()
+        const out = path.join(process.env.BSV_TRUST_DIR as string, `hook-${Date.now()}.json`)
+        const hooks = {
+            webhooks: [{ url: receiver.url, secret: 's', events: ['escrow.*'] }],
+            commands: [{ run: `cat > ${out}`, events: ['bond.*'] }],
+        }
+        const event = createEvent('bond.slashed', { txid: TXID, height: 1000, message: 'slashed' })
+        try {
+            expect(await deliverEvent(event, hooks)).to.deep.equal([])
+        } finally {
+            await receiver.close()
+        }
+        expect(receiver.received).to.have.length(0)
+        expect(JSON.parse(fs.readFileSync(out, 'utf8'))).to.deep.equal(event)
+    })
+
+    it('reports a webhook that keeps failing', async () => {
+        const receiver = await listen(500)
+        const hooks = { webhooks: [{ url: receiver.url, secret: 's' }], commands: [] }
+        const event = createEvent('bond.spent', { txid: TXID, height: 1000, message: 'spent' })
+        try {
+            expect(await deliverEvent(event, hooks)).to.deep.equal([{ hook: receiver.url, error: 'HTTP 500' }])
+        } finally {
+            await receiver.close()
+        }
+        expect(receiver.received).to.have.length(3)
+    })
+
+    it('rejects a hooks file with an unknown event', () => {
+        const file = path.join(process.env.BSV_TRUST_DIR as string, `hooks-${Date.now()}.json`)
+        fs.writeFileSync(file, JSON.stringify({ commands: [{ run: 'true', events: ['bond.stolen'] }] }))
+        expect(() => loadHooks(file)).to.throw(ValidationError, /unknown event "bond.stolen"/)
+    })
+})
@@ -0,0 +1,58 @@
+import * as path from 'path'
+import { expect, use } from 'chai'
+import chaiAsPromised from 'chai-as-promised'
+import { bsv } from 'scrypt-ts'
+
+use(chaiAsPromised)
+
+const hd = require('../lib/hd.cjs')
+const network = require('../lib/network.cjs')
+const { createWallet, reserveKey, walletAddress } = require('../lib/wallet.cjs')
+const { ValidationError } = require('../lib/errors.cjs')
+
+const MNEMONIC = 'abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon about'
+
+describe('hd', () => {
+    afterEach(() => network.useNetwork('mainnet'))
+
+    it('derives under coin type 236 on mainnet and 1 elsewhere', () => {
+        expect(hd.fundingPath()).to.equal("m/44'/236'/0'/0/0")
+        expect(hd.rolePath('bondholder', 0)).to.equal("m/44'/236'/1'/0/0")
+        expect(hd.rolePath('escrow', 7)).to.equal("m/44'/236'/4'/0/7")
+
+        network.useNetwork('testnet')
+        expect(hd.fundingPath()).to.equal("m/44'/1'/0'/0/0")
+        expect(hd.rolePath('resolver', 2)).to.equal("m/44'/1'/3'/0/2")
+        expect(hd.coinType('regtest')).to.equal(1)
+    })
+
+    it('hands out role keys from the xpub that the mnemonic derives privately', () => {
+        const root = hd.rootFromMnemonic(MNEMONIC)
+        const xpubs = hd.roleXpubs(root)
+        for (const [role, account] of Object.entries(hd.ROLES)) {
+            const expected = root.deriveChild(`m/44'/236'/${account}'/0/5`).publicKey.toHex()
+            expect(hd.rolePublicKey(xpubs[role], 5)).to.equal(expected)
+        }
+    })
+
+    it('gives a wallet its funding address and role keys from those paths', async () => {
+        const walletPath = path.join(process.env.BSV_TRUST_DIR as string, `hd-${Date.now()}.json`)
+        await createWallet(walletPath, { mnemonic: MNEMONIC, plaintext: true })
+
+        const root = bsv.Mnemonic.fromString(MNEMONIC).toHDPrivateKey('', bsv.Networks.mainnet)
+        expect(walletAddress(walletPath)).to.equal(root.deriveChild("m/44'/236'/0'/0/0").privateKey.toAddress().toString())
+
+        const first = await reserveKey(walletPath, 'slasher')
+        const second = await reserveKey(walletPath, 'slasher')
+        expect(first).to.deep.equal({
+            publicKey: root.deriveChild("m/44'/236'/2'/0/0").publicKey.toHex(),
+            path: "m/44'/236'/2'/0/0",
+        })
+        expect(second.path).to.equal("m/44'/236'/2'/0/1")
+    })
+
+    it('rejects an unknown role and an invalid mnemonic', () => {
+        expect(() => hd.rolePath('auditor', 0)).to.throw(ValidationError, /Unknown role: auditor/)
+        expect(() => hd.rootFromMnemonic('abandon abandon abandon')).to.throw(ValidationError, 'Invalid mnemonic')
+    })
+})
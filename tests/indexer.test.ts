@@ -0,0 +1,72 @@
+import { expect } from 'chai'
+import { bsv } from 'scrypt-ts'
+import { addUnparseableTx, createMockChain, deployTestBond, publishForged } from './utils/mockChain'
+
+const { restoreIndex, syncIndex } = require('../lib/indexer.cjs')
+const { slashBond } = require('../lib/bond.cjs')
+const { publishAssertion } = require('../lib/assertion.cjs')
+
+describe('indexer', () => {
+    it('scans past a tx whose scriptSig does not parse', async () => {
+        const chain = createMockChain('indexer')
+        const index = restoreIndex(null)
+        await syncIndex(index, { provider: chain })
+
+        addUnparseableTx(chain)
+        const tip = await chain.mine(1)
+        await syncIndex(index, { provider: chain })
+
+        expect(index.height).to.equal(tip)
+        expect(index.tipHash).to.equal((await chain.getBlockHeader(tip)).hash)
+    })
+
+    it('rolls back a spend whose block is orphaned', async () => {
+        const chain = createMockChain('indexer')
+        const { bond, slasher } = await deployTestBond(chain)
+
+        const index = restoreIndex(null)
+        await syncIndex(index, { provider: chain })
+        expect(index.bonds[bond.txid].status).to.equal('ACTIVE')
+
+        const slash = await slashBond({ txid: bond.txid, key: slasher, provider: chain })
+        const slashHeight = await chain.mine(1)
+        await syncIndex(index, { provider: chain })
+        expect(index.bonds[bond.txid]).to.include({
+            status: 'SLASHED',
+            spentMethod: 'slash',
+            spentTxid: slash.txid,
+            spentHeight: slashHeight,
+        })
+
+        const tip = await chain.reorg(1, { drop: true })
+        await syncIndex(index, { provider: chain })
+        expect(index.height).to.equal(tip)
+        expect(index.bonds[bond.txid]).to.include({
+            status: 'ACTIVE',
+            spentMethod: null,
+            spentTxid: null,
+            spentHeight: null,
+        })
+    })
+
+    it('keeps only claims signed by the cited bond\'s holder', async () => {
+        const chain = createMockChain('indexer')
+        const { bond, bondholder } = await deployTestBond(chain)
+        const index = restoreIndex(null)
+        await syncIndex(index, { provider: chain })
+
+        // The forged claim is paid for from the bondholder's address, so it shows up in its history
+        const forger = bsv.PrivateKey.fromRandom(bsv.Networks.mainnet)
+        const forged = await publishForged(chain, forger, bond.txid, 'kyc', bondholder)
+        await chain.mine(1)
+        const signed = await publishAssertion({
+            bondTxid: bond.txid, topic: 'kyc', claim: 'passed', key: bondholder, provider: chain,
+        })
+        await chain.mine(1)
+        await syncIndex(index, { provider: chain })
+
+        const txids = index.claims.map(c => c.txid)
+        expect(txids).to.include(signed.txid)
+        expect(txids).to.not.include(forged)
+    })
+})
@@ -0,0 +1,44 @@
+import * as fs from 'fs'
+import * as path from 'path'
+import { expect, use } from 'chai'
+import chaiAsPromised from 'chai-as-promised'
+
+use(chaiAsPromised)
+
+const { encryptSecret, decryptSecret } = require('../lib/keystore.cjs')
+const { createWallet, walletMnemonic, changePassphrase } = require('../lib/wallet.cjs')
+const { UnauthorizedError, ValidationError } = require('../lib/errors.cjs')
+
+const ADDRESS = '1BoatSLRHtKNngkdXEeobR76b53LETtpyT'
+const MNEMONIC = 'abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon about'
+
+describe('keystore', () => {
+    it('opens with the passphrase it was sealed under', () => {
+        const keystore = encryptSecret(MNEMONIC, 'correct horse', ADDRESS)
+        expect(keystore).to.include({ version: 1, kdf: 'scrypt', cipher: 'aes-256-gcm' })
+        expect(keystore.ciphertext).to.not.include(Buffer.from('abandon').toString('hex'))
+        expect(decryptSecret(keystore, 'correct horse', ADDRESS)).to.equal(MNEMONIC)
+    })
+
+    it('rejects a wrong passphrase or another address', () => {
+        const keystore = encryptSecret(MNEMONIC, 'correct horse', ADDRESS)
+        expect(() => decryptSecret(keystore, 'battery staple', ADDRESS)).to.throw(UnauthorizedError, 'Wrong passphrase')
+        expect(() => decryptSecret(keystore, 'correct horse', '1111111111111111111114oLvT2')).to.throw(UnauthorizedError)
+    })
+
+    it('refuses an empty passphrase', () => {
+        expect(() => encryptSecret(MNEMONIC, '', ADDRESS)).to.throw(ValidationError)
+    })
+
+    it('round-trips a wallet through a passphrase change', async () => {
+        const walletPath = path.join(process.env.BSV_TRUST_DIR as string, `wallet-${Date.now()}.json`)
+        await createWallet(walletPath, { mnemonic: MNEMONIC, passphrase: 'first' })
+        expect(fs.readFileSync(walletPath, 'utf8')).to.not.include('abandon')
+        expect(await walletMnemonic(walletPath, { passphrase: 'first' })).to.equal(MNEMONIC)
+
+        await changePassphrase(walletPath, { passphrase: 'first', newPassphrase: 'second' })
+        await expect(walletMnemonic(walletPath, { passphrase: 'first' }))
+            .to.be.rejectedWith(UnauthorizedError, `Wrong passphrase for ${walletPath}`)
+        expect(await walletMnemonic(walletPath, { passphrase: 'second' })).to.equal(MNEMONIC)
+    })
+})
@@ -0,0 +1,75 @@
+import { createHash } from 'crypto'
+import { expect, use } from 'chai'
+import chaiAsPromised from 'chai-as-promised'
+import { createMockChain, deployTestBond } from './utils/mockChain'
+
+use(chaiAsPromised)
+
+const { merkleRoot, merkleProof, proofSides, rootFromProof } = require('../lib/merkle.cjs')
+const { publishBatch, proveBatchClaim, verifyBatchClaim } = require('../lib/assertion.cjs')
+const { ValidationError } = require('../lib/errors.cjs')
+
+const sha256 = (buf: Buffer) => createHash('sha256').update(buf).digest()
+const hashNode = (left: Buffer, right: Buffer) => sha256(Buffer.concat([left, right]))
+const leaves = (count: number) => Array.from({ length: count }, (_, i) => sha256(Buffer.from(`leaf ${i}`)))
+
+describe('merkle', () => {
+    it('proves every leaf of odd and even trees', () => {
+        for (const count of [1, 2, 3, 5, 8]) {
+            const tree = leaves(count)
+            const root = merkleRoot(tree, hashNode)
+            tree.forEach((leaf, i) => {
+                const path = merkleProof(tree, i, hashNode)
+                expect(path.map(p => p.side)).to.deep.equal(proofSides(i, count))
+                expect(rootFromProof(leaf, path, hashNode).equals(root)).to.equal(true)
+            })
+        }
+    })
+
+    it('carries an odd node up instead of duplicating it', () => {
+        const tree = leaves(3)
+        expect(merkleRoot(tree, hashNode).equals(merkleRoot([...tree, tree[2]], hashNode))).to.equal(false)
+    })
+
+    describe('batches', () => {
+        const claims = ['kyc passed', 'aml passed', 'sanctions clear', 'pep clear', 'address verified']
+        let chain, batch
+
+        before(async () => {
+            chain = createMockChain('merkle')
+            const { bond, bondholder } = await deployTestBond(chain)
+            batch = await publishBatch({ bondTxid: bond.txid, claims, topic: 'onboarding', key: bondholder, provider: chain })
+            await chain.mine(1)
+        })
+
+        it('verifies an inclusion proof for each claim', async () => {
+            for (let index = 0; index < claims.length; index++) {
+                const proof = await proveBatchClaim({ txid: batch.txid, index })
+                const result = await verifyBatchClaim({ proof, provider: chain })
+                expect(result).to.include({ valid: true, signatureValid: true, included: true, claim: claims[index] })
+            }
+        })
+
+        it('rejects a proof whose claim, position or path was tampered with', async () => {
+            const proof = await proveBatchClaim({ txid: batch.txid, index: 1 })
+            const tampered = [
+                { ...proof, claim: 'aml failed' },
+                { ...proof, index: 0 },
+                { ...proof, path: proof.path.map((p, i) => (i === 0 ? { ...p, hash: 'ff'.repeat(32) } : p)) },
+                { ...proof, path: proof.path.map(p => ({ ...p, side: p.side === 'left' ? 'right' : 'left' })) },
+            ]
+            for (const forged of tampered) {
+                const result = await verifyBatchClaim({ proof: forged, provider: chain })
+                expect(result).to.include({ valid: false, signatureValid: true, included: false })
+            }
+        })
+
+        it('rejects a malformed proof and an out-of-range claim', async () => {
+            const proof = await proveBatchClaim({ txid: batch.txid, index: 0 })
+            await expect(verifyBatchClaim({ proof: { ...proof, path: [{ side: 'up', hash: proof.path[0].hash }] }, provider: chain }))
+                .to.be.rejectedWith(ValidationError, 'Malformed inclusion proof')
+            await expect(proveBatchClaim({ txid: batch.txid, index: claims.length }))
+                .to.be.rejectedWith(ValidationError, /out of range/)
+        })
+    })
+})
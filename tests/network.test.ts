@@ -0,0 +1,20 @@
+import { expect } from 'chai'
+
+const network = require('../lib/network.cjs')
+const { ValidationError } = require('../lib/errors.cjs')
+
+describe('network', () => {
+    afterEach(() => network.useNetwork('mainnet'))
+
+    it('switches every reader of the shared network object', () => {
+        network.useNetwork('testnet')
+        expect(network.name).to.equal('testnet')
+        expect(network.apiUrl).to.match(/\/test$/)
+        expect(network.txUrl('ab')).to.equal('https://test.whatsonchain.com/tx/ab')
+    })
+
+    it('throws ValidationError on an unknown network', () => {
+        expect(() => network.useNetwork('signet')).to.throw(ValidationError, /Unknown network: signet/)
+        expect(network.name).to.equal('mainnet')
+    })
+})
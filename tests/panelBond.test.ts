@@ -0,0 +1,144 @@
+import { expect, use } from 'chai'
+import chaiAsPromised from 'chai-as-promised'
+import {
+    bsv,
+    FixedArray,
+    findSig,
+    MethodCallOptions,
+    PubKey,
+    PubKeyHash,
+    Sig,
+    toByteString,
+} from 'scrypt-ts'
+import { N_JUDGES, PanelBond } from '../src/contracts/panelBond'
+import {
+    bindSpend,
+    callOptions,
+    getDummySigner,
+    inputSatoshis,
+    pkh,
+    randomKey,
+} from './utils/txHelper'
+
+const { deployPanelBond } = require('../lib/panel.cjs')
+const { ValidationError } = require('../lib/errors.cjs')
+
+use(chaiAsPromised)
+
+const LOCK_UNTIL = 1000
+
+describe('PanelBond', () => {
+    const bondholder = randomKey()
+    const judges = [randomKey(), randomKey(), randomKey()]
+    const slashDest = randomKey()
+    const stranger = randomKey()
+    const amount = inputSatoshis - 500
+
+    let bond: PanelBond
+
+    before(() => {
+        PanelBond.loadArtifact(require('../artifacts/panelBond.json'))
+    })
+
+    async function deploy(panel: bsv.PrivateKey[], quorum = 2) {
+        bond = new PanelBond(
+            PubKeyHash(toByteString(pkh(bondholder))),
+            PubKey(toByteString(bondholder.toPublicKey().toHex())),
+            BigInt(LOCK_UNTIL),
+            panel.map(j => PubKey(toByteString(j.toPublicKey().toHex()))) as FixedArray<PubKey, typeof N_JUDGES>,
+            BigInt(quorum),
+            PubKeyHash(toByteString(pkh(slashDest)))
+        )
+        await bond.connect(getDummySigner([bondholder, ...judges, slashDest, stranger]))
+        await bond.deploy(inputSatoshis)
+    }
+
+    // signers[i] signs for seat i; null leaves the seat unsigned with a placeholder sig
+    function slash(signers: Array<bsv.PrivateKey | null>, value: number) {
+        const keys = signers.filter((k): k is bsv.PrivateKey => k !== null)
+        return bond.methods.slash(
+            (sigResps) => {
+                const sigs = keys.map(k => findSig(sigResps, k.toPublicKey()))
+                return signers.map(k => (k ? sigs[keys.indexOf(k)] : sigs[0])) as FixedArray<Sig, typeof N_JUDGES>
+            },
+            signers.map(k => k !== null) as FixedArray<boolean, typeof N_JUDGES>,
+            BigInt(value),
+            { ...callOptions, pubKeyOrAddrToSign: keys.map(k => k.toPublicKey()) } as MethodCallOptions<PanelBond>
+        )
+    }
+
+    describe('slash', () => {
+        beforeEach(() => deploy(judges))
+
+        it('pays the slash destination with any 2 of 3 judges, even while locked', async () => {
+            const [a, b, c] = judges
+            for (const signers of [[a, b, null], [a, null, c], [null, b, c], [a, b, c]]) {
+                bindSpend(bond, 'slash', [{ address: slashDest.toAddress(), satoshis: amount }])
+                await expect(slash(signers, amount), signers.map(Boolean).join()).to.be.fulfilled
+            }
+        })
+
+        it('rejects a single judge below the quorum', async () => {
+            bindSpend(bond, 'slash', [{ address: slashDest.toAddress(), satoshis: amount }])
+            await expect(slash([judges[0], null, null], amount)).to.be.rejectedWith(/not enough judge signatures/)
+            await expect(slash([null, null, judges[2]], amount)).to.be.rejectedWith(/not enough judge signatures/)
+        })
+
+        it('rejects a seat signed by anyone but its judge', async () => {
+            bindSpend(bond, 'slash', [{ address: slashDest.toAddress(), satoshis: amount }])
+            await expect(slash([judges[0], stranger, null], amount)).to.be.rejectedWith(/signature check failed/)
+            await expect(slash([judges[1], judges[0], null], amount)).to.be.rejectedWith(/signature check failed/)
+        })
+
+        it('rejects paying anyone but the slash destination', async () => {
+            bindSpend(bond, 'slash', [{ address: judges[0].toAddress(), satoshis: amount }])
+            await expect(slash([judges[0], judges[1], null], amount)).to.be.rejectedWith(/hashOutputs mismatch/)
+        })
+
+        it('rejects an amount above the bond value', async () => {
+            bindSpend(bond, 'slash', [{ address: slashDest.toAddress(), satoshis: inputSatoshis + 1 }])
+            await expect(slash([judges[0], judges[1], null], inputSatoshis + 1)).to.be.rejectedWith(/invalid amount/)
+        })
+    })
+
+    it('does not count a judge listed twice towards the quorum', async () => {
+        const [a, , c] = judges
+        await deploy([a, a, c])
+        bindSpend(bond, 'slash', [{ address: slashDest.toAddress(), satoshis: amount }])
+        await expect(slash([a, a, null], amount)).to.be.rejectedWith(/duplicate judge/)
+    })
+
+    describe('release', () => {
+        beforeEach(() => deploy(judges))
+
+        it('pays the bondholder once the lock has passed', async () => {
+            bindSpend(bond, 'release', [{ address: bondholder.toAddress(), satoshis: amount }], LOCK_UNTIL)
+            await expect(bond.methods.release(
+                (sigResps) => findSig(sigResps, bondholder.toPublicKey()),
+                BigInt(amount),
+                { ...callOptions, pubKeyOrAddrToSign: bondholder.toPublicKey() } as MethodCallOptions<PanelBond>
+            )).to.be.fulfilled
+        })
+    })
+})
+
+describe('deployPanelBond', () => {
+    const pub = () => bsv.PrivateKey.fromRandom(bsv.Networks.mainnet).publicKey
+    const slashDest = bsv.PrivateKey.fromRandom(bsv.Networks.mainnet).toAddress().toString()
+
+    it('rejects a judge listed twice, in either encoding', async () => {
+        const [a, b] = [pub(), pub()]
+        const uncompressed = new bsv.PublicKey(a.point, { compressed: false }).toString()
+        for (const judges of [[a, a, b], [a.toString(), b.toString(), uncompressed]]) {
+            await expect(deployPanelBond({ judges: judges.map(String), slashDest }))
+                .to.be.rejectedWith(ValidationError, /Duplicate judge public key/)
+        }
+    })
+
+    it('rejects a panel of the wrong size or a quorum it cannot reach', async () => {
+        await expect(deployPanelBond({ judges: [pub(), pub()].map(String), slashDest }))
+            .to.be.rejectedWith(ValidationError, /exactly 3 judge public keys/)
+        await expect(deployPanelBond({ judges: [pub(), pub(), pub()].map(String), quorum: 4, slashDest }))
+            .to.be.rejectedWith(ValidationError, /Quorum must be between 1 and 3/)
+    })
+})
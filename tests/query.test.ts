@@ -0,0 +1,64 @@
+import { expect } from 'chai'
+
+const { oneOf, atLeast, applyQuery } = require('../lib/query.cjs')
+const { ValidationError } = require('../lib/errors.cjs')
+
+const LIST = {
+    id: 'bondTxid',
+    filters: { status: oneOf('status', (v: string) => v.toUpperCase()), minAmount: atLeast('amount') },
+    sorts: ['blockHeight', 'amount'],
+}
+
+const BONDS = [
+    { bondTxid: 'a', status: 'ACTIVE', amount: 5000, blockHeight: 10 },
+    { bondTxid: 'b', status: 'SLASHED', amount: 20000, blockHeight: 12 },
+    { bondTxid: 'c', status: 'ACTIVE', amount: 1000, blockHeight: 12 },
+    { bondTxid: 'd', status: 'RELEASED', amount: 8000, blockHeight: 15 },
+    { bondTxid: 'e', status: 'ACTIVE', amount: 3000, blockHeight: 0 },
+]
+
+const query = (params: string, items = BONDS) => applyQuery(items, new URLSearchParams(params), LIST)
+const ids = (result: { items: Array<{ bondTxid: string }> }) => result.items.map(i => i.bondTxid)
+
+describe('query', () => {
+    it('sorts newest first, breaking ties by id', () => {
+        expect(ids(query(''))).to.deep.equal(['d', 'b', 'c', 'a', 'e'])
+        expect(ids(query('sort=amount'))).to.deep.equal(['c', 'e', 'a', 'd', 'b'])
+    })
+
+    it('combines filters with the block range and counts every match', () => {
+        const result = query('status=active,released&minAmount=2000&fromBlock=10&toBlock=15')
+        expect(ids(result)).to.deep.equal(['d', 'a'])
+        expect(result.total).to.equal(2)
+        expect(ids(query('toBlock=100'))).to.not.include('e')
+    })
+
+    it('pages with cursors that survive new items arriving', () => {
+        const first = query('limit=2')
+        expect(ids(first)).to.deep.equal(['d', 'b'])
+        expect(first.total).to.equal(5)
+
+        const newer = [{ bondTxid: 'f', status: 'ACTIVE', amount: 100, blockHeight: 20 }, ...BONDS]
+        const second = query(`limit=2&cursor=${first.nextCursor}`, newer)
+        expect(ids(second)).to.deep.equal(['c', 'a'])
+        const third = query(`limit=2&cursor=${second.nextCursor}`, newer)
+        expect(ids(third)).to.deep.equal(['e'])
+        expect(third.nextCursor).to.equal(null)
+    })
+
+    it('rejects malformed parameters', () => {
+        const bad = [
+            ['color=red', /Unknown parameter "color"/],
+            ['sort=status', /Cannot sort by "status"/],
+            ['limit=0', /limit must be between 1 and 1000/],
+            ['limit=1001', /limit must be between 1 and 1000/],
+            ['minAmount=lots', /minAmount must be an integer/],
+            ['status=,', /status needs a value/],
+            ['cursor=nonsense', /cursor is not valid/],
+            [`sort=amount&cursor=${query('limit=1').nextCursor}`, /issued for sort=-blockHeight/],
+        ]
+        for (const [params, message] of bad) {
+            expect(() => query(params as string), params as string).to.throw(ValidationError, message as RegExp)
+        }
+    })
+})
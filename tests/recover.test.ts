@@ -0,0 +1,73 @@
+import * as fs from 'fs'
+import * as path from 'path'
+import { expect } from 'chai'
+import { bsv } from 'scrypt-ts'
+import { createMockChain, deployTestBond } from './utils/mockChain'
+
+const { recoverState } = require('../lib/recover.cjs')
+const { createWallet, walletAddress } = require('../lib/wallet.cjs')
+const { deployBond } = require('../lib/bond.cjs')
+const { deployEscrow } = require('../lib/escrow.cjs')
+
+const MNEMONIC = 'abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon about'
+
+const walletPath = (name: string) => path.join(process.env.BSV_TRUST_DIR as string, `${name}-${Date.now()}.json`)
+const readJson = (file: string) => JSON.parse(fs.readFileSync(file, 'utf8'))
+
+describe('recover', () => {
+    let chain, bond, escrow, minedAt: number, lost: Record<string, object>
+
+    before(async () => {
+        chain = createMockChain('recover')
+        const original = walletPath('wallet')
+        await createWallet(original, { mnemonic: MNEMONIC, plaintext: true })
+        await chain.fund(walletAddress(original), 100000)
+        await chain.mine(1)
+
+        const slasher = bsv.PrivateKey.fromRandom(bsv.Networks.mainnet)
+        const worker = bsv.PrivateKey.fromRandom(bsv.Networks.mainnet)
+        bond = await deployBond({
+            amount: 10000, lockBlocks: 10, slasherPub: slasher.publicKey.toString(),
+            slashDest: slasher.toAddress().toString(), wallet: original, provider: chain,
+        })
+        escrow = await deployEscrow({
+            amount: 5000, timeoutBlocks: 20, workerPub: worker.publicKey.toString(),
+            workerAddr: worker.toAddress().toString(), wallet: original, provider: chain,
+        })
+        minedAt = await chain.mine(1)
+        // Someone else's bond on the same chain
+        await deployTestBond(chain)
+
+        lost = { [bond.statePath]: readJson(bond.statePath), [escrow.statePath]: readJson(escrow.statePath) }
+        for (const file of Object.keys(lost)) fs.unlinkSync(file)
+    })
+
+    it('rebuilds the state files of the contracts a restored wallet deployed', async () => {
+        const restored = walletPath('restored')
+        await createWallet(restored, { mnemonic: MNEMONIC, plaintext: true })
+        const result = await recoverState({ wallet: restored, provider: chain })
+
+        expect(result.recovered.map(r => [r.type, r.txid, r.kept])).to.deep.equal([
+            ['bond', bond.txid, false],
+            ['escrow', escrow.txid, false],
+        ])
+        // Recovery knows the block a contract was mined in rather than the tip it was deployed at
+        for (const [file, state] of Object.entries(lost)) {
+            const { deployedAt, blockHeight, ...kept } = state as Record<string, unknown>
+            expect(readJson(file)).to.include({ ...kept, blockHeight: minedAt })
+        }
+        // Keys already handed out are not handed out again
+        const roles = readJson(restored).roles
+        expect(roles.bondholder.next).to.equal(1)
+        expect(roles.escrow.next).to.equal(1)
+    })
+
+    it('keeps existing state files unless forced', async () => {
+        const restored = walletPath('again')
+        await createWallet(restored, { mnemonic: MNEMONIC, plaintext: true })
+        const kept = await recoverState({ wallet: restored, provider: chain })
+        expect(kept.recovered.map(r => r.kept)).to.deep.equal([true, true])
+        const forced = await recoverState({ wallet: restored, force: true, provider: chain })
+        expect(forced.recovered.map(r => r.kept)).to.deep.equal([false, false])
+    })
+})
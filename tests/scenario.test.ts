@@ -0,0 +1,74 @@
+import { expect, use } from 'chai'
+import chaiAsPromised from 'chai-as-promised'
+import { bsv } from 'scrypt-ts'
+import { createMockChain, fundedKey } from './utils/mockChain'
+
+const { deployBond, slashBond, releaseBond, getBondStatus } = require('../lib/bond.cjs')
+const { publishAssertion, verifyAssertion, exportProof, verifyBundle } = require('../lib/assertion.cjs')
+const { AlreadySpentError } = require('../lib/errors.cjs')
+
+use(chaiAsPromised)
+
+// The whole life of a bond on one chain: deploy, assert, slash, verify
+describe('scenario: deploy → assert → slash → verify', () => {
+    let chain, bondholder: bsv.PrivateKey, slasher: bsv.PrivateKey, slashDest: bsv.PrivateKey
+    let bond, assertion, bundle
+
+    before(async () => {
+        chain = createMockChain('scenario')
+        bondholder = await fundedKey(chain)
+        slasher = bsv.PrivateKey.fromRandom(bsv.Networks.mainnet)
+        slashDest = bsv.PrivateKey.fromRandom(bsv.Networks.mainnet)
+    })
+
+    it('deploys a bond that is active and locked', async () => {
+        bond = await deployBond({
+            amount: 10000, lockBlocks: 10, slasherPub: slasher.publicKey.toString(),
+            slashDest: slashDest.toAddress().toString(), key: bondholder, provider: chain,
+        })
+        await chain.mine(1)
+        expect(await getBondStatus({ txid: bond.txid, provider: chain })).to.include({
+            status: 'ACTIVE', amount: 10000, isLocked: true, lockUntil: bond.lockUntil,
+            bondholderAddress: bondholder.toAddress().toString(), slashDest: slashDest.toAddress().toString(),
+        })
+    })
+
+    it('publishes an assertion that verifies against the active bond', async () => {
+        assertion = await publishAssertion({
+            bondTxid: bond.txid, topic: 'uptime', claim: 'api.example.com was up all of May', key: bondholder, provider: chain,
+        })
+        await chain.mine(1)
+        expect(await verifyAssertion({ txid: assertion.txid, provider: chain })).to.include({
+            valid: true, signatureValid: true, status: 'ACTIVE', claim: 'api.example.com was up all of May',
+            asserter: bondholder.toAddress().toString(), bondTxid: bond.txid, bondAmount: 10000, bondActive: true,
+        })
+        bundle = await exportProof({ txid: assertion.txid, provider: chain })
+    })
+
+    it('slashes the bond to the slash destination while still locked', async () => {
+        const slash = await slashBond({ txid: bond.txid, key: slasher, provider: chain })
+        await chain.mine(1)
+        expect(slash).to.include({ bondTxid: bond.txid, to: slashDest.toAddress().toString() })
+
+        const paid = await chain.listUnspent(slashDest.toAddress().toString())
+        expect(paid.map(u => [u.tx_hash, u.value])).to.deep.equal([[slash.txid, slash.amount]])
+        expect(await getBondStatus({ txid: bond.txid, provider: chain })).to.include({
+            status: 'SLASHED', spentMethod: 'slash', spentTxid: slash.txid,
+        })
+        await expect(releaseBond({ txid: bond.txid, key: bondholder, provider: chain }))
+            .to.be.rejectedWith(AlreadySpentError)
+    })
+
+    it('still verifies the signature but reports the bond as no longer backing it', async () => {
+        expect(await verifyAssertion({ txid: assertion.txid, provider: chain })).to.include({
+            valid: true, signatureValid: true, bondActive: false,
+        })
+    })
+
+    it('proves the assertion offline from the bundle taken before the slash', async () => {
+        const headers = await chain.getHeaders()
+        expect(verifyBundle({ bundle, headers })).to.include({
+            valid: true, proven: true, signatureValid: true, bondActive: null, claim: 'api.example.com was up all of May',
+        })
+    })
+})
@@ -0,0 +1,6 @@
+import * as fs from 'fs'
+import * as os from 'os'
+import * as path from 'path'
+
+// Keep state files written by lib/ tests out of the repo's bonds/, escrows/, ...
+process.env.BSV_TRUST_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'bsv-trust-test-'))
@@ -0,0 +1,87 @@
+import { expect } from 'chai'
+import { bsv } from 'scrypt-ts'
+import { createMockChain, deployTestBond } from './utils/mockChain'
+
+const { indexHeaders, checkInclusion } = require('../lib/spv.cjs')
+const { publishAssertion, exportProof, verifyBundle } = require('../lib/assertion.cjs')
+const { ValidationError } = require('../lib/errors.cjs')
+
+const flip = (hex: string) => (hex[0] === '0' ? '1' : '0') + hex.slice(1)
+
+describe('spv', () => {
+    let chain, txids: string[], height: number
+
+    before(async () => {
+        chain = createMockChain('spv')
+        txids = []
+        for (let i = 0; i < 5; i++) {
+            txids.push(await chain.fund(bsv.PrivateKey.fromRandom(bsv.Networks.mainnet).toAddress().toString(), 1000))
+        }
+        height = await chain.mine(1)
+    })
+
+    it('places every tx of a block at its height', async () => {
+        const headers = indexHeaders(await chain.getHeaders())
+        for (const txid of txids) {
+            const proof = await chain.getMerkleProof(txid)
+            expect(checkInclusion(txid, proof, headers)).to.deep.equal({ blockHash: proof.target, height })
+        }
+    })
+
+    it('rejects a path with a changed node, a wrong index or an unknown block', async () => {
+        const headers = indexHeaders(await chain.getHeaders())
+        const proof = await chain.getMerkleProof(txids[1])
+        const bad = [
+            { ...proof, nodes: [flip(proof.nodes[0]), ...proof.nodes.slice(1)] },
+            { ...proof, nodes: proof.nodes.slice(1) },
+            { ...proof, index: proof.index + 1 },
+            { ...proof, target: flip(proof.target) },
+            { ...proof, nodes: ['zz', ...proof.nodes.slice(1)] },
+            null,
+        ]
+        for (const path of bad) expect(checkInclusion(txids[1], path, headers)).to.equal(null)
+        expect(checkInclusion(txids[2], proof, headers)).to.equal(null)
+    })
+
+    it('refuses malformed headers', () => {
+        expect(() => indexHeaders({})).to.throw(ValidationError)
+        expect(() => indexHeaders([{ height: 1, header: 'ab' }])).to.throw(ValidationError, /80-byte hex/)
+    })
+
+    describe('bundles', () => {
+        let bundle, headers
+
+        before(async () => {
+            const { bond, bondholder } = await deployTestBond(chain)
+            const published = await publishAssertion({
+                bondTxid: bond.txid, topic: 'kyc', claim: 'passed', key: bondholder, provider: chain,
+            })
+            await chain.mine(1)
+            bundle = await exportProof({ txid: published.txid, provider: chain })
+            headers = await chain.getHeaders()
+        })
+
+        it('verifies a bundle against the headers it was mined in', () => {
+            expect(verifyBundle({ bundle, headers })).to.include({ valid: true, proven: true, signatureValid: true })
+        })
+
+        it('leaves a bundle with a bad bond path unproven, not badly signed', () => {
+            // An extra level pairing the bond with itself leads to a root no header has
+            const proof = { ...bundle.bond.proof, nodes: [...bundle.bond.proof.nodes, '*'] }
+            const tampered = { ...bundle, bond: { ...bundle.bond, proof } }
+            const result = verifyBundle({ bundle: tampered, headers })
+            expect(result).to.include({ valid: false, proven: false, signatureValid: true })
+            expect(result.inclusion.bond).to.equal(null)
+            expect(result.inclusion.assertion).to.not.equal(null)
+        })
+
+        it('leaves a bundle unproven without the headers of its blocks', () => {
+            expect(verifyBundle({ bundle, headers: headers.slice(0, 2) })).to.include({ valid: false, proven: false })
+        })
+
+        it('rejects a bundle whose raw tx does not match its txid', () => {
+            const swapped = { ...bundle, assertion: { ...bundle.assertion, rawTx: bundle.bond.rawTx } }
+            expect(() => verifyBundle({ bundle: swapped, headers })).to.throw(ValidationError, /does not hash to/)
+        })
+    })
+})
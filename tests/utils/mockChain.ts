@@ -0,0 +1,103 @@
+import * as fs from 'fs'
+import * as path from 'path'
+import { bsv } from 'scrypt-ts'
+
+const { MockChainProvider } = require('../../lib/mockchain.cjs')
+const { deployBond } = require('../../lib/bond.cjs')
+const { signingHash } = require('../../lib/assertion.cjs')
+
+const NULL_TXID = '00'.repeat(32)
+
+/** A fresh mock chain in the test's state directory. */
+export function createMockChain(name: string) {
+    const chain = new MockChainProvider({
+        path: path.join(process.env.BSV_TRUST_DIR as string, `${name}-${Date.now()}.json`),
+    })
+    chain.init()
+    return chain
+}
+
+/** A mainnet key funded with `satoshis` in a mined block. */
+export async function fundedKey(chain, satoshis = 100000): Promise<bsv.PrivateKey> {
+    const key = bsv.PrivateKey.fromRandom(bsv.Networks.mainnet)
+    await chain.fund(key.toAddress().toString(), satoshis)
+    await chain.mine(1)
+    return key
+}
+
+/** A mined 10000-sat bond; the slasher's address is also the slash destination. */
+export async function deployTestBond(chain) {
+    const bondholder = await fundedKey(chain)
+    const slasher = bsv.PrivateKey.fromRandom(bsv.Networks.mainnet)
+    const bond = await deployBond({
+        amount: 10000,
+        lockBlocks: 10,
+        slasherPub: slasher.publicKey.toString(),
+        slashDest: slasher.toAddress().toString(),
+        key: bondholder,
+        provider: chain,
+    })
+    await chain.mine(1)
+    return { bond, bondholder, slasher }
+}
+
+function uint32LE(n: number): Buffer {
+    const buf = Buffer.alloc(4)
+    buf.writeUInt32LE(n)
+    return buf
+}
+
+// A well-formed v2 claim on `bondTxid`, signed by `key` and paid for by `payer`
+export async function publishForged(chain, key: bsv.PrivateKey, bondTxid: string, topic: string, payer = key) {
+    const fields = { version: 2, bondTxid, outputIndex: 0, topic, claim: 'forged', validUntilBlock: 0 }
+    const sig = bsv.crypto.ECDSA.sign(signingHash(fields), key).toDER()
+    const opReturn = bsv.Script.buildSafeDataOut([
+        Buffer.from('ASSERT1'),
+        Buffer.from([2]),
+        Buffer.from(bondTxid, 'hex').reverse(),
+        uint32LE(0),
+        Buffer.from(topic),
+        Buffer.from(fields.claim),
+        uint32LE(0),
+        Buffer.from(sig),
+    ])
+    const address = payer.toAddress()
+    const [utxo] = await chain.listUnspent(address.toString())
+    const tx = new bsv.Transaction()
+        .from({
+            txId: utxo.tx_hash,
+            outputIndex: utxo.tx_pos,
+            script: bsv.Script.buildPublicKeyHashOut(address).toHex(),
+            satoshis: utxo.value,
+        })
+        .addOutput(new bsv.Transaction.Output({ script: opReturn, satoshis: 0 }))
+        .change(address)
+        .sign(payer)
+    return chain.broadcast(tx.serialize())
+}
+
+/**
+ * Put a coinbase-style tx whose scriptSig doesn't parse (a push running
+ * past its end) into the mempool, so bsv reads its input script as null.
+ */
+export function addUnparseableTx(chain): string {
+    const tx = new bsv.Transaction().addOutput(
+        new bsv.Transaction.Output({
+            script: bsv.Script.buildPublicKeyHashOut(
+                bsv.PrivateKey.fromRandom(bsv.Networks.mainnet).toAddress()
+            ),
+            satoshis: 5000,
+        })
+    )
+    // Splice one input in after the version: null outpoint, scriptSig 08 01, final sequence
+    const raw = tx.uncheckedSerialize()
+    const input = '01' + NULL_TXID + 'ffffffff' + '020801' + 'ffffffff'
+    const hex = raw.slice(0, 8) + input + raw.slice(10)
+    const txid = new bsv.Transaction(hex).id
+
+    const state = JSON.parse(fs.readFileSync(chain.path, 'utf8'))
+    state.txs[txid] = { hex, height: 0 }
+    state.mempool.push(txid)
+    fs.writeFileSync(chain.path, JSON.stringify(state, null, 2))
+    return txid
+}
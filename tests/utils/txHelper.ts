@@ -0,0 +1,63 @@
+import {
+    bsv,
+    ContractTransaction,
+    DummyProvider,
+    MethodCallOptions,
+    SmartContract,
+    TestWallet,
+} from 'scrypt-ts'
+
+export const inputSatoshis = 10000
+
+// Sequence below final so nLockTime is enforced, as the CLIs set it
+export const NON_FINAL_SEQUENCE = 0xfffffffe
+
+export type TestOutput = { address: bsv.Address; satoshis: number }
+
+export function randomKey(): bsv.PrivateKey {
+    return bsv.PrivateKey.fromRandom(bsv.Networks.testnet)
+}
+
+export function pkh(key: bsv.PrivateKey): string {
+    return key.toAddress().hashBuffer.toString('hex')
+}
+
+export function getDummySigner(keys: bsv.PrivateKey[]): TestWallet {
+    return new TestWallet(keys, new DummyProvider())
+}
+
+/**
+ * Make `methodName` spend the contract into exactly `outputs`, with no fee
+ * or change output, so each test controls what hashOutputs commits to.
+ */
+export function bindSpend<T extends SmartContract>(
+    instance: T,
+    methodName: string,
+    outputs: TestOutput[],
+    lockTime = 0
+): void {
+    instance.bindTxBuilder(
+        methodName,
+        async (current: T, options: MethodCallOptions<T>): Promise<ContractTransaction> => {
+            const tx = new bsv.Transaction()
+            tx.addInput(current.buildContractInput())
+            for (const o of outputs) {
+                tx.addOutput(
+                    new bsv.Transaction.Output({
+                        script: bsv.Script.buildPublicKeyHashOut(o.address),
+                        satoshis: o.satoshis,
+                    })
+                )
+            }
+            tx.inputs[0].sequenceNumber = NON_FINAL_SEQUENCE
+            tx.nLockTime = lockTime
+            return { tx, atInputIndex: 0, nexts: [] }
+        }
+    )
+}
+
+export const callOptions = {
+    autoPayFee: false,
+    partiallySigned: true,
+    estimateFee: false,
+} as const
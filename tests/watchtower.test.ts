@@ -0,0 +1,83 @@
+import { expect } from 'chai'
+import { createMockChain, deployTestBond } from './utils/mockChain'
+
+const { watchOnce, loadProgress } = require('../lib/watchtower.cjs')
+const { createEvent } = require('../lib/events.cjs')
+const { slashBond } = require('../lib/bond.cjs')
+const { publishAssertion, revokeAssertion } = require('../lib/assertion.cjs')
+
+const about = (events, txid: string) => events.filter(e => e.txid === txid)
+
+describe('watchtower', () => {
+    it('gives repeated events for one contract their own ids', () => {
+        const error = message => createEvent('watchtower.error', { txid: 'ab'.repeat(32), height: 1000, message })
+        expect(error('timeout').id).to.equal(error('timeout').id)
+        expect(error('timeout').id).to.not.equal(error('HTTP 502').id)
+        const later = createEvent('watchtower.error', { txid: 'ab'.repeat(32), height: 1001, message: 'timeout' })
+        expect(later.id).to.not.equal(error('timeout').id)
+    })
+
+    it('alerts once when a watched bond is slashed', async () => {
+        const chain = createMockChain('watchtower')
+        const { bond, slasher } = await deployTestBond(chain)
+        const progress = loadProgress('/nonexistent/watchtower.json')
+        const deployed = about(await watchOnce({ progress, provider: chain }), bond.txid)
+        expect(deployed.map(e => e.type)).to.deep.equal(['bond.deployed'])
+
+        const slash = await slashBond({ txid: bond.txid, key: slasher, provider: chain })
+        await chain.mine(1)
+        const slashed = about(await watchOnce({ progress, provider: chain }), bond.txid)
+        expect(slashed.map(e => e.type)).to.deep.equal(['bond.slashed'])
+        expect(progress.contracts[bond.txid]).to.include({ status: 'SLASHED', spentTxid: slash.txid })
+
+        expect(about(await watchOnce({ progress, provider: chain }), bond.txid)).to.deep.equal([])
+    })
+
+    it('reopens a settled bond when a reorg orphans its spend', async () => {
+        const chain = createMockChain('watchtower')
+        const { bond, slasher } = await deployTestBond(chain)
+        const progress = loadProgress('/nonexistent/watchtower.json')
+        await watchOnce({ progress, provider: chain })
+
+        const slash = await slashBond({ txid: bond.txid, key: slasher, provider: chain })
+        await chain.mine(1)
+        const slashed = about(await watchOnce({ progress, provider: chain }), bond.txid)
+        expect(slashed.map(e => e.type)).to.deep.equal(['bond.slashed'])
+        expect(progress.contracts[bond.txid]).to.include({ status: 'SLASHED', spentTxid: slash.txid })
+
+        await chain.reorg(1, { drop: true })
+        const reorged = about(await watchOnce({ progress, provider: chain }), bond.txid)
+        expect(reorged.map(e => e.type)).to.deep.equal(['bond.reorged'])
+        expect(reorged[0].data).to.deep.equal({ orphanedTxid: slash.txid, spentTxid: null })
+        expect(progress.contracts[bond.txid]).to.include({ status: 'ACTIVE', spentTxid: null })
+    })
+
+    it('keeps a bond settled when a reorg mines its spend again', async () => {
+        const chain = createMockChain('watchtower')
+        const { bond, slasher } = await deployTestBond(chain)
+        const progress = loadProgress('/nonexistent/watchtower.json')
+        await slashBond({ txid: bond.txid, key: slasher, provider: chain })
+        await chain.mine(1)
+        await watchOnce({ progress, provider: chain })
+
+        await chain.reorg(1)
+        expect(about(await watchOnce({ progress, provider: chain }), bond.txid)).to.deep.equal([])
+        expect(progress.contracts[bond.txid].status).to.equal('SLASHED')
+    })
+
+    it('labels an assertion that was revoked before it was announced', async () => {
+        const chain = createMockChain('watchtower')
+        const { bond, bondholder } = await deployTestBond(chain)
+        const claim = await publishAssertion({
+            bondTxid: bond.txid, topic: 'kyc', claim: 'passed', key: bondholder, provider: chain,
+        })
+        const revoke = await revokeAssertion({ txid: claim.txid, key: bondholder, provider: chain })
+        await chain.mine(1)
+
+        const progress = loadProgress('/nonexistent/watchtower.json')
+        const [event] = about(await watchOnce({ progress, provider: chain }), claim.txid)
+        expect(event.type).to.equal('assertion.published')
+        expect(event.data).to.include({ status: 'REVOKED', revokedBy: revoke.txid })
+        expect(event.message).to.not.match(/^New assertion/)
+    })
+})
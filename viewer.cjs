@@ -3,226 +3,239 @@
 
 /**
  * BSV Trust Viewer — bonds + assertions dashboard
- * Usage: node viewer.cjs [--port 3005]
+ * Usage: node viewer.cjs [--port 3005] [--network mainnet|testnet|regtest]
+ *                        [--sync-interval 30] [--index ./viewer-index.json]
+ *
+ * Routes: / (dashboard), /bond/<txid>, /escrow/<txid>, /address/<addr>,
+ * and the same as JSON under /api/ (plus /api/bonds, /api/escrows,
+ * /api/assertions and /api/status). The three lists take filter, sort and
+ * cursor parameters (see LISTS and lib/query.cjs).
+ *
+ * Pages and /api/* are served from a local index (lib/indexer.cjs) that a
+ * background loop syncs block by block every --sync-interval seconds, so a
+ * request never waits on the chain and every status comes from the same
+ * tip. Every response says how fresh its data is: the page footer, the
+ * X-Indexed-At / X-Indexed-Height headers, and /api/status.
  */
 
-const fs = require('fs');
 const path = require('path');
 const http = require('http');
-const https = require('https');
-
-const PORT = parseInt(process.argv.find((a, i) => process.argv[i - 1] === '--port') || '3005');
-const BONDS_DIR = path.join(__dirname, 'bonds');
-const ESCROWS_DIR = path.join(__dirname, 'escrows');
-
-function httpGet(url) {
-  return new Promise((resolve, reject) => {
-    https.get(url, { headers: { Accept: 'application/json' } }, res => {
-      let d = '';
-      res.on('data', c => d += c);
-      res.on('end', () => {
-        if (res.statusCode === 404) return resolve(null);
-        try { resolve(JSON.parse(d)); }
-        catch { reject(new Error(`Bad JSON: ${d.slice(0, 200)}`)); }
-      });
-    }).on('error', reject);
-  });
+const { parseArgs, formatOptions, UsageError } = require('./lib/args.cjs');
+const network = require('./lib/network.cjs');
+const { ROOT, BONDS_DIR } = require('./lib/state.cjs');
+const { loadIndex, saveIndex, syncIndex } = require('./lib/indexer.cjs');
+const { amendmentStatus, matchReveal, claimData } = require('./lib/assertion.cjs');
+const { NotFoundError, ValidationError } = require('./lib/errors.cjs');
+const { oneOf, atLeast, atMost, applyQuery } = require('./lib/query.cjs');
+
+const OPTIONS = {
+  port: { type: 'number', default: 3005, placeholder: 'n', description: 'HTTP port' },
+  'sync-interval': { type: 'number', default: 30, placeholder: 'secs', description: 'Seconds between index syncs' },
+  index: { type: 'string', default: path.join(ROOT, 'viewer-index.json'), placeholder: 'path', description: 'Index file' },
+  network: { type: 'string', choices: ['mainnet', 'testnet', 'regtest'], default: network.name, placeholder: 'name', description: 'Network (or set BSV_NETWORK)' },
+  help: { type: 'boolean', description: 'Show this help' },
+};
+
+const BOND_STATUS = {
+  ACTIVE: { emoji: '🔐', spentBy: null },
+  RELEASED: { emoji: '🔓', spentBy: 'bondholder' },
+  SLASHED: { emoji: '⚡', spentBy: 'slasher' },
+  SPENT: { emoji: '❓', spentBy: 'unknown' },
+  UNKNOWN: { emoji: '…', spentBy: null },
+};
+
+const ESCROW_STATUS = {
+  ACTIVE: { emoji: '💰', spentBy: null },
+  APPROVED: { emoji: '✅', spentBy: 'requester → worker' },
+  REFUNDED: { emoji: '↩️', spentBy: 'worker refund' },
+  TIMED_OUT: { emoji: '⏰', spentBy: 'requester after timeout' },
+  SPENT: { emoji: '❓', spentBy: 'unknown' },
+  UNKNOWN: { emoji: '…', spentBy: null },
+};
+
+let index;
+
+// Lock and timeout countdowns are worked out against the indexed height
+function bondView({ state, status, spentMethod, spentTxid, spentHeight }) {
+  const currentHeight = index.height;
+  const isLocked = currentHeight === null || currentHeight < state.lockUntil;
+  return {
+    ...state,
+    currentHeight,
+    isSpent: Boolean(spentTxid),
+    isLocked,
+    blocksLeft: isLocked && currentHeight !== null ? state.lockUntil - currentHeight : 0,
+    status,
+    statusEmoji: BOND_STATUS[status].emoji,
+    spentTxid,
+    spentMethod,
+    spentHeight,
+    spentBy: BOND_STATUS[status].spentBy,
+  };
 }
 
-async function getBondStatus(bond) {
-  let spent = null;
-  try {
-    spent = await httpGet(`https://api.whatsonchain.com/v1/bsv/main/tx/${bond.bondTxid}/0/spent`);
-  } catch {}
-
-  const chainInfo = await httpGet('https://api.whatsonchain.com/v1/bsv/main/chain/info');
-  const currentHeight = chainInfo.blocks;
-
-  const isSpent = spent && spent.txid;
-  const isLocked = currentHeight < bond.lockUntil;
-  const blocksLeft = isLocked ? bond.lockUntil - currentHeight : 0;
-
-  let status = 'ACTIVE';
-  let statusEmoji = '🔐';
-  let spentTxid = null;
-  let spentBy = null;
-
-  if (isSpent) {
-    spentTxid = spent.txid;
-    try {
-      const spentTx = await httpGet(`https://api.whatsonchain.com/v1/bsv/main/tx/${spent.txid}`);
-      if (spentTx && spentTx.vout) {
-        const destAddr = spentTx.vout[0]?.scriptPubKey?.addresses?.[0];
-        if (destAddr === bond.bondholderAddress) {
-          status = 'RELEASED'; statusEmoji = '🔓'; spentBy = 'bondholder';
-        } else if (destAddr === bond.slashDest) {
-          status = 'SLASHED'; statusEmoji = '⚡'; spentBy = 'slasher';
-        } else {
-          status = 'SPENT'; statusEmoji = '❓'; spentBy = 'unknown';
-        }
-      }
-    } catch {}
-  }
-
-  return { ...bond, currentHeight, isSpent, isLocked, blocksLeft, status, statusEmoji, spentTxid, spentBy };
+function escrowView({ state, status, spentMethod, spentTxid, spentHeight }) {
+  const currentHeight = index.height;
+  const isTimedOut = currentHeight !== null && currentHeight >= state.timeoutBlock;
+  return {
+    ...state,
+    currentHeight,
+    isSpent: Boolean(spentTxid),
+    isTimedOut,
+    blocksLeft: isTimedOut || currentHeight === null ? 0 : state.timeoutBlock - currentHeight,
+    status,
+    statusEmoji: ESCROW_STATUS[status].emoji,
+    spentTxid,
+    spentMethod,
+    spentHeight,
+    spentBy: ESCROW_STATUS[status].spentBy,
+  };
 }
 
-async function scanAssertions(bonds) {
-  // Scan bondholder addresses for ASSERT1 transactions
-  const assertions = [];
-  const addresses = [...new Set(bonds.map(b => b.bondholderAddress))];
+const newestFirst = (a, b) => (b.blockHeight || 0) - (a.blockHeight || 0);
 
-  for (const addr of addresses) {
-    try {
-      const history = await httpGet(`https://api.whatsonchain.com/v1/bsv/main/address/${addr}/history`);
-      if (!history || !Array.isArray(history)) continue;
-
-      for (const entry of history) {
-        try {
-          const tx = await httpGet(`https://api.whatsonchain.com/v1/bsv/main/tx/${entry.tx_hash}`);
-          if (!tx || !tx.vout) continue;
-
-          for (const vout of tx.vout) {
-            if (!vout.scriptPubKey || vout.scriptPubKey.type !== 'nulldata') continue;
-            const hex = vout.scriptPubKey.hex;
-            // Check for ASSERT1 in the script
-            if (!hex.includes(Buffer.from('ASSERT1').toString('hex'))) continue;
-
-            // Parse the OP_RETURN
-            const parsed = parseAssertOpReturn(hex);
-            if (!parsed) continue;
-
-            // Find matching bond
-            const bond = bonds.find(b => b.bondTxid === parsed.bondTxid);
-
-            assertions.push({
-              txid: entry.tx_hash,
-              blockHeight: entry.height,
-              asserter: addr,
-              ...parsed,
-              bondStatus: bond ? bond.status : 'UNKNOWN',
-              bondAmount: bond ? bond.amount : 0,
-            });
-          }
-        } catch {}
-      }
-    } catch {}
-  }
+function bondsView() {
+  return Object.values(index.bonds).map(bondView).sort(newestFirst);
+}
 
-  return assertions.sort((a, b) => (b.blockHeight || 0) - (a.blockHeight || 0));
+function escrowsView() {
+  return Object.values(index.escrows).map(escrowView).sort(newestFirst);
 }
 
-function parseAssertOpReturn(hex) {
-  try {
-    const { bsv } = require('scrypt-ts');
-    const script = bsv.Script.fromHex(hex);
-    const pushes = [];
-    for (const chunk of script.chunks) {
-      if (chunk.buf) pushes.push(chunk.buf);
-    }
-    if (pushes.length < 5) return null;
-    const prefix = pushes[0].toString('utf8');
-    if (prefix !== 'ASSERT1') return null;
+// The index only keeps claims signed by the holder of the bond they cite, so
+// the bondholder is the asserter whoever broadcast the tx. Amendments only
+// count if signed by the same key; reveals if they open the commitment.
+function assertionsView(claims = index.claims) {
+  const amendments = index.amendments.map(a => ({ ...a, sig: a.sig ? Buffer.from(a.sig, 'hex') : undefined }));
+  return claims.map(({ address, sig, ...a }) => {
+    const bond = index.bonds[a.bondTxid];
+    const reveal = a.commitment && matchReveal(a.txid, a.commitment, index.reveals);
+    return {
+      ...a,
+      asserter: bond.state.bondholderAddress,
+      expired: a.validUntilBlock !== null && index.height !== null && index.height > a.validUntilBlock,
+      bondStatus: bond.status,
+      bondAmount: bond.state.amount,
+      data: claimData(a.contentType, a.claim),
+      reveal: reveal ? { ...reveal, data: claimData(reveal.contentType, reveal.claim) } : null,
+      ...amendmentStatus(a.txid, bond.state.bondholderPub, amendments),
+    };
+  }).sort(newestFirst);
+}
 
-    const version = pushes[1][0];
-    const bondTxid = Buffer.from(pushes[2]).reverse().toString('hex');
-    const topic = pushes[3].toString('utf8');
-    const claim = pushes[4].toString('utf8');
+// Block an indexed amendment or reveal was mined in
+function blockOf(txid) {
+  const record = [...index.amendments, ...index.reveals].find(r => r.txid === txid);
+  return record ? record.blockHeight : null;
+}
 
-    return { version, bondTxid, topic, claim };
-  } catch {
-    return null;
-  }
+// Oldest first; unconfirmed events, and those still to come, are marked pending
+function timeline(events) {
+  const at = e => (e.block > 0 ? e.block : Infinity);
+  return events
+    .map(e => ({ ...e, pending: !(e.block > 0) || index.height === null || e.block > index.height }))
+    .sort((a, b) => at(a) - at(b) || 0);
 }
 
-async function getEscrowStatus(escrow) {
-  let spent = null;
-  try {
-    spent = await httpGet(`https://api.whatsonchain.com/v1/bsv/main/tx/${escrow.escrowTxid}/0/spent`);
-  } catch {}
+function assertionEvents(a) {
+  const topic = `[${a.topic}]`;
+  return [
+    { block: a.blockHeight, event: 'assertion published', txid: a.txid, detail: topic },
+    ...(a.reveal ? [{ block: blockOf(a.reveal.txid), event: 'assertion revealed', txid: a.reveal.txid, detail: topic }] : []),
+    ...(a.revokedBy ? [{ block: blockOf(a.revokedBy), event: 'assertion revoked', txid: a.revokedBy, detail: topic }] : []),
+    ...(a.correction ? [{ block: blockOf(a.correction.txid), event: 'assertion corrected', txid: a.correction.txid, detail: topic }] : []),
+  ];
+}
 
-  const chainInfo = await httpGet('https://api.whatsonchain.com/v1/bsv/main/chain/info');
-  const currentHeight = chainInfo.blocks;
+function spendEvent(item) {
+  return {
+    block: item.spentHeight,
+    event: item.status.toLowerCase(),
+    txid: item.spentTxid,
+    detail: `${item.spentMethod ? `${item.spentMethod}() — ` : ''}${item.spentBy}`,
+  };
+}
 
-  const isSpent = spent && spent.txid;
-  const isTimedOut = currentHeight >= escrow.timeoutBlock;
-  const blocksLeft = isTimedOut ? 0 : escrow.timeoutBlock - currentHeight;
+/** One bond with its parameters, lifecycle and every claim it backs. */
+function bondDetail(txid) {
+  const record = index.bonds[txid];
+  if (!record) throw new NotFoundError(`Bond not in the index: ${txid}`);
+  const bond = bondView(record);
+  const assertions = assertionsView(index.claims.filter(a => a.bondTxid === txid));
+  const batches = index.batches
+    .filter(b => b.bondTxid === txid)
+    .map(({ address, sig, ...b }) => ({ ...b, asserter: bond.bondholderAddress }))
+    .sort(newestFirst);
+  return {
+    ...bond,
+    assertions,
+    batches,
+    timeline: timeline([
+      { block: bond.blockHeight, event: 'deployed', txid, detail: `${bond.amount} sats locked until block ${bond.lockUntil}` },
+      // A slash can come before the lock ends, which then never matters
+      ...(!bond.isSpent || bond.status === 'RELEASED'
+        ? [{ block: bond.lockUntil, event: 'lock ends', txid: null, detail: 'the bondholder can release' }] : []),
+      ...assertions.flatMap(assertionEvents),
+      ...batches.map(b => ({ block: b.blockHeight, event: 'batch published', txid: b.txid, detail: `${b.count} claims` })),
+      ...(bond.isSpent ? [spendEvent(bond)] : []),
+    ]),
+  };
+}
 
-  let status = 'ACTIVE';
-  let statusEmoji = '💰';
-  let spentTxid = null;
-  let spentBy = null;
+/** One escrow with its parameters and lifecycle. */
+function escrowDetail(txid) {
+  const record = index.escrows[txid];
+  if (!record) throw new NotFoundError(`Escrow not in the index: ${txid}`);
+  const escrow = escrowView(record);
+  return {
+    ...escrow,
+    timeline: timeline([
+      { block: escrow.blockHeight, event: 'deployed', txid, detail: `${escrow.amount} sats for ${escrow.workerAddress}` },
+      ...(!escrow.isSpent || escrow.status === 'TIMED_OUT'
+        ? [{ block: escrow.timeoutBlock, event: 'timeout', txid: null, detail: 'the requester can reclaim' }] : []),
+      ...(escrow.isSpent ? [spendEvent(escrow)] : []),
+    ]),
+  };
+}
 
-  if (isSpent) {
-    spentTxid = spent.txid;
-    try {
-      const spentTx = await httpGet(`https://api.whatsonchain.com/v1/bsv/main/tx/${spent.txid}`);
-      if (spentTx && spentTx.vout) {
-        const destAddr = spentTx.vout[0]?.scriptPubKey?.addresses?.[0];
-        if (destAddr === escrow.workerAddress) {
-          status = 'APPROVED'; statusEmoji = '✅'; spentBy = 'requester → worker';
-        } else if (destAddr === escrow.requesterAddress) {
-          // Could be refund or timeout
-          status = 'RETURNED'; statusEmoji = '↩️'; spentBy = 'refund/timeout';
-        } else {
-          status = 'SPENT'; statusEmoji = '❓'; spentBy = 'unknown';
-        }
-      }
-    } catch {}
-  }
+const BOND_ROLES = { bondholderAddress: 'bondholder', slasherAddress: 'slasher', slashDest: 'slash destination' };
+const ESCROW_ROLES = { requesterAddress: 'requester', workerAddress: 'worker' };
 
-  return { ...escrow, currentHeight, isSpent, isTimedOut, blocksLeft, status, statusEmoji, spentTxid, spentBy };
+function rolesOf(item, roles, address) {
+  return Object.entries(roles).filter(([field]) => item[field] === address).map(([, role]) => role);
 }
 
-async function loadAndCheckEscrows() {
-  if (!fs.existsSync(ESCROWS_DIR)) return [];
-  const files = fs.readdirSync(ESCROWS_DIR).filter(f => f.endsWith('.json'));
-  const escrows = [];
-  for (const file of files) {
-    const escrow = JSON.parse(fs.readFileSync(path.join(ESCROWS_DIR, file), 'utf-8'));
-    const status = await getEscrowStatus(escrow);
-    escrows.push(status);
+function isOwnAddress(address) {
+  try {
+    return network.isOwnAddress(address);
+  } catch {
+    return false;
   }
-  return escrows.sort((a, b) => (b.blockHeight || 0) - (a.blockHeight || 0));
 }
 
-function renderHTML(bonds, assertions, escrows, currentHeight) {
-  const bondRows = bonds.map(b => `
-    <tr class="bond-row ${b.status.toLowerCase()}">
-      <td><span class="status-badge ${b.status.toLowerCase()}">${b.statusEmoji} ${b.status}</span></td>
-      <td><a href="https://whatsonchain.com/tx/${b.bondTxid}" target="_blank" class="txid">${b.bondTxid.slice(0, 16)}...</a></td>
-      <td class="sats">${b.amount.toLocaleString()} sats</td>
-      <td><span class="addr">${b.bondholderAddress.slice(0, 12)}...</span></td>
-      <td><span class="addr">${b.slasherAddress.slice(0, 12)}...</span></td>
-      <td>${b.isSpent ? '—' : b.isLocked
-        ? `<span class="locked">🔒 ${b.blocksLeft} blocks</span>`
-        : '<span class="unlocked">✅ Unlocked</span>'}</td>
-      <td>Block ${b.lockUntil}</td>
-      <td>${b.spentTxid
-        ? `<a href="https://whatsonchain.com/tx/${b.spentTxid}" target="_blank" class="txid">${b.spentTxid.slice(0, 12)}...</a> (${b.spentBy})`
-        : '—'}</td>
-    </tr>`).join('');
+/** Every bond, escrow and claim an address is party to, with its roles in each. */
+function addressDetail(address) {
+  if (!isOwnAddress(address)) throw new ValidationError(`Not a ${network.name} address: ${address}`);
+  const bonds = bondsView()
+    .map(b => ({ ...b, roles: [...rolesOf(b, BOND_ROLES, address), ...((b.judgeAddresses || []).includes(address) ? ['judge'] : [])] }))
+    .filter(b => b.roles.length);
+  const escrows = escrowsView()
+    .map(e => ({ ...e, roles: rolesOf(e, ESCROW_ROLES, address) }))
+    .filter(e => e.roles.length);
+  return { address, bonds, escrows, assertions: assertionsView().filter(a => a.asserter === address) };
+}
 
-  const assertRows = assertions.map(a => `
-    <tr class="assert-row">
-      <td><a href="https://whatsonchain.com/tx/${a.txid}" target="_blank" class="txid">${a.txid.slice(0, 16)}...</a></td>
-      <td><span class="topic">${a.topic}</span></td>
-      <td class="claim-text">${escapeHtml(a.claim)}</td>
-      <td><a href="https://whatsonchain.com/tx/${a.bondTxid}" target="_blank" class="txid">${a.bondTxid.slice(0, 12)}...</a></td>
-      <td class="sats">${a.bondAmount.toLocaleString()} sats</td>
-      <td><span class="status-badge ${a.bondStatus.toLowerCase()}">${a.bondStatus}</span></td>
-      <td><span class="addr">${a.asserter.slice(0, 12)}...</span></td>
-      <td>${a.blockHeight > 0 ? `Block ${a.blockHeight}` : 'Unconfirmed'}</td>
-    </tr>`).join('');
+function freshness() {
+  return {
+    height: index.height,
+    tipHash: index.tipHash,
+    syncedAt: index.syncedAt,
+    ageSeconds: index.syncedAt ? Math.round((Date.now() - Date.parse(index.syncedAt)) / 1000) : null,
+    lastError: index.lastError,
+  };
+}
 
-  return `<!DOCTYPE html>
-<html>
-<head>
-<title>BSV Trust — Viewer</title>
-<meta charset="utf-8">
-<meta name="viewport" content="width=device-width, initial-scale=1">
-<meta http-equiv="refresh" content="30">
-<style>
+const STYLE = `
   * { margin: 0; padding: 0; box-sizing: border-box; }
   body {
     font-family: 'SF Mono', 'Fira Code', monospace;
@@ -253,6 +266,10 @@ function renderHTML(bonds, assertions, escrows, currentHeight) {
   .sats { color: #f5a623; font-weight: bold; }
   .topic { color: #a78bfa; background: #1a1a2e; padding: 2px 8px; border-radius: 4px; font-size: 12px; }
   .claim-text { color: #d1d5db; max-width: 300px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+  .claim-text table.json { border-collapse: collapse; font-size: 12px; white-space: normal; }
+  .claim-text table.json th { color: #888; text-align: left; padding: 1px 8px 1px 0; font-weight: normal; vertical-align: top; }
+  .claim-text table.json td { padding: 1px 0; border: none; }
+  .committed { color: #888; font-family: monospace; }
   .status-badge {
     padding: 3px 10px; border-radius: 12px; font-size: 12px; font-weight: bold;
   }
@@ -263,15 +280,122 @@ function renderHTML(bonds, assertions, escrows, currentHeight) {
   .status-badge.unknown { background: #2a2a2a; color: #888; }
   .locked { color: #f87171; }
   .unlocked { color: #4ade80; }
+  .expired { color: #fbbf24; font-size: 12px; }
+  .revoked { color: #f87171; font-size: 12px; }
   .status-badge.approved { background: #1a3a1a; color: #4ade80; }
-  .status-badge.returned { background: #1a2a3a; color: #60a5fa; }
+  .status-badge.refunded, .status-badge.timed_out { background: #1a2a3a; color: #60a5fa; }
   .bond-row:hover, .assert-row:hover, .escrow-row:hover { background: #141414; }
   .section-divider { border-top: 1px solid #222; margin-top: 32px; padding-top: 8px; }
   .footer { margin-top: 24px; color: #444; font-size: 11px; }
-</style>
+  .nav { font-size: 12px; margin-bottom: 16px; }
+  .nav a, a.addr { color: #888; text-decoration: none; }
+  .nav a:hover, a.addr:hover { text-decoration: underline; }
+  table.params { width: auto; }
+  table.params th { border: none; padding: 6px 24px 6px 0; vertical-align: top; }
+  table.params td { border: none; padding: 6px 0; word-break: break-all; }
+  .pending { color: #666; }
+  .role { color: #a78bfa; font-size: 12px; }
+`;
+
+function renderPage(title, content, { height, syncedAt, ageSeconds, lastError }) {
+  return `<!DOCTYPE html>
+<html>
+<head>
+<title>${escapeHtml(title)}</title>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta http-equiv="refresh" content="30">
+<style>${STYLE}</style>
 </head>
 <body>
-  <h1>🔐 BSV Trust</h1>
+${content}
+  <div class="footer">
+    BSV Trust — No authority, no platform. Trust backed by locked sats.
+    <br>${syncedAt ? `Indexed at block ${height} · ${syncedAt} (${ageSeconds}s ago)` : 'Indexing — first sync not finished yet'}${lastError
+      ? `<br><span class="revoked">⚠️ Last sync failed: ${escapeHtml(lastError)}</span>` : ''}
+  </div>
+</body>
+</html>`;
+}
+
+const networkBadge = () => (network.name === 'mainnet' ? '' : ` <span class="topic">${network.name}</span>`);
+const NAV = '<div class="nav"><a href="/">← All bonds, escrows and assertions</a></div>';
+
+function bondRow(b) {
+  return `
+    <tr class="bond-row ${b.status.toLowerCase()}">
+      <td><span class="status-badge ${b.status.toLowerCase()}">${b.statusEmoji} ${b.status}</span></td>
+      <td>${pageLink('bond', b.bondTxid, 16)}</td>
+      <td class="sats">${b.amount.toLocaleString()} sats</td>
+      <td>${addrLink(b.bondholderAddress)}</td>
+      <td>${b.type === 'panel'
+        ? `<span class="addr">${Number(b.quorum)}-of-${Number(b.judges.length)} panel</span>`
+        : addrLink(b.slasherAddress)}</td>
+      <td>${b.isSpent ? '—' : b.isLocked
+        ? `<span class="locked">🔒 ${b.blocksLeft} blocks</span>`
+        : '<span class="unlocked">✅ Unlocked</span>'}</td>
+      <td>Block ${Number(b.lockUntil)}</td>
+      <td>${b.spentTxid
+        ? `${txLink(b.spentTxid, 12)} (${b.spentMethod ? `${escapeHtml(b.spentMethod)}() by ` : ''}${escapeHtml(b.spentBy)})`
+        : '—'}</td>${b.roles ? `
+      <td class="role">${escapeHtml(b.roles.join(', '))}</td>` : ''}
+    </tr>`;
+}
+
+function escrowRow(e) {
+  return `
+    <tr class="escrow-row ${e.status.toLowerCase()}">
+      <td><span class="status-badge ${e.status.toLowerCase()}">${e.statusEmoji} ${e.status}</span></td>
+      <td>${pageLink('escrow', e.escrowTxid, 16)}</td>
+      <td class="sats">${e.amount.toLocaleString()} sats</td>
+      <td>${addrLink(e.requesterAddress)}</td>
+      <td>${addrLink(e.workerAddress)}</td>
+      <td>${e.isSpent ? '—' : e.isTimedOut
+        ? '<span class="unlocked">⏰ Expired</span>'
+        : `<span class="locked">🔒 ${e.blocksLeft} blocks</span>`}</td>
+      <td>${e.spentTxid
+        ? `${txLink(e.spentTxid, 12)} (${e.spentMethod ? `${escapeHtml(e.spentMethod)}() — ` : ''}${escapeHtml(e.spentBy)})`
+        : '—'}</td>${e.roles ? `
+      <td class="role">${escapeHtml(e.roles.join(', '))}</td>` : ''}
+    </tr>`;
+}
+
+function assertRow(a) {
+  return `
+    <tr class="assert-row">
+      <td>${txLink(a.txid, 16)}</td>
+      <td><span class="topic">${escapeHtml(a.topic)}</span></td>
+      <td class="claim-text">${a.status === 'ACTIVE' ? renderClaim(a) : `<s>${renderClaim(a)}</s>`}${a.expired
+        ? ` <span class="expired">⌛ expired at block ${a.validUntilBlock}</span>` : ''}${a.status === 'REVOKED'
+        ? ` <span class="revoked">🚫 revoked in ${txLink(a.revokedBy, 12)}</span>` : ''}${a.status === 'SUPERSEDED'
+        ? `<br><span class="revoked">✏️ superseded in ${txLink(a.correction.txid, 12)}:</span> ${escapeHtml(a.correction.claim)}` : ''}</td>
+      <td>${pageLink('bond', a.bondTxid, 12)}</td>
+      <td class="sats">${a.bondAmount.toLocaleString()} sats</td>
+      <td><span class="status-badge ${a.bondStatus.toLowerCase()}">${a.bondStatus}</span></td>
+      <td>${addrLink(a.asserter)}</td>
+      <td>${a.blockHeight > 0 ? `Block ${a.blockHeight}` : 'Unconfirmed'}</td>
+    </tr>`;
+}
+
+function table(headings, rows, empty) {
+  return `
+  <table>
+    <thead>
+      <tr>${headings.map(h => `<th>${h}</th>`).join('')}</tr>
+    </thead>
+    <tbody>
+      ${rows.join('') || `<tr><td colspan="${headings.length}" style="text-align:center;color:#666;padding:40px">${empty}</td></tr>`}
+    </tbody>
+  </table>`;
+}
+
+const BOND_HEADINGS = ['Status', 'Bond TX', 'Amount', 'Bondholder', 'Slasher', 'Time Lock', 'Unlock Block', 'Resolution'];
+const ESCROW_HEADINGS = ['Status', 'Escrow TX', 'Amount', 'Requester', 'Worker', 'Timeout', 'Resolution'];
+const ASSERT_HEADINGS = ['TX', 'Topic', 'Claim', 'Bond', 'Bond Amount', 'Bond Status', 'Asserter', 'Block'];
+
+function renderHTML(bonds, assertions, escrows, fresh) {
+  return renderPage('BSV Trust — Viewer', `
+  <h1>🔐 BSV Trust${networkBadge()}</h1>
   <div class="subtitle">Bonds, assertions, and trust — backed by locked sats. Auto-refreshes every 30s.</div>
 
   <div class="stats">
@@ -297,137 +421,295 @@ function renderHTML(bonds, assertions, escrows, currentHeight) {
     </div>
     <div class="stat">
       <div class="stat-label">Block Height</div>
-      <div class="stat-value">${currentHeight}</div>
+      <div class="stat-value">${fresh.height === null ? '?' : fresh.height}</div>
     </div>
   </div>
 
-  <h2>📜 Bonds</h2>
-  <table>
-    <thead>
-      <tr>
-        <th>Status</th><th>Bond TX</th><th>Amount</th><th>Bondholder</th>
-        <th>Slasher</th><th>Time Lock</th><th>Unlock Block</th><th>Resolution</th>
-      </tr>
-    </thead>
-    <tbody>
-      ${bondRows || '<tr><td colspan="8" style="text-align:center;color:#666;padding:40px">No bonds found</td></tr>'}
-    </tbody>
-  </table>
+  <h2>📜 Bonds</h2>${table(BOND_HEADINGS, bonds.map(bondRow), 'No bonds found')}
 
   <div class="section-divider"></div>
-  <h2>💰 Escrows</h2>
-  <table>
-    <thead>
-      <tr>
-        <th>Status</th><th>Escrow TX</th><th>Amount</th><th>Requester</th>
-        <th>Worker</th><th>Timeout</th><th>Resolution</th>
-      </tr>
-    </thead>
-    <tbody>
-      ${escrows.map(e => `
-    <tr class="escrow-row ${e.status.toLowerCase()}">
-      <td><span class="status-badge ${e.status.toLowerCase()}">${e.statusEmoji} ${e.status}</span></td>
-      <td><a href="https://whatsonchain.com/tx/${e.escrowTxid}" target="_blank" class="txid">${e.escrowTxid.slice(0, 16)}...</a></td>
-      <td class="sats">${e.amount.toLocaleString()} sats</td>
-      <td><span class="addr">${e.requesterAddress.slice(0, 12)}...</span></td>
-      <td><span class="addr">${e.workerAddress.slice(0, 12)}...</span></td>
-      <td>${e.isSpent ? '—' : e.isTimedOut
-        ? '<span class="unlocked">⏰ Expired</span>'
-        : `<span class="locked">🔒 ${e.blocksLeft} blocks</span>`}</td>
-      <td>${e.spentTxid
-        ? `<a href="https://whatsonchain.com/tx/${e.spentTxid}" target="_blank" class="txid">${e.spentTxid.slice(0, 12)}...</a> (${e.spentBy})`
-        : '—'}</td>
-    </tr>`).join('') || '<tr><td colspan="7" style="text-align:center;color:#666;padding:40px">No escrows found</td></tr>'}
-    </tbody>
-  </table>
+  <h2>💰 Escrows</h2>${table(ESCROW_HEADINGS, escrows.map(escrowRow), 'No escrows found')}
 
   <div class="section-divider"></div>
-  <h2>📢 Assertions (ASSERT1)</h2>
-  <table>
-    <thead>
-      <tr>
-        <th>TX</th><th>Topic</th><th>Claim</th><th>Bond</th>
-        <th>Bond Amount</th><th>Bond Status</th><th>Asserter</th><th>Block</th>
-      </tr>
-    </thead>
-    <tbody>
-      ${assertRows || '<tr><td colspan="8" style="text-align:center;color:#666;padding:40px">No assertions found</td></tr>'}
-    </tbody>
-  </table>
+  <h2>📢 Assertions (ASSERT1)</h2>${table(ASSERT_HEADINGS, assertions.map(assertRow), 'No assertions found')}
+`, fresh);
+}
 
-  <div class="footer">
-    BSV Trust — No authority, no platform. Trust backed by locked sats.
-    <br>Block ${currentHeight} · ${new Date().toISOString()}
-  </div>
-</body>
-</html>`;
+// Label/value rows, skipping empty values
+function params(rows) {
+  return `
+  <table class="params">${rows.filter(([, value]) => value).map(([label, value]) => `
+    <tr><th>${label}</th><td>${value}</td></tr>`).join('')}
+  </table>`;
+}
+
+function renderTimeline(events) {
+  return table(['Block', 'Event', 'TX', 'Detail'], events.map(e => `
+    <tr class="${e.pending ? 'pending' : ''}">
+      <td>${e.block > 0 ? `Block ${e.block}` : 'Unconfirmed'}</td>
+      <td>${e.event}${e.pending && e.block > 0 ? ' (pending)' : ''}</td>
+      <td>${e.txid ? txLink(e.txid, 16) : '—'}</td>
+      <td>${escapeHtml(e.detail)}</td>
+    </tr>`), 'Nothing yet');
+}
+
+function renderSpend(item) {
+  if (!item.spentTxid) return null;
+  return `${txLink(item.spentTxid)} — ${item.spentMethod ? `<code>${escapeHtml(item.spentMethod)}()</code> by ` : ''}${escapeHtml(item.spentBy)}${item.spentHeight
+    ? ` in block ${Number(item.spentHeight)}` : ''}`;
+}
+
+function renderBond(b, fresh) {
+  const batchRows = b.batches.map(batch => `
+    <tr class="assert-row">
+      <td>${txLink(batch.txid, 16)}</td>
+      <td>${batch.count} claims</td>
+      <td><span class="committed">${escapeHtml(batch.root.slice(0, 16))}...</span></td>
+      <td>${batch.validUntilBlock === null ? '—' : `Block ${batch.validUntilBlock}`}</td>
+      <td>${addrLink(batch.asserter)}</td>
+      <td>${batch.blockHeight > 0 ? `Block ${batch.blockHeight}` : 'Unconfirmed'}</td>
+    </tr>`);
+  return renderPage(`BSV Trust — Bond ${b.bondTxid}`, `
+  ${NAV}
+  <h1>📜 Bond${networkBadge()} <span class="status-badge ${b.status.toLowerCase()}">${b.statusEmoji} ${b.status}</span></h1>
+  <div class="subtitle">${txLink(b.bondTxid)}</div>
+${params([
+    ['Amount', `<span class="sats">${b.amount.toLocaleString()} sats</span>`],
+    ['Bondholder', `${addrLink(b.bondholderAddress, true)}<br><span class="addr">${escapeHtml(b.bondholderPub)}</span>`],
+    ['Slasher', b.type === 'panel'
+      ? `${Number(b.quorum)}-of-${Number(b.judges.length)} panel:${b.judgeAddresses.map((a, i) => `<br>${addrLink(a, true)} <span class="addr">${escapeHtml(b.judges[i])}</span>`).join('')}`
+      : `${addrLink(b.slasherAddress, true)}<br><span class="addr">${escapeHtml(b.slasherPub)}</span>`],
+    ['Slash destination', addrLink(b.slashDest, true)],
+    ['Lock until', `Block ${Number(b.lockUntil)}${b.isSpent ? '' : b.isLocked ? ` <span class="locked">🔒 ${b.blocksLeft} blocks left</span>` : ' <span class="unlocked">✅ Unlocked</span>'}`],
+    ['Deployed', `Block ${Number(b.blockHeight)}${b.deployedAt ? ` · ${escapeHtml(b.deployedAt)}` : ''}`],
+    ['Spent by', renderSpend(b)],
+  ])}
+
+  <h2>🕑 Timeline</h2>${renderTimeline(b.timeline)}
+
+  <h2>📢 Assertions backed by this bond</h2>${table(ASSERT_HEADINGS, b.assertions.map(assertRow), 'No assertions found')}
+${b.batches.length ? `
+  <h2>📦 Batches</h2>${table(['TX', 'Claims', 'Merkle Root', 'Valid Until', 'Asserter', 'Block'], batchRows, '')}` : ''}
+`, fresh);
+}
+
+function renderEscrow(e, fresh) {
+  return renderPage(`BSV Trust — Escrow ${e.escrowTxid}`, `
+  ${NAV}
+  <h1>💰 Escrow${networkBadge()} <span class="status-badge ${e.status.toLowerCase()}">${e.statusEmoji} ${e.status}</span></h1>
+  <div class="subtitle">${txLink(e.escrowTxid)}</div>
+${params([
+    ['Amount', `<span class="sats">${e.amount.toLocaleString()} sats</span>`],
+    ['Requester', `${addrLink(e.requesterAddress, true)}<br><span class="addr">${escapeHtml(e.requesterPub)}</span>`],
+    ['Worker', `${addrLink(e.workerAddress, true)}<br><span class="addr">${escapeHtml(e.workerPub)}</span>`],
+    ['Timeout', `Block ${Number(e.timeoutBlock)}${e.isSpent ? '' : e.isTimedOut ? ' <span class="unlocked">⏰ Expired</span>' : ` <span class="locked">🔒 ${e.blocksLeft} blocks left</span>`}`],
+    ['Deployed', `Block ${Number(e.blockHeight)}${e.deployedAt ? ` · ${escapeHtml(e.deployedAt)}` : ''}`],
+    ['Spent by', renderSpend(e)],
+  ])}
+
+  <h2>🕑 Timeline</h2>${renderTimeline(e.timeline)}
+`, fresh);
 }
 
+function renderAddress(a, fresh) {
+  return renderPage(`BSV Trust — ${a.address}`, `
+  ${NAV}
+  <h1>👤 Address${networkBadge()}</h1>
+  <div class="subtitle">${escapeHtml(a.address)}</div>
+
+  <h2>📜 Bonds</h2>${table([...BOND_HEADINGS, 'Role'], a.bonds.map(bondRow), 'No bonds found')}
+
+  <div class="section-divider"></div>
+  <h2>💰 Escrows</h2>${table([...ESCROW_HEADINGS, 'Role'], a.escrows.map(escrowRow), 'No escrows found')}
+
+  <div class="section-divider"></div>
+  <h2>📢 Assertions (ASSERT1)</h2>${table(ASSERT_HEADINGS, a.assertions.map(assertRow), 'No assertions found')}
+`, fresh);
+}
+
+function renderError(err, fresh) {
+  return renderPage('BSV Trust — Not found', `
+  ${NAV}
+  <h1>❓ ${escapeHtml(err.message)}</h1>${err.code === 'NOT_FOUND' ? `
+  <div class="subtitle">Only contracts in bonds/ and escrows/ are indexed.</div>` : ''}
+`, fresh);
+}
+
+// Explorer link for a txid, or plain text on networks without an explorer
+function txLink(txid, length) {
+  const url = network.txUrl(txid);
+  const label = escapeHtml(length ? `${txid.slice(0, length)}...` : txid);
+  return url ? `<a href="${escapeHtml(url)}" target="_blank" class="txid">${label}</a>` : `<span class="txid">${label}</span>`;
+}
+
+// Link to a bond or escrow's own page
+function pageLink(kind, txid, length) {
+  return `<a href="/${kind}/${encodeURIComponent(txid)}" class="txid">${escapeHtml(txid.slice(0, length))}...</a>`;
+}
+
+function addrLink(address, full) {
+  return `<a href="/address/${encodeURIComponent(address)}" class="addr">${escapeHtml(full ? address : `${address.slice(0, 12)}...`)}</a>`;
+}
+
+// Everything read from the chain or a state file goes through this before it reaches a page
 function escapeHtml(s) {
-  return s.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+  return String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&#39;');
 }
 
-const server = http.createServer(async (req, res) => {
-  if (req.url === '/api/bonds') {
-    try {
-      const bonds = await loadAndCheckBonds();
-      res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify(bonds, null, 2));
-    } catch (err) {
-      res.writeHead(500); res.end(JSON.stringify({ error: err.message }));
-    }
-    return;
+// JSON claims as nested key/value tables
+function renderJson(value) {
+  if (Array.isArray(value)) {
+    return `<table class="json">${value.map((v, i) => `<tr><th>${i}</th><td>${renderJson(v)}</td></tr>`).join('')}</table>`;
   }
-
-  if (req.url === '/api/assertions') {
-    try {
-      const bonds = await loadAndCheckBonds();
-      const assertions = await scanAssertions(bonds);
-      res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify(assertions, null, 2));
-    } catch (err) {
-      res.writeHead(500); res.end(JSON.stringify({ error: err.message }));
-    }
-    return;
+  if (value !== null && typeof value === 'object') {
+    return `<table class="json">${Object.entries(value)
+      .map(([k, v]) => `<tr><th>${escapeHtml(k)}</th><td>${renderJson(v)}</td></tr>`).join('')}</table>`;
   }
+  return escapeHtml(typeof value === 'string' ? value : JSON.stringify(value));
+}
 
-  if (req.url === '/api/escrows') {
-    try {
-      const escrows = await loadAndCheckEscrows();
-      res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify(escrows, null, 2));
-    } catch (err) {
-      res.writeHead(500); res.end(JSON.stringify({ error: err.message }));
-    }
-    return;
+function renderClaim(a) {
+  if (a.commitment) {
+    return a.reveal
+      ? `🔓 ${a.reveal.data !== null ? renderJson(a.reveal.data) : escapeHtml(a.reveal.claim)}`
+      : `<span class="committed">🔒 committed ${escapeHtml(a.commitment.slice(0, 16))}...</span>`;
   }
+  return a.data !== null ? renderJson(a.data) : escapeHtml(a.claim);
+}
+
+const API = {
+  '/api/status': freshness,
+};
+
+const upper = v => v.toUpperCase();
+
+// Filter parameters and sort fields of each list endpoint
+const LISTS = {
+  '/api/bonds': {
+    view: bondsView,
+    id: 'bondTxid',
+    filters: {
+      status: oneOf('status', upper),
+      bondholder: oneOf('bondholderAddress'),
+      slasher: oneOf('slasherAddress'),
+      minAmount: atLeast('amount'),
+      maxAmount: atMost('amount'),
+    },
+    sorts: ['blockHeight', 'amount', 'lockUntil', 'spentHeight'],
+  },
+  '/api/escrows': {
+    view: escrowsView,
+    id: 'escrowTxid',
+    filters: {
+      status: oneOf('status', upper),
+      requester: oneOf('requesterAddress'),
+      worker: oneOf('workerAddress'),
+      minAmount: atLeast('amount'),
+      maxAmount: atMost('amount'),
+    },
+    sorts: ['blockHeight', 'amount', 'timeoutBlock', 'spentHeight'],
+  },
+  '/api/assertions': {
+    view: assertionsView,
+    id: 'txid',
+    filters: {
+      status: oneOf('status', upper),
+      topic: oneOf('topic'),
+      bond: oneOf('bondTxid'),
+      bondStatus: oneOf('bondStatus', upper),
+      bondholder: oneOf('asserter'),
+      minAmount: atLeast('bondAmount'),
+      maxAmount: atMost('bondAmount'),
+    },
+    sorts: ['blockHeight', 'bondAmount', 'validUntilBlock'],
+  },
+};
+
+// /<kind>/<id> pages, and the same as JSON under /api/
+const DETAIL = {
+  bond: { view: bondDetail, render: renderBond },
+  escrow: { view: escrowDetail, render: renderEscrow },
+  address: { view: addressDetail, render: renderAddress },
+};
+const DETAIL_PATH = /^\/(api\/)?(bond|escrow|address)\/([^/]+)$/;
+
+const HTTP_STATUS = { NOT_FOUND: 404, INVALID_ARGUMENT: 400 };
+
+const server = http.createServer((req, res) => {
+  const fresh = freshness();
+  const headers = { 'X-Indexed-Height': String(fresh.height), 'X-Indexed-At': String(fresh.syncedAt) };
+  const { pathname, searchParams } = new URL(req.url, 'http://localhost');
+  const [, api, kind, id] = pathname.match(DETAIL_PATH) || [];
+  const json = pathname.startsWith('/api/');
+  const send = (status, body) => {
+    res.writeHead(status, { 'Content-Type': json ? 'application/json' : 'text/html', ...headers });
+    res.end(json ? JSON.stringify(body, null, 2) : body);
+  };
 
   try {
-    const bonds = await loadAndCheckBonds();
-    const assertions = await scanAssertions(bonds);
-    const escrows = await loadAndCheckEscrows();
-    const currentHeight = bonds.length > 0 ? bonds[0].currentHeight : (escrows.length > 0 ? escrows[0].currentHeight : '?');
-    const html = renderHTML(bonds, assertions, escrows, currentHeight);
-    res.writeHead(200, { 'Content-Type': 'text/html' });
-    res.end(html);
+    if (API[pathname]) send(200, API[pathname]());
+    else if (LISTS[pathname]) {
+      const list = LISTS[pathname];
+      const { items, total, nextCursor } = applyQuery(list.view(), searchParams, list);
+      headers['X-Total-Count'] = String(total);
+      if (nextCursor) {
+        const next = new URLSearchParams(searchParams);
+        next.set('cursor', nextCursor);
+        headers['X-Next-Cursor'] = nextCursor;
+        headers.Link = `<${pathname}?${next}>; rel="next"`;
+      }
+      send(200, items);
+    }
+    else if (kind) {
+      const detail = DETAIL[kind].view(decodeURIComponent(id));
+      send(200, api ? detail : DETAIL[kind].render(detail, fresh));
+    } else if (json) send(404, { error: `Unknown endpoint: ${pathname}`, code: 'NOT_FOUND' });
+    else send(200, renderHTML(bondsView(), assertionsView(), escrowsView(), fresh));
   } catch (err) {
-    res.writeHead(500); res.end(`Error: ${err.message}`);
+    const status = HTTP_STATUS[err.code] || 500;
+    if (json) send(status, { error: err.message, ...(err.code ? { code: err.code } : {}) });
+    else if (status === 500) send(500, `Error: ${escapeHtml(err.message)}`);
+    else send(status, renderError(err, fresh));
   }
 });
 
-async function loadAndCheckBonds() {
-  if (!fs.existsSync(BONDS_DIR)) return [];
-  const files = fs.readdirSync(BONDS_DIR).filter(f => f.endsWith('.json'));
-  const bonds = [];
-  for (const file of files) {
-    const bond = JSON.parse(fs.readFileSync(path.join(BONDS_DIR, file), 'utf-8'));
-    const status = await getBondStatus(bond);
-    bonds.push(status);
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Sync forever; a failed sync keeps the old data and is reported in lastError
+async function syncLoop(opts) {
+  for (;;) {
+    try {
+      await syncIndex(index);
+    } catch (err) {
+      index.lastError = err.message;
+      console.error(`❌ Index sync failed: ${err.message}`);
+    }
+    saveIndex(opts.index, index);
+    await sleep(opts.syncInterval * 1000);
   }
-  return bonds.sort((a, b) => (b.blockHeight || 0) - (a.blockHeight || 0));
 }
 
-server.listen(PORT, () => {
-  console.log(`🔐 BSV Trust Viewer running at http://localhost:${PORT}`);
-  console.log(`   Watching: ${BONDS_DIR}`);
-});
+function main() {
+  const opts = parseArgs(process.argv.slice(2), OPTIONS);
+  if (opts.help) {
+    console.log(`Usage: node viewer.cjs [options]\n\nOptions:\n${formatOptions(OPTIONS)}`);
+    return;
+  }
+  if (!(opts.syncInterval > 0)) throw new UsageError('--sync-interval must be a positive number of seconds');
+  network.useNetwork(opts.network);
+
+  index = loadIndex(opts.index);
+  server.listen(opts.port, () => {
+    console.log(`🔐 BSV Trust Viewer running at http://localhost:${opts.port} (${network.name})`);
+    console.log(`   Watching: ${BONDS_DIR}`);
+    console.log(`   Index: ${opts.index}${index.syncedAt ? ` (block ${index.height}, synced ${index.syncedAt})` : ''}`);
+  });
+  syncLoop(opts);
+}
+
+try {
+  main();
+} catch (err) {
+  console.error('❌', err.message);
+  process.exit(err instanceof UsageError ? 2 : 1);
+}
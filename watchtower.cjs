@@ -0,0 +1,137 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Watchtower — releases matured bonds and times out stale escrows on its
+ * own, and turns every change to a watched contract into an event.
+ *
+ * Usage: node watchtower.cjs [options]
+ *   --wallet <paths>      Comma-separated wallets to sign with (default: ./wallet.json)
+ *   --interval <secs>     Seconds between passes (default: 60)
+ *   --once                Run a single pass and exit (for cron)
+ *   --state <path>        Progress file (default: ./watchtower.json)
+ *   --alert-cmd <cmd>     Shell command run on every alert
+ *   --hooks <path>        Webhooks and shell hooks to deliver events to
+ *   --watch-only          Open no wallets: report events, never broadcast
+ *
+ * Every contract in bonds/ and escrows/ is watched; only those whose key is
+ * in one of the wallets are acted on. Events are logged and sent to the
+ * hooks in --hooks (see lib/events.cjs for the file format and webhook
+ * signatures). The alert command gets WATCH_EVENT, WATCH_TXID and
+ * WATCH_MESSAGE in its environment. Encrypted wallets are unlocked once at
+ * startup (WALLET_PASSPHRASE or a prompt).
+ */
+
+const path = require('path');
+const { exec } = require('child_process');
+const { parseArgs, formatOptions, UsageError } = require('./lib/args.cjs');
+const network = require('./lib/network.cjs');
+const { ROOT } = require('./lib/state.cjs');
+const { DEFAULT_WALLET_PATH, openKeyring } = require('./lib/wallet.cjs');
+const { loadProgress, saveProgress, watchOnce } = require('./lib/watchtower.cjs');
+const { isAlert, loadHooks, deliverEvent } = require('./lib/events.cjs');
+
+const OPTIONS = {
+  wallet: { type: 'string', default: DEFAULT_WALLET_PATH, placeholder: 'paths', description: 'Comma-separated wallets to sign with' },
+  interval: { type: 'number', default: 60, placeholder: 'secs', description: 'Seconds between passes' },
+  once: { type: 'boolean', description: 'Run a single pass and exit' },
+  state: { type: 'string', default: path.join(ROOT, 'watchtower.json'), placeholder: 'path', description: 'Progress file' },
+  'alert-cmd': { type: 'string', placeholder: 'cmd', description: 'Shell command run on every alert (WATCH_EVENT, WATCH_TXID, WATCH_MESSAGE)' },
+  hooks: { type: 'string', placeholder: 'path', description: 'JSON file of webhooks and shell hooks to deliver events to' },
+  'watch-only': { type: 'boolean', description: 'Open no wallets: report events, never broadcast' },
+  network: { type: 'string', choices: ['mainnet', 'testnet', 'regtest'], default: network.name, placeholder: 'name', description: 'Network (or set BSV_NETWORK)' },
+  help: { type: 'boolean', description: 'Show this help' },
+};
+
+const ICONS = {
+  'bond.deployed': '🔒',
+  'bond.unlocked': '⏳',
+  'bond.released': '🔓',
+  'bond.slashed': '🚨',
+  'bond.spent': '🚨',
+  'escrow.deployed': '📦',
+  'escrow.timeout_reached': '⏳',
+  'escrow.approved': '✅',
+  'escrow.refunded': '↩️ ',
+  'escrow.timed_out': '⏰',
+  'escrow.spent': '🚨',
+  'assertion.published': '📝',
+  'watchtower.error': '❌',
+};
+
+function log(line) {
+  console.log(`[${new Date().toISOString()}] ${line}`);
+}
+
+function runAlert(cmd, event) {
+  return new Promise(resolve => {
+    const env = { ...process.env, WATCH_EVENT: event.type, WATCH_TXID: event.txid, WATCH_MESSAGE: event.message };
+    exec(cmd, { env, timeout: 30000 }, err => {
+      if (err) log(`❌ Alert command failed: ${err.message.trim()}`);
+      resolve();
+    });
+  });
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function main() {
+  const opts = parseArgs(process.argv.slice(2), OPTIONS);
+  if (opts.help) {
+    console.log(`Usage: node watchtower.cjs [options]\n\nOptions:\n${formatOptions(OPTIONS)}`);
+    return;
+  }
+  if (!(opts.interval > 0)) throw new UsageError('--interval must be a positive number of seconds');
+  network.useNetwork(opts.network);
+
+  const walletPaths = opts.watchOnly ? [] : opts.wallet.split(',').filter(Boolean);
+  const keyrings = [];
+  for (const wallet of walletPaths) keyrings.push(await openKeyring({ wallet }));
+  const hooks = opts.hooks ? loadHooks(opts.hooks) : { webhooks: [], commands: [] };
+  const progress = loadProgress(opts.state);
+
+  log(`🛰️  Watchtower on ${network.name} — ${opts.watchOnly ? 'watch-only' : `${walletPaths.length} wallet(s)`}, progress in ${opts.state}`);
+  if (opts.hooks) log(`   Delivering events to ${hooks.webhooks.length} webhook(s) and ${hooks.commands.length} command(s)`);
+  if (progress.height !== null) log(`   Resuming from block ${progress.height}`);
+
+  let stopping = false;
+  for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.on(signal, () => {
+      if (stopping) process.exit(1);
+      stopping = true;
+      log('Stopping after this pass...');
+    });
+  }
+
+  while (!stopping) {
+    try {
+      const events = await watchOnce({
+        keyrings,
+        progress,
+        onEvent: async event => {
+          const line = `${ICONS[event.type] || 'ℹ️ '} ${event.message}`;
+          if (isAlert(event)) console.error(`[${new Date().toISOString()}] ${line}`);
+          else log(line);
+          // Save before the next broadcast, so a crash never loses what was done
+          saveProgress(opts.state, progress);
+          if (isAlert(event) && opts.alertCmd) await runAlert(opts.alertCmd, event);
+          for (const { hook, error } of await deliverEvent(event, hooks)) {
+            log(`❌ Could not deliver ${event.type} to ${hook}: ${error}`);
+          }
+        },
+      });
+      saveProgress(opts.state, progress);
+      if (opts.once) log(`Pass done at block ${progress.height} — ${events.length} event(s)`);
+    } catch (err) {
+      if (opts.once) process.exitCode = 1;
+      log(`❌ Pass failed: ${err.message}${opts.once ? '' : ` — retrying in ${opts.interval}s`}`);
+    }
+    if (opts.once) break;
+    for (let waited = 0; waited < opts.interval && !stopping; waited++) await sleep(1000);
+  }
+}
+
+main().catch(err => {
+  console.error('❌', err.message);
+  process.exit(err instanceof UsageError ? 2 : 1);
+});